@@ -9,120 +9,895 @@
 //
 // this file contains the background script for the extension.
 
-const DEFAULT_SETTINGS = {
-    isEnabled: true,
-    excludedSites: []
-};
+const logger = createLogger('RTL Fixer Pro Background');
 
 // --- Initialization ---
+// Settings are brought up to date at every start of this script, not only from onInstalled: the content scripts
+// injected into open tabs may ask for theirs before onInstalled is dispatched. getSettings answers once it is done.
+let settingsMigration = applyInstalledSettings();
+
 browser.runtime.onInstalled.addListener(async () => {
-    console.log("RTL Fixer Pro Background: Extension installed/updated.");
+    logger.info("Extension installed/updated.");
+    settingsMigration = settingsMigration.then(applyInstalledSettings); // Nothing left to do unless storage changed meanwhile
+    await settingsMigration;
+    createContextMenus();
     try {
-        let settings = await browser.storage.local.get(DEFAULT_SETTINGS);
-        settings = { ...DEFAULT_SETTINGS, ...settings }; // Ensure all keys exist
-        await browser.storage.local.set(settings);
-        console.log("RTL Fixer Pro Background: Initial settings applied:", settings);
+        if ((await getSettings()).syncEnabled) await reconcileSync();
     } catch (error) {
-        console.error("RTL Fixer Pro Background: Error setting initial settings:", error);
+        logger.error("Error syncing settings after install:", error);
     }
+    if (!browser.storage.session) await injectIntoOpenTabs(); // See injectOncePerSession()
 });
 
+/**
+ * Migrates stored settings to the current schema and fills in missing ones. Storage is only written (and the
+ * tabs told) when something was out of date.
+ * @returns {Promise<boolean>} Whether the settings were changed.
+ */
+async function applyInstalledSettings() {
+    try {
+        const stored = await browser.storage.local.get(null);
+        // Installs from before schema versions have data but no version; a fresh install has nothing to migrate
+        const storedVersion = stored.schemaVersion || (Object.keys(stored).length ? 1 : SETTINGS_SCHEMA_VERSION);
+        const { settings: migrated, removedKeys } = migrateSettings(stored, storedVersion);
+        const missingKeys = Object.keys(DEFAULT_SETTINGS).filter(key => !(key in stored));
+        if (stored.schemaVersion === SETTINGS_SCHEMA_VERSION && !removedKeys.length && !missingKeys.length) return false;
+        if (storedVersion < SETTINGS_SCHEMA_VERSION) logger.info(`Settings migrated from schema version ${storedVersion} to ${SETTINGS_SCHEMA_VERSION}.`);
+        const settings = {};
+        for (const key of Object.keys(DEFAULT_SETTINGS)) settings[key] = key in migrated ? migrated[key] : DEFAULT_SETTINGS[key]; // Ensure all keys exist
+        if (removedKeys.length) await browser.storage.local.remove(removedKeys);
+        await browser.storage.local.set({ ...settings, schemaVersion: SETTINGS_SCHEMA_VERSION });
+        logger.debug("Initial settings applied:", settings);
+        await notifyAllTabs({ action: 'updateState', payload: settings }); // Copies that started before the migration
+        return true;
+    } catch (error) {
+        logger.error("Error setting initial settings:", error);
+        return false;
+    }
+}
+
+// --- Logging ---
+// The level is a device setting; content scripts get it with their settings and through updateState.
+browser.storage.local.get({ logLevel: DEFAULT_LOG_LEVEL }).then(({ logLevel }) => setLogLevel(logLevel)).catch(() => {});
+
 // --- Get Settings Utility ---
 async function getSettings() {
     try {
         const settings = await browser.storage.local.get(DEFAULT_SETTINGS);
         return { ...DEFAULT_SETTINGS, ...settings }; // Return merged settings
     } catch (error) {
-        console.error("RTL Fixer Pro Background: Error getting settings:", error);
+        logger.error("Error getting settings:", error);
         return { ...DEFAULT_SETTINGS }; // Return defaults on error
     }
 }
 
 // --- Message Handling ---
-browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log("RTL Fixer Pro Background: Received message:", message.action);
-
-    // Use an async IIFE (Immediately Invoked Function Expression) to handle async operations
-    // and ensure sendResponse is called correctly, even on errors.
-    (async () => {
-        try {
-            if (message.action === 'getSettings') {
-                const settings = await getSettings();
-                sendResponse(settings);
-            } else if (message.action === 'toggleEnabled') {
-                let settings = await getSettings();
-                settings.isEnabled = !!message.payload; // Ensure boolean
-                await browser.storage.local.set({ isEnabled: settings.isEnabled });
-                console.log("RTL Fixer Pro Background: isEnabled set to:", settings.isEnabled);
-                await notifyAllTabs({ action: 'updateState', payload: { isEnabled: settings.isEnabled } });
-                sendResponse({ success: true, isEnabled: settings.isEnabled });
-            } else if (message.action === 'addExcludedSite') {
-                let settings = await getSettings();
-                const hostname = message.payload;
-                if (hostname && !settings.excludedSites.includes(hostname)) {
-                    settings.excludedSites.push(hostname);
-                    await browser.storage.local.set({ excludedSites: settings.excludedSites });
-                    console.log(`RTL Fixer Pro Background: Added "${hostname}" to exclusion list.`);
-                    await notifyAllTabs({ action: 'updateState', payload: { excludedSites: settings.excludedSites } }); // Notify immediately
-                    sendResponse({ success: true, excludedSites: settings.excludedSites });
-                } else {
-                    console.warn(`RTL Fixer Pro Background: Hostname "${hostname}" already excluded or invalid.`);
-                    sendResponse({ success: false, reason: hostname ? 'Already excluded' : 'Invalid hostname' });
-                }
-            } else if (message.action === 'removeExcludedSite') {
-                let settings = await getSettings();
-                const hostname = message.payload;
-                const index = settings.excludedSites.indexOf(hostname);
-                if (hostname && index > -1) {
-                    settings.excludedSites.splice(index, 1);
-                    await browser.storage.local.set({ excludedSites: settings.excludedSites });
-                    console.log(`RTL Fixer Pro Background: Removed "${hostname}" from exclusion list.`);
-                    await notifyAllTabs({ action: 'updateState', payload: { excludedSites: settings.excludedSites } }); // Notify immediately
-                    sendResponse({ success: true, excludedSites: settings.excludedSites });
-                } else {
-                    console.warn(`RTL Fixer Pro Background: Hostname "${hostname}" not found.`);
-                    sendResponse({ success: false, reason: 'Hostname not found' });
-                }
+// One async handler per action of lib/protocol.js: (payload, sender) -> { ok, data, error } sent back to the caller.
+// Payload types are checked before a handler runs.
+
+const MESSAGE_HANDLERS = {
+    async getSettings(payload, sender) {
+        await settingsMigration; // Scripts injected on update must not see the old schema
+        const settings = await getSettings();
+        // Temporary state rides along so a page starts paused/snoozed right away
+        settings.snoozes = await getSnoozes();
+        settings.tabPaused = !!sender.tab && (await getPausedTabs())[sender.tab.id] !== undefined;
+        return okResponse(settings);
+    },
+    async toggleEnabled(payload) {
+        const { settings, error } = await applySettingsUpdate({ isEnabled: payload });
+        if (error) return rejectedResponse(error);
+        logger.info("isEnabled set to:", settings.isEnabled);
+        return okResponse({ isEnabled: settings.isEnabled });
+    },
+    async toggleEditableFields(payload) {
+        const { settings, error } = await applySettingsUpdate({ fixEditableFields: payload });
+        if (error) return rejectedResponse(error);
+        logger.info("fixEditableFields set to:", settings.fixEditableFields);
+        return okResponse({ fixEditableFields: settings.fixEditableFields });
+    },
+    async addExcludedSite(hostname) {
+        const siteRules = await excludeSite(hostname);
+        if (siteRules) {
+            return okResponse({ siteRules });
+        } else {
+            logger.warn(`Hostname "${hostname}" already excluded or invalid.`);
+            return rejectedResponse(hostname ? 'Already excluded' : 'Invalid hostname');
+        }
+    },
+    async removeExcludedSite(hostname) {
+        const siteRules = await reincludeSite(hostname);
+        if (siteRules) {
+            return okResponse({ siteRules });
+        } else {
+            logger.warn(`Hostname "${hostname}" not found.`);
+            return rejectedResponse('Hostname not found');
+        }
+    },
+    async setSiteRules(payload) {
+        const rules = [];
+        for (const [index, rawRule] of payload.entries()) {
+            const { rule, error } = validateRule(rawRule);
+            if (error) return rejectedResponse(`Rule ${index + 1}: ${error}`);
+            rules.push(rule);
+        }
+        await saveSiteRules(rules);
+        logger.info(`Saved ${rules.length} site rules.`);
+        return okResponse({ siteRules: rules });
+    },
+    async updateSelectorPreset(preset) {
+        if (!SELECTOR_PRESETS.some(item => item.id === preset.id)) return rejectedResponse('Unknown preset');
+        const settings = await getSettings();
+        const overrides = { ...settings.selectorPresets };
+        if (preset.reset) {
+            delete overrides[preset.id];
+        } else {
+            const override = { ...overrides[preset.id] };
+            if (typeof preset.enabled === 'boolean') override.enabled = preset.enabled;
+            for (const key of ['include', 'exclude']) {
+                if (preset[key] === undefined) continue;
+                const { selectors, error } = normalizeSelectorList(preset[key]);
+                if (error) return rejectedResponse(error);
+                override[key] = selectors;
+            }
+            overrides[preset.id] = override;
+        }
+        await browser.storage.local.set({ selectorPresets: overrides });
+        logger.info(`Selector preset "${preset.id}" updated.`);
+        await notifyAllTabs({ action: 'updateState', payload: { selectorPresets: overrides } });
+        return okResponse({ selectorPresets: overrides });
+    },
+    async setSiteSelectors(payload) {
+        const { host, include, exclude } = payload;
+        if (typeof host !== 'string' || !host.trim() || /[\s/]/.test(host)) return rejectedResponse('Invalid host pattern');
+        const includeResult = normalizeSelectorList(include || []);
+        const excludeResult = normalizeSelectorList(exclude || []);
+        const error = includeResult.error || excludeResult.error;
+        if (error) return rejectedResponse(error);
+        const settings = await getSettings();
+        const hostPattern = host.trim().toLowerCase();
+        // One user set per host pattern; saving empty lists removes it
+        const siteSelectors = settings.siteSelectors.filter(set => !(set.hosts.length === 1 && set.hosts[0] === hostPattern));
+        if (includeResult.selectors.length || excludeResult.selectors.length) {
+            siteSelectors.push({ id: `site-${hostPattern}`, name: hostPattern, hosts: [hostPattern], include: includeResult.selectors, exclude: excludeResult.selectors });
+        }
+        await browser.storage.local.set({ siteSelectors });
+        logger.info(`Selectors for "${hostPattern}" saved.`);
+        await notifyAllTabs({ action: 'updateState', payload: { siteSelectors } });
+        return okResponse({ siteSelectors });
+    },
+    async addElementRule(payload) {
+        const { rule, error } = validateElementRule(payload);
+        if (error) return rejectedResponse(error);
+        const settings = await getSettings();
+        // Picking the same block again replaces its previous action
+        const elementRules = settings.elementRules.filter(existing => !(existing.host === rule.host && existing.selector === rule.selector));
+        elementRules.push(rule);
+        await saveElementRules(elementRules);
+        logger.info(`Element rule "${rule.selector}" (${rule.action}) saved for ${rule.host}.`);
+        return okResponse({ elementRules });
+    },
+    async removeElementRule(payload) {
+        const settings = await getSettings();
+        const elementRules = settings.elementRules.filter(rule => rule.id !== payload);
+        if (elementRules.length === settings.elementRules.length) return rejectedResponse('Element rule not found');
+        await saveElementRules(elementRules);
+        logger.info(`Element rule "${payload}" removed.`);
+        return okResponse({ elementRules });
+    },
+    async updateDetectionSettings(payload) {
+        const { settings, error } = await applySettingsUpdate(pickSettings(payload, ['detectionMode', 'rtlThreshold', 'rtlScripts', 'respectLangAttribute']));
+        if (error) return rejectedResponse(error);
+        logger.info("Detection settings updated:", settings);
+        const current = await getSettings();
+        return okResponse({ detectionMode: current.detectionMode, rtlThreshold: current.rtlThreshold });
+    },
+    async updateStyleSettings(payload) {
+        const { settings, error } = await applySettingsUpdate(pickSettings(payload, ['styleStrategy', 'isolateLtrRuns']));
+        if (error) return rejectedResponse(error);
+        logger.info("Styling settings updated:", settings);
+        const current = await getSettings();
+        return okResponse({ styleStrategy: current.styleStrategy, isolateLtrRuns: current.isolateLtrRuns });
+    },
+    async updateSettings(payload) {
+        // Any portable settings at once (settings page); lists have their own actions with finer checks
+        const { settings, error } = await applySettingsUpdate(payload);
+        if (error) return rejectedResponse(error);
+        logger.info("Settings updated:", Object.keys(settings));
+        return okResponse({ settings: await getSettings() });
+    },
+    async getTabPauseState(payload) {
+        const pausedTabs = await getPausedTabs();
+        return okResponse({ paused: pausedTabs[payload] !== undefined, snoozes: await getSnoozes() });
+    },
+    async setTabPaused(payload) {
+        const { tabId, paused } = payload;
+        if (typeof tabId !== 'number') return rejectedResponse('Missing tab id');
+        await setTabPaused(tabId, !!paused);
+        return okResponse({ paused: !!paused });
+    },
+    async setResumeOnNavigate(payload) {
+        const { settings, error } = await applySettingsUpdate({ resumeOnNavigate: payload });
+        if (error) return rejectedResponse(error);
+        return okResponse({ resumeOnNavigate: settings.resumeOnNavigate });
+    },
+    async snooze(payload) {
+        const { scope, hostname, minutes } = payload;
+        const duration = Number(minutes);
+        if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_SNOOZE_MINUTES) return rejectedResponse('Invalid snooze duration');
+        if (scope === 'site' && !hostname) return rejectedResponse('Missing hostname');
+        if (scope !== 'site' && scope !== 'global') return rejectedResponse('Unknown snooze scope');
+        const snoozes = await setSnooze(scope, hostname, Date.now() + duration * 60000);
+        return okResponse({ snoozes });
+    },
+    async cancelSnooze(payload) {
+        const { scope, hostname } = payload;
+        if (scope === 'site' && !hostname) return rejectedResponse('Missing hostname');
+        if (scope !== 'site' && scope !== 'global') return rejectedResponse('Unknown snooze scope');
+        const snoozes = await setSnooze(scope, hostname, 0);
+        return okResponse({ snoozes });
+    },
+    async exportSettings() {
+        return okResponse({ data: await exportSettings() });
+    },
+    async importSettings(payload) {
+        const { data, mode } = payload;
+        if (mode !== 'merge' && mode !== 'replace') return rejectedResponse('Import mode must be "merge" or "replace"');
+        const result = await importSettings(data, mode);
+        if (result.error) return rejectedResponse(result.error, { warnings: result.warnings });
+        return okResponse({ warnings: result.warnings });
+    },
+    async getSyncStatus() {
+        return okResponse({ ...(await getSyncStatus()) });
+    },
+    async setLogLevel(payload) {
+        if (!isLogLevel(payload)) return rejectedResponse(`Unknown log level "${payload}"`);
+        await browser.storage.local.set({ logLevel: payload });
+        setLogLevel(payload); // The global function; method names don't shadow it
+        await notifyAllTabs({ action: 'updateState', payload: { logLevel: payload } });
+        return okResponse({ logLevel: payload });
+    },
+    getLogs() {
+        return okResponse({ entries: getLogEntries() });
+    },
+    clearLogs() {
+        clearLogEntries();
+        return okResponse();
+    },
+    async setSyncEnabled(payload) {
+        const syncEnabled = payload;
+        await browser.storage.local.set({ syncEnabled });
+        logger.info("syncEnabled set to:", syncEnabled);
+        if (syncEnabled) await reconcileSync();
+        return okResponse({ ...(await getSyncStatus()) });
+    },
+    async reportStats(payload, sender) {
+        // Sent by content scripts in every frame; only tab pages carry a tab id
+        if (!sender.tab || sender.tab.id === undefined) return rejectedResponse('Not a tab');
+        const stats = recordFrameStats(sender.tab.id, sender.frameId || 0, payload);
+        return okResponse({ stats });
+    },
+    async getTabStats(payload) {
+        return okResponse({ stats: getTabStats(payload) });
+    }
+};
+
+// Unknown actions and messages from tabs still running an older version get an error answer
+browser.runtime.onMessage.addListener(createMessageListener('background', MESSAGE_HANDLERS, {
+    answerInvalid: true,
+    onError: (action, error) => logger.error(`Error processing action "${action}":`, error),
+    onMismatch: message => logger.warn("Message from an outdated script ignored:", message.action)
+}));
+
+
+// --- Per-Tab Activity ---
+// Content scripts report their counts per frame; the badge shows the total styled blocks of the tab.
+// Kept in memory only: a restarted background gets fresh reports on the next scan or popup open.
+
+const tabStats = new Map(); // tabId -> Map(frameId -> stats)
+const BADGE_COLOR = '#4a6fa5';
+
+function recordFrameStats(tabId, frameId, report) {
+    if (!tabStats.has(tabId)) tabStats.set(tabId, new Map());
+    tabStats.get(tabId).set(frameId, {
+        styled: Number(report.styled) || 0,
+        checked: Number(report.checked) || 0,
+        lastScanAt: Number(report.lastScanAt) || 0,
+        lastScanDuration: Number(report.lastScanDuration) || 0,
+        mode: typeof report.mode === 'string' ? report.mode : 'unknown',
+        debugOverlay: report.debugOverlay === true
+    });
+    const stats = getTabStats(tabId);
+    if (!badgeFlashTimers.has(tabId)) updateBadge(tabId, stats); // A shortcut's feedback is showing
+    // Let an open popup refresh its panel ('unreachable' when no popup is listening)
+    sendAction('tabStatsUpdated', { tabId, stats });
+    return stats;
+}
+
+/**
+ * Sums the frame reports of a tab. The mode and debug overlay state are the top frame's.
+ * @param {number} tabId - The tab.
+ * @returns {object|null} { styled, checked, lastScanAt, lastScanDuration, mode, debugOverlay, frames } or null if nothing was reported.
+ */
+function getTabStats(tabId) {
+    const frames = tabStats.get(tabId);
+    if (!frames || frames.size === 0) return null;
+    const total = { styled: 0, checked: 0, lastScanAt: 0, lastScanDuration: 0, mode: frames.get(0)?.mode || 'unknown', debugOverlay: !!frames.get(0)?.debugOverlay, frames: frames.size };
+    for (const frame of frames.values()) {
+        total.styled += frame.styled;
+        total.checked += frame.checked;
+        if (frame.lastScanAt > total.lastScanAt) { total.lastScanAt = frame.lastScanAt; total.lastScanDuration = frame.lastScanDuration; }
+    }
+    return total;
+}
+
+async function updateBadge(tabId, stats) {
+    const text = !stats || stats.styled === 0 ? '' : (stats.styled > 999 ? '999+' : String(stats.styled));
+    try {
+        await browser.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR });
+        await browser.action.setBadgeText({ tabId, text });
+    } catch (error) {
+        // The tab may have been closed in the meantime
+    }
+}
+
+browser.tabs.onRemoved.addListener(tabId => {
+    tabStats.delete(tabId);
+    clearTabPause(tabId);
+    setTabUninjectable(tabId, false).catch(() => {});
+});
+browser.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (changeInfo.status !== 'loading') return;
+    // A new document starts with nothing styled
+    tabStats.delete(tabId); updateBadge(tabId, null);
+    if ((await getSettings()).resumeOnNavigate) clearTabPause(tabId);
+});
+
+
+// --- Keyboard Shortcuts ---
+// Commands are declared in manifest.json; users can rebind them in the popup or in Firefox's add-on settings.
+// Every command flashes a short text on the badge and shows a toast in the page when it can.
+
+const BADGE_FLASH_MS = 1500;
+const badgeFlashTimers = new Map(); // tabId -> timeout id
+
+browser.commands.onCommand.addListener(async (command, tab) => {
+    const activeTab = tab || (await browser.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!activeTab) return;
+    logger.info(`Command "${command}" in tab ${activeTab.id}.`);
+    try { await runCommand(command, activeTab); }
+    catch (error) { logger.error(`Error running command "${command}":`, error); }
+});
+
+async function runCommand(command, tab) {
+    let hostname = null;
+    try { hostname = /^https?:/.test(tab.url) ? new URL(tab.url).hostname : null; } catch (e) { /* leave null */ }
+    switch (command) {
+        case 'toggle-enabled': {
+            const { settings, error } = await applySettingsUpdate({ isEnabled: !(await getSettings()).isEnabled });
+            if (error) { logger.warn("Could not toggle the extension:", error); await giveFeedback(tab.id, '—', error); break; }
+            await giveFeedback(tab.id, settings.isEnabled ? 'ON' : 'OFF', `RTL Fixer ${settings.isEnabled ? 'enabled' : 'disabled'}`);
+            break;
+        }
+        case 'toggle-site': {
+            if (!hostname) { await giveFeedback(tab.id, '—', null); break; }
+            const rule = findMatchingRule((await getSettings()).siteRules, tab.url);
+            if (rule?.mode === 'off') {
+                const reincluded = await reincludeSite(hostname);
+                // Excluded by a broader rule (wildcard, path, regex): only the popup can sort that out
+                await giveFeedback(tab.id, reincluded ? 'ON' : 'OFF', reincluded ? `${hostname} re-included` : `${hostname} is excluded by the rule "${rule.pattern}"`);
             } else {
-                // Optional: handle unknown actions if needed
-                console.log("RTL Fixer Pro Background: Unknown action received.");
-                // sendResponse({ success: false, reason: 'Unknown action' }); // Decide if you need to respond
+                await excludeSite(hostname);
+                await giveFeedback(tab.id, 'OFF', `${hostname} excluded`);
             }
-        } catch (error) {
-            console.error(`RTL Fixer Pro Background: Error processing action "${message.action}":`, error);
-            // Send an error response if something failed internally
-            sendResponse({ success: false, reason: `Internal error: ${error.message}` });
+            break;
+        }
+        case 'force-block-rtl':
+        case 'force-block-ltr': {
+            const direction = command === 'force-block-rtl' ? 'rtl' : 'ltr';
+            // All frames get the message; only the one with a focused/hovered block replies
+            const response = await sendTabAction(tab.id, 'forceBlockDirection', direction);
+            await giveFeedback(tab.id, direction.toUpperCase(), response.ok ? `Block set to ${direction.toUpperCase()}` : 'Hover or focus a block first');
+            break;
+        }
+        case 'flip-page': {
+            const response = await sendTabAction(tab.id, 'togglePageDirection', undefined, { frameId: 0 });
+            await giveFeedback(tab.id, response.ok ? response.data.direction.toUpperCase() : '—', response.ok ? `Page direction: ${response.data.direction.toUpperCase()}` : describeTabError(response));
+            break;
         }
-    })(); // Immediately invoke the async function
+        case 'rescan': {
+            const response = await sendTabAction(tab.id, 'rescan');
+            await giveFeedback(tab.id, response.ok ? '…' : '—', response.ok ? 'Rescanning page' : describeTabError(response));
+            break;
+        }
+        default:
+            logger.warn(`Unknown command "${command}".`);
+    }
+}
 
-    // Crucially, return true to indicate that sendResponse will be called asynchronously.
-    return true;
+// Text shown when a page could not carry out a command: the page's own reason, or a hint for pages
+// without a (current) content script.
+function describeTabError(response) {
+    return response.error.code === PROTOCOL_ERRORS.rejected ? response.error.message : 'The page is not ready (try reloading it)';
+}
+
+/**
+ * Flashes a short text on the tab's badge and shows a toast in its top frame.
+ * @param {number} tabId - The tab.
+ * @param {string} badgeText - Up to ~4 characters.
+ * @param {string|null} toastText - Toast message, or null/undefined for badge only.
+ */
+async function giveFeedback(tabId, badgeText, toastText) {
+    clearTimeout(badgeFlashTimers.get(tabId));
+    try { await browser.action.setBadgeText({ tabId, text: badgeText }); } catch (error) { return; } // Tab is gone
+    badgeFlashTimers.set(tabId, setTimeout(() => {
+        badgeFlashTimers.delete(tabId);
+        updateBadge(tabId, getTabStats(tabId));
+    }, BADGE_FLASH_MS));
+    if (toastText) {
+        // Pages without a content script (about:, add-on pages...) only get the badge
+        sendTabAction(tabId, 'showToast', toastText, { frameId: 0 });
+    }
+}
+
+
+// --- Context Menu ---
+// Entries on pages, selections and links. The content script of the clicked frame finds the block
+// from the last contextmenu event and applies the change; "Always..." also saves an element rule.
+
+const CONTEXT_MENU_CONTEXTS = ['page', 'selection', 'link'];
+const CONTEXT_MENU_COMMANDS = {
+    'rtl-fixer-rtl': { command: 'rtl', save: false },
+    'rtl-fixer-ltr': { command: 'ltr', save: false },
+    'rtl-fixer-reset': { command: 'reset', save: false },
+    'rtl-fixer-always-rtl': { command: 'rtl', save: true },
+    'rtl-fixer-always-ltr': { command: 'ltr', save: true },
+    'rtl-fixer-always-ignore': { command: 'ignore', save: true }
+};
+
+async function createContextMenus() {
+    await browser.contextMenus.removeAll();
+    const documentUrlPatterns = ['http://*/*', 'https://*/*'];
+    const create = properties => browser.contextMenus.create({ contexts: CONTEXT_MENU_CONTEXTS, documentUrlPatterns, ...properties });
+    create({ id: 'rtl-fixer-rtl', title: 'Make this RTL' });
+    create({ id: 'rtl-fixer-ltr', title: 'Make this LTR' });
+    create({ id: 'rtl-fixer-reset', title: 'Reset this block' });
+    create({ id: 'rtl-fixer-separator', type: 'separator' });
+    create({ id: 'rtl-fixer-always', title: 'Always do this for matching elements on this site' });
+    create({ id: 'rtl-fixer-always-rtl', parentId: 'rtl-fixer-always', title: 'Make them RTL' });
+    create({ id: 'rtl-fixer-always-ltr', parentId: 'rtl-fixer-always', title: 'Make them LTR' });
+    create({ id: 'rtl-fixer-always-ignore', parentId: 'rtl-fixer-always', title: 'Leave them alone' });
+}
+
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
+    const entry = CONTEXT_MENU_COMMANDS[info.menuItemId];
+    if (!entry || !tab) return;
+    const response = await sendTabAction(tab.id, 'contextMenuCommand', entry, { frameId: info.frameId || 0 });
+    if (!response.ok) {
+        if (response.error.code !== PROTOCOL_ERRORS.rejected) logger.warn("Context menu command not delivered:", response.error.message);
+        await giveFeedback(tab.id, '—', describeTabError(response));
+    }
+    else if (entry.save) await giveFeedback(tab.id, entry.command.toUpperCase().slice(0, 3), `Saved for matching elements on this site: ${response.data.selector}`);
+    else if (response.data.removedRules) await giveFeedback(tab.id, '↺', `Removed ${response.data.removedRules} saved rule(s) for this block`);
+});
+
+// Menus created by older versions are replaced on install; this covers browser restarts
+browser.runtime.onStartup.addListener(createContextMenus);
+
+
+// --- Pause & Snooze ---
+// Temporary off switches that never touch the saved settings:
+//   pausedTabs: { [tabId]: pausedAt } - cleared when the tab closes (and navigates, if resumeOnNavigate)
+//   snoozes   : { global: until, sites: { [hostname]: until } } - timestamps, expired by alarms
+// Both live in storage so they survive the background script being unloaded.
+
+const MAX_SNOOZE_MINUTES = 24 * 60;
+const SNOOZE_ALARM_PREFIX = 'snooze:';
+
+async function getPausedTabs() {
+    const { pausedTabs } = await browser.storage.local.get('pausedTabs');
+    return pausedTabs && typeof pausedTabs === 'object' ? pausedTabs : {};
+}
+
+let pausedTabsUpdate = Promise.resolve(); // The last queued change of pausedTabs
+
+/**
+ * Changes the stored pausedTabs once every earlier change is stored, so overlapping changes (pausing a tab
+ * while another one closes) don't overwrite each other.
+ * @param {Function} change - Edits the pausedTabs object in place; returns false when nothing changed.
+ * @returns {Promise<void>}
+ */
+function updatePausedTabs(change) {
+    const update = pausedTabsUpdate.then(async () => {
+        const pausedTabs = await getPausedTabs();
+        if (change(pausedTabs) !== false) await browser.storage.local.set({ pausedTabs });
+    });
+    pausedTabsUpdate = update.catch(() => {}); // A failed change must not block the next ones
+    return update;
+}
+
+async function setTabPaused(tabId, paused) {
+    await updatePausedTabs(pausedTabs => {
+        if (paused) pausedTabs[tabId] = Date.now(); else delete pausedTabs[tabId];
+    });
+    logger.info(`Tab ${tabId} ${paused ? 'paused' : 'resumed'}.`);
+    // Every frame of the tab gets the message
+    await sendTabAction(tabId, 'updateState', { tabPaused: paused }); // Fails quietly without a content script
+}
+
+async function clearTabPause(tabId) {
+    await updatePausedTabs(pausedTabs => {
+        if (pausedTabs[tabId] === undefined) return false;
+        delete pausedTabs[tabId];
+    });
+}
+
+/**
+ * Active snoozes; expired entries are dropped.
+ * @returns {Promise<{global: number, sites: object}>}
+ */
+async function getSnoozes() {
+    const { snoozes } = await browser.storage.local.get('snoozes');
+    const now = Date.now();
+    const sites = {};
+    for (const [hostname, until] of Object.entries(snoozes?.sites || {})) {
+        if (until > now) sites[hostname] = until;
+    }
+    return { global: snoozes?.global > now ? snoozes.global : 0, sites };
+}
+
+/**
+ * Starts (until > 0) or cancels a snooze and notifies all tabs.
+ * @param {'global'|'site'} scope - What to snooze.
+ * @param {string} [hostname] - The site, for 'site' snoozes.
+ * @param {number} until - Expiry timestamp, 0 to cancel.
+ * @returns {Promise<object>} The updated snoozes.
+ */
+async function setSnooze(scope, hostname, until) {
+    const snoozes = await getSnoozes();
+    const alarmName = scope === 'site' ? `${SNOOZE_ALARM_PREFIX}site:${hostname}` : `${SNOOZE_ALARM_PREFIX}global`;
+    if (scope === 'site') {
+        if (until) snoozes.sites[hostname] = until; else delete snoozes.sites[hostname];
+    } else {
+        snoozes.global = until;
+    }
+    await browser.storage.local.set({ snoozes });
+    if (until) browser.alarms.create(alarmName, { when: until });
+    else await browser.alarms.clear(alarmName);
+    logger.info(`Snooze (${scope}${hostname ? ' ' + hostname : ''}) ${until ? 'until ' + new Date(until).toLocaleTimeString() : 'cancelled'}.`);
+    await notifyAllTabs({ action: 'updateState', payload: { snoozes } });
+    return snoozes;
+}
+
+browser.alarms.onAlarm.addListener(async alarm => {
+    if (!alarm.name.startsWith(SNOOZE_ALARM_PREFIX)) return;
+    // getSnoozes() already drops the expired entry; store and broadcast the result
+    const snoozes = await getSnoozes();
+    await browser.storage.local.set({ snoozes });
+    logger.info(`Snooze "${alarm.name}" expired.`);
+    await notifyAllTabs({ action: 'updateState', payload: { snoozes } });
 });
 
+// Tab ids do not survive a browser restart
+browser.runtime.onStartup.addListener(() => browser.storage.local.remove('pausedTabs'));
+
+
+// --- Rule Storage Helper ---
+async function saveSiteRules(siteRules) {
+    await browser.storage.local.set({ siteRules });
+    await notifyAllTabs({ action: 'updateState', payload: { siteRules } }); // Notify immediately
+}
+
+/**
+ * Adds an 'off' domain rule for the hostname at the top of the rule list.
+ * @param {string} hostname - The site to exclude.
+ * @returns {Promise<object[]|null>} The new rules, or null if the site was already excluded or invalid.
+ */
+async function excludeSite(hostname) {
+    const settings = await getSettings();
+    const isExcluded = settings.siteRules.some(rule => rule.type === 'domain' && rule.mode === 'off' && rule.pattern === hostname);
+    if (typeof hostname !== 'string' || !hostname || /[\s/]/.test(hostname) || isExcluded) return null;
+    // Explicit exclusions go to the top so they win over broader rules
+    settings.siteRules.unshift({ id: createRuleId(), type: 'domain', pattern: hostname, mode: 'off' });
+    await saveSiteRules(settings.siteRules);
+    logger.info(`Added "${hostname}" to exclusion rules.`);
+    return settings.siteRules;
+}
+
+/**
+ * Removes the hostname's 'off' domain rules.
+ * @param {string} hostname - The site to re-include.
+ * @returns {Promise<object[]|null>} The remaining rules, or null if there was nothing to remove.
+ */
+async function reincludeSite(hostname) {
+    const settings = await getSettings();
+    const remaining = settings.siteRules.filter(rule => !(rule.type === 'domain' && rule.mode === 'off' && rule.pattern === hostname));
+    if (!hostname || remaining.length === settings.siteRules.length) return null;
+    await saveSiteRules(remaining);
+    logger.info(`Removed "${hostname}" exclusion rules.`);
+    return remaining;
+}
+
+async function saveElementRules(elementRules) {
+    await browser.storage.local.set({ elementRules });
+    await notifyAllTabs({ action: 'updateState', payload: { elementRules } });
+}
+
+
+// --- Settings Updates ---
+
+/**
+ * Validates and saves a partial settings update, then notifies all tabs.
+ * Nothing is saved if any value is invalid.
+ * @param {object} updates - { [settingName]: value }
+ * @returns {Promise<{settings: object|null, error: string|null}>} The saved (clean) values or the reason.
+ */
+async function applySettingsUpdate(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return { settings: null, error: 'Settings update must be an object' };
+    const { settings, warnings } = validateSettings(updates);
+    if (warnings.length) return { settings: null, error: warnings.join('; ') };
+    if (!Object.keys(settings).length) return { settings: null, error: 'Nothing to update' };
+    await browser.storage.local.set(settings);
+    await notifyAllTabs({ action: 'updateState', payload: settings });
+    return { settings, error: null };
+}
+
+
+// --- Import / Export ---
+// Exported files: { format, schemaVersion, exportedAt, settings: { ...portable settings } }
+
+async function exportSettings() {
+    const settings = await getSettings();
+    const exported = {};
+    PORTABLE_SETTINGS.forEach(key => { exported[key] = settings[key]; });
+    return { format: EXPORT_FORMAT, schemaVersion: SETTINGS_SCHEMA_VERSION, exportedAt: new Date().toISOString(), settings: exported };
+}
+
+/**
+ * Validates an exported file and applies it (see prepareImport in lib/settings.js for the modes).
+ * @param {object} data - Parsed file contents.
+ * @param {'merge'|'replace'} mode - How the file is combined with the current settings.
+ * @returns {Promise<{error: string|null, warnings: string[], settings?: object}>}
+ */
+async function importSettings(data, mode) {
+    const { updates, warnings, error } = prepareImport(data, await getSettings(), mode);
+    if (error) return { error, warnings };
+    await browser.storage.local.set(updates);
+    await notifyAllTabs({ action: 'updateState', payload: updates });
+    logger.info(`Settings imported (${mode}) with ${warnings.length} warnings.`);
+    return { error: null, warnings, settings: updates };
+}
+
+
+// --- Sync ---
+// With `syncEnabled`, portable settings are mirrored to storage.sync. Every setting carries a
+// modification time (local and in sync); when both sides changed, the newer value wins per setting.
+// Values never changed on this device have no timestamp, so a new device takes what is in sync.
+
+const SYNC_TIMESTAMPS_KEY = 'settingsModifiedAt';
+const syncAppliedValues = new Map(); // key -> JSON of a value just pulled from sync, so it isn't stamped and pushed back
+
+browser.storage.onChanged.addListener(async (changes, areaName) => {
+    try {
+        if (areaName === 'local') await handleLocalSettingsChange(changes);
+        else if (areaName === 'sync' && (await getSettings()).syncEnabled) await pullFromSync();
+    } catch (error) {
+        logger.error("Error syncing settings:", error);
+    }
+});
+
+async function handleLocalSettingsChange(changes) {
+    const changed = Object.keys(changes).filter(key => {
+        if (!PORTABLE_SETTINGS.includes(key)) return false;
+        const newValue = JSON.stringify(changes[key].newValue);
+        const fromSync = syncAppliedValues.get(key) === newValue;
+        syncAppliedValues.delete(key);
+        // First writes (install defaults) are not user changes
+        return !fromSync && changes[key].oldValue !== undefined && JSON.stringify(changes[key].oldValue) !== newValue;
+    });
+    if (!changed.length) return;
+    const stamps = await getLocalTimestamps();
+    const now = Date.now();
+    changed.forEach(key => { stamps[key] = now; });
+    await browser.storage.local.set({ [SYNC_TIMESTAMPS_KEY]: stamps });
+    if ((await getSettings()).syncEnabled) await pushToSync(changed);
+}
+
+async function getLocalTimestamps() {
+    const { [SYNC_TIMESTAMPS_KEY]: stamps } = await browser.storage.local.get(SYNC_TIMESTAMPS_KEY);
+    return stamps && typeof stamps === 'object' ? stamps : {};
+}
+
+async function pushToSync(keys) {
+    const settings = await getSettings();
+    const stamps = await getLocalTimestamps();
+    const { [SYNC_TIMESTAMPS_KEY]: syncStamps = {} } = await browser.storage.sync.get(SYNC_TIMESTAMPS_KEY);
+    const items = {};
+    keys.forEach(key => { items[key] = settings[key]; syncStamps[key] = stamps[key] || 0; });
+    try {
+        await browser.storage.sync.set({ ...items, [SYNC_TIMESTAMPS_KEY]: syncStamps });
+        await setSyncStatus(null);
+    } catch (error) {
+        // Usually the sync quota (about 8 KB per setting, 100 KB in total)
+        logger.error("Could not write to sync storage:", error);
+        await setSyncStatus(error.message);
+    }
+}
+
+/**
+ * Takes every setting that is newer in sync storage and notifies the tabs.
+ * @returns {Promise<string[]>} Keys taken from sync.
+ */
+async function pullFromSync() {
+    const synced = await browser.storage.sync.get(null);
+    const syncStamps = synced[SYNC_TIMESTAMPS_KEY] || {};
+    const stamps = await getLocalTimestamps();
+    const newer = {};
+    PORTABLE_SETTINGS.forEach(key => { if (key in synced && (syncStamps[key] || 0) > (stamps[key] || 0)) newer[key] = synced[key]; });
+    const { settings: updates, warnings } = validateSettings(newer);
+    if (warnings.length) logger.warn("Ignored invalid synced settings:", warnings);
+    const keys = Object.keys(updates);
+    if (!keys.length) return keys;
+    keys.forEach(key => { stamps[key] = syncStamps[key]; syncAppliedValues.set(key, JSON.stringify(updates[key])); });
+    await browser.storage.local.set({ ...updates, [SYNC_TIMESTAMPS_KEY]: stamps });
+    await setSyncStatus(null);
+    logger.info("Settings updated from sync:", keys);
+    await notifyAllTabs({ action: 'updateState', payload: updates });
+    return keys;
+}
+
+// Two-way merge when sync is switched on (and after updates): pull what is newer, push the rest.
+async function reconcileSync() {
+    await pullFromSync();
+    const synced = await browser.storage.sync.get(null);
+    const syncStamps = synced[SYNC_TIMESTAMPS_KEY] || {};
+    const stamps = await getLocalTimestamps();
+    const toPush = PORTABLE_SETTINGS.filter(key => !(key in synced) || (stamps[key] || 0) > (syncStamps[key] || 0));
+    if (toPush.length) await pushToSync(toPush);
+}
+
+async function setSyncStatus(error) {
+    await browser.storage.local.set({ syncStatus: { lastSyncAt: Date.now(), error } });
+}
+
+async function getSyncStatus() {
+    const { syncStatus } = await browser.storage.local.get('syncStatus');
+    return { syncEnabled: (await getSettings()).syncEnabled, lastSyncAt: syncStatus?.lastSyncAt || 0, error: syncStatus?.error || null };
+}
+
+
+// --- Content Script Injection ---
+// Firefox only runs manifest content scripts in pages loaded afterwards, so tabs that were open when the
+// extension was installed, updated or enabled have no content script, or one of an older version.
+// Each of these starts a new extension session, in which the current copy is injected where it is missing.
+const CONTENT_SCRIPT_FILES = browser.runtime.getManifest().content_scripts[0].js;
+
+function isInjectableTab(tab) {
+    return !!tab.id && tab.status === 'complete' && !tab.discarded && /^(https?|file):/.test(tab.url || '');
+}
+
+// Runs in each frame before the scripts are injected, and is the guard that keeps them to one copy per frame:
+// it claims a frame that runs no copy of this version (content.js sets `rtlFixerInstance`; other versions have
+// their own view of `window`). Frames run it one injection at a time, so two overlapping injections (startup
+// and a settings change) can't both claim a frame.
+function claimFrameForInjection() {
+    if (window.rtlFixerInstance !== undefined) return false;
+    window.rtlFixerInstance = 'claimed'; // Replaced by the instance id when content.js starts
+    return true;
+}
+
+function releaseFrameClaim() {
+    if (window.rtlFixerInstance === 'claimed') delete window.rtlFixerInstance;
+}
+
+/**
+ * Injects the content scripts into the frames of a tab that don't run the current version.
+ * @param {number} tabId - The tab.
+ * @returns {Promise<number>} Number of frames injected into; throws when the tab can't be scripted.
+ */
+async function injectContentScripts(tabId) {
+    const claims = await browser.scripting.executeScript({ target: { tabId, allFrames: true }, func: claimFrameForInjection });
+    const frameIds = claims.filter(claim => claim.result === true).map(claim => claim.frameId);
+    if (!frameIds.length) return 0;
+    try {
+        await browser.scripting.executeScript({ target: { tabId, frameIds }, files: CONTENT_SCRIPT_FILES });
+    } catch (error) {
+        await browser.scripting.executeScript({ target: { tabId, frameIds }, func: releaseFrameClaim }).catch(() => {}); // Let a later injection retry
+        throw error;
+    }
+    return frameIds.length;
+}
+
+// Tabs that could not be scripted this session (reader view, blocked sites...): settings broadcasts don't try
+// them again. Kept in storage.session, which outlives the event page, where the browser has it.
+const UNINJECTABLE_SESSION_KEY = 'uninjectableTabs';
+const uninjectableTabs = new Set(); // Without storage.session
+
+async function getUninjectableTabs() {
+    if (!browser.storage.session) return uninjectableTabs;
+    const { [UNINJECTABLE_SESSION_KEY]: tabIds } = await browser.storage.session.get(UNINJECTABLE_SESSION_KEY);
+    return new Set(tabIds || []);
+}
+
+let uninjectableTabsUpdate = Promise.resolve(); // Changes are queued like those of pausedTabs
+
+function setTabUninjectable(tabId, uninjectable) {
+    const update = uninjectableTabsUpdate.then(async () => {
+        const tabIds = await getUninjectableTabs();
+        if (tabIds.has(tabId) === uninjectable) return;
+        if (uninjectable) tabIds.add(tabId); else tabIds.delete(tabId);
+        if (browser.storage.session) await browser.storage.session.set({ [UNINJECTABLE_SESSION_KEY]: [...tabIds] });
+    });
+    uninjectableTabsUpdate = update.catch(() => {});
+    return update;
+}
+
+async function injectIntoOpenTabs() {
+    const counts = { tabs: 0, frames: 0, failed: 0 };
+    try {
+        const tabs = await browser.tabs.query({ url: ["http://*/*", "https://*/*", "file:///*"] });
+        for (const tab of tabs.filter(isInjectableTab)) {
+            try {
+                const frames = await injectContentScripts(tab.id);
+                if (frames) { counts.tabs++; counts.frames += frames; }
+            } catch (error) {
+                counts.failed++; // Reader view, blocked domains, pages closed meanwhile...
+                await setTabUninjectable(tab.id, true);
+                logger.warn(`Could not inject the content script into tab ${tab.id}:`, error.message);
+            }
+        }
+        logger.info(`Injected the content script into ${counts.frames} frames of ${counts.tabs} open tabs (${counts.failed} failed).`);
+    } catch (error) {
+        logger.error("Error injecting content scripts:", error);
+    }
+    return counts;
+}
+
+const INJECTED_SESSION_KEY = 'contentScriptsInjected';
+
+/**
+ * Injects into the open tabs on the first start of this script in a session, not every time the event page
+ * wakes up. storage.session is emptied when the extension is installed, updated, enabled or the browser
+ * restarts; Firefox versions without it inject from onInstalled only.
+ * @returns {Promise<object|null>} The counts of injectIntoOpenTabs(), or null when this session already injected.
+ */
+async function injectOncePerSession() {
+    if (!browser.storage.session) return null;
+    try {
+        if ((await browser.storage.session.get(INJECTED_SESSION_KEY))[INJECTED_SESSION_KEY]) return null;
+        await browser.storage.session.set({ [INJECTED_SESSION_KEY]: true });
+    } catch (error) {
+        logger.error("Error reading the session state:", error);
+        return null;
+    }
+    return injectIntoOpenTabs();
+}
+
+settingsMigration.then(injectOncePerSession);
+
 
 // --- Helper Function to Notify Content Scripts ---
 async function notifyAllTabs(message) {
-    console.log("RTL Fixer Pro Background: Notifying tabs with message:", message.action);
+    logger.debug("Notifying tabs with message:", message.action);
     try {
         const tabs = await browser.tabs.query({ url: ["http://*/*", "https://*/*"] }); // Only query relevant tabs
-        let notifiedCount = 0;
+        const counts = { notified: 0, injected: 0, missed: 0 };
+        const uninjectable = await getUninjectableTabs();
         for (const tab of tabs) {
-            if (tab.id) {
-                try {
-                    // console.log(`Attempting to send message to Tab ID: ${tab.id}`);
-                    await browser.tabs.sendMessage(tab.id, message);
-                    notifiedCount++;
-                } catch (error) {
-                    // This error is expected if the content script isn't injected/active on a tab
-                    // console.warn(`RTL Fixer Pro: Could not send message to Tab ${tab.id} (${tab.url || 'N/A'}): ${error.message}`);
-                }
-            }
+            if (!tab.id) continue;
+            const response = await sendTabAction(tab.id, message.action, message.payload);
+            if (response.ok) { counts.notified++; continue; }
+            // Outdated (loaded before an update) or no content script (opened before install): a fresh copy reads
+            // the current settings itself. Pages still loading get theirs from the manifest.
+            const missing = [PROTOCOL_ERRORS.protocolMismatch, PROTOCOL_ERRORS.unreachable].includes(response.error.code);
+            if (!missing || !isInjectableTab(tab) || uninjectable.has(tab.id)) { counts.missed++; continue; }
+            try { await injectContentScripts(tab.id); counts.injected++; } catch (error) { counts.missed++; await setTabUninjectable(tab.id, true); }
         }
-        console.log(`RTL Fixer Pro Background: Message send attempt finished. Potentially notified ${notifiedCount} tabs.`);
+        logger.debug(`Notified ${counts.notified} tabs, injected the content script into ${counts.injected} (${counts.missed} not reached).`);
     } catch (error) {
-        console.error("RTL Fixer Pro Background: Error querying or sending message to tabs:", error);
+        logger.error("Error querying or sending message to tabs:", error);
     }
 }
 
 
-console.log("RTL Fixer Pro: Background script (non-service worker) started.");
\ No newline at end of file
+logger.info("Background script (non-service worker) started.");
\ No newline at end of file
@@ -10,170 +10,1748 @@
 // This file contains the content script for the RTL Content Fixer Addon.
 
 
-console.log("RTL Content Fixer: Content script loading...");
+const logger = createLogger('RTL Fixer'); // Quiet by default: warnings and errors only (see lib/logger.js)
+logger.debug("Content script loading...");
 
 // --- Constants --- 
-const RTL_REGEX = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
-const LTR_REGEX = /[A-Za-z]/;
-const DIGIT_REGEX = /[0-9]/;
+const CODE_SELECTORS = 'code, pre, kbd, samp, var, script, style';
+const VIEWPORT_MARGIN = '300px'; // Elements this close to the viewport are scanned first
 const TARGET_TAGS = ['P', 'LI', 'TD', 'TH', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'ARTICLE', 'SECTION', 'ASIDE', 'SUMMARY', 'FIGCAPTION', 'DD', 'DT'];
-const SKIP_SELECTORS = 'script, style, noscript, code, pre, kbd, var, samp, textarea, input, [contenteditable="true"], svg, math, iframe';
+const SKIP_SELECTORS = 'script, style, noscript, code, pre, kbd, var, samp, textarea, input, [contenteditable="true"], svg, math, iframe, [data-rtl-fixer-ui], [data-rtl-fixer-isolate]';
 const PROCESSED_ATTR = 'data-rtl-fixer-processed';
-const RTL_STYLE_ATTR = 'data-rtl-fixer-styled';
+const RTL_STYLE_ATTR = 'data-rtl-fixer-styled'; // 'true' for RTL, 'ltr' for blocks pinned to LTR
+const PINNED_ATTR = 'data-rtl-fixer-pinned'; // Action of the element rule applied to this block
+const UI_ATTR = 'data-rtl-fixer-ui'; // Marks our own in-page UI (picker overlay) so scans skip it
+const ISOLATE_ATTR = 'data-rtl-fixer-isolate'; // 'bdi' on wrappers we inserted, 'style' on code elements we isolated
+const STYLE_CLASSES = { rtl: 'rtl-fixer-rtl', ltr: 'rtl-fixer-ltr' }; // Used by the 'class' strategy
+const STYLESHEET_ID = 'rtl-fixer-stylesheet';
+const FONT_ATTR = 'data-rtl-fixer-font'; // RTL block whose font we substituted
+const EDITABLE_ATTR = 'data-rtl-fixer-editable'; // Direction we set on a text field / editable block
+const EDITABLE_SELECTORS = 'textarea, input:not([type]), input[type="text"], input[type="search"]';
+const ISOLATE_SELECTORS = 'code, kbd, samp, var';
 
 // --- State Variables --- 
 let isEnabled = false;
-let excludedSites = [];
+let isTabPaused = false; // Paused for this tab only (kept by the background script)
+let snoozes = { global: 0, sites: {} }; // Timed snoozes: expiry timestamps, global and per hostname
+let siteRules = [];
+let activeRule = null; // Highest priority site rule matching this page (see lib/rules.js), or null
+let selectorPresets = {};
+let siteSelectors = [];
+let targetSelector = TARGET_TAGS.join(','); // Default tags plus the site's include selectors
+let excludeSelector = ''; // The site's exclude selectors (subtrees are skipped too)
+let elementRules = [];
+let hostElementRules = []; // Element rules for this host (see lib/selectors.js)
+let detectionMode = 'ratio'; // 'ratio' or 'first-strong'
+let rtlThreshold = 40; // Minimum RTL share (percent of strong characters) for 'ratio' mode
+let rtlScripts = [...DEFAULT_RTL_SCRIPTS]; // Scripts whose letters count as RTL (see lib/detection.js)
+let respectLangAttribute = true; // A lang attribute on or around a block decides its direction
+let styleStrategy = 'inline'; // 'inline' | 'dir-attr' | 'dir-auto' | 'class'
+let isolateLtrRuns = false; // Wrap LTR runs inside RTL blocks in <bdi> and isolate code elements
+let fixEditableFields = false; // Switch the direction of text fields while the user types (opt-in)
+let rtlFont = null; // Global font substitution settings (see lib/fonts.js)
+let siteFonts = [];
+let activeFont = null; // Font in effect on this host, null when substitution is off
+let mirrorSites = [];
+let activeMirror = null; // Mirrored site entry matching this host (see lib/mirror.js), or null
+let textNormalization = null; // Digit/punctuation/letter normalization of RTL blocks (see lib/normalize.js)
+let editableWatcherActive = false;
 let currentHostname = null;
 let observer = null;
 let observerActive = false;
 let secondScanTimer = null; // Timer ID for the delayed second scan
+let scanBudgetMs = 8; // Max main-thread time per scan slice
+let maxClassifyChars = 2000; // Text read per element for classification
+
+/**
+ * URL whose settings and rules apply to this frame: the page itself in the top frame, the top page's
+ * URL in same-origin (and about:blank) frames, and null in cross-origin frames, which we leave alone.
+ */
+function getPageUrl() {
+    if (window === window.top) return window.location.href;
+    try { return window.top.location.href; } catch (e) { return null; } // Cross-origin access throws
+}
 
 // Get hostname early
-try { if (window.location) currentHostname = window.location.hostname; }
-catch (e) { console.error("RTL Fixer: Error getting hostname:", e); }
+try { const pageUrl = getPageUrl(); if (pageUrl) currentHostname = new URL(pageUrl).hostname || null; }
+catch (e) { logger.error("Error getting hostname:", e); }
+
+// --- Site Rule Helpers ---
+
+// Re-resolves the matching rule; called on init, on rule updates and before scans (SPAs change the URL).
+function refreshActiveRule() {
+    try { activeRule = findMatchingRule(siteRules, getPageUrl()); }
+    catch (e) { activeRule = null; }
+    return activeRule;
+}
+
+// True when the extension should be fixing this page right now.
+function isActiveHere() {
+    return isEnabled && !!currentHostname && activeRule?.mode !== 'off' && !isTabPaused && !isSnoozed();
+}
+
+// A global or site snooze that has not expired yet (the background lifts it when its alarm fires).
+function isSnoozed() {
+    const until = Math.max(snoozes.global || 0, snoozes.sites?.[currentHostname] || 0);
+    return until > Date.now();
+}
+
+// The threshold in effect: an 'auto-threshold' rule overrides the global setting.
+function getEffectiveThreshold() {
+    return activeRule?.mode === 'auto-threshold' ? activeRule.threshold : rtlThreshold;
+}
+
+// Rebuilds targetSelector/excludeSelector from the presets and user sets matching this host.
+function refreshSiteSelectors() {
+    const { include, exclude } = resolveSiteSelectors(selectorPresets, siteSelectors, currentHostname);
+    // Storage is validated by the background, but a selector may still be unsupported by this page's engine
+    const usable = (list) => list.filter(selector => { if (isValidSelector(selector)) return true; logger.warn("Ignoring invalid selector:", selector); return false; });
+    targetSelector = [...TARGET_TAGS, ...usable(include)].join(',');
+    excludeSelector = usable(exclude).join(',');
+}
+
+function refreshActiveFont() {
+    activeFont = resolveRtlFont(rtlFont, siteFonts, currentHostname);
+    return activeFont;
+}
+
+function refreshElementRules() {
+    hostElementRules = getElementRulesForHost(elementRules, currentHostname).filter(rule => isValidSelector(rule.selector));
+}
+
+// True for built-in skipped elements and for anything inside a site exclude selector or a block pinned as "leave alone".
+function isSkipped(element) {
+    return element.matches(SKIP_SELECTORS) || (!!excludeSelector && !!element.closest(excludeSelector)) || !!element.closest(`[${PINNED_ATTR}="ignore"]`);
+}
 
 // --- Core Logic Functions (isPotentialCandidate, applyRtlStyle, checkAndFixNode) ---
 
+/**
+ * Collects the text of an element that should take part in direction detection.
+ * Text inside code-like elements is left out, since it is almost always LTR
+ * and says nothing about the direction of the surrounding prose.
+ */
+function getClassifiableText(element) {
+    let text = '';
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement && node.parentElement.closest(CODE_SELECTORS)) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    // Reading the whole textContent of huge containers is slow; the first part decides the direction
+    while (walker.nextNode() && text.length < maxClassifyChars) text += walker.currentNode.data;
+    return text;
+}
+
+// Classifies text with the current detection settings (see lib/detection.js).
+function classifyText(text) {
+    return classifyDirection(text, { mode: detectionMode, threshold: getEffectiveThreshold(), scripts: rtlScripts });
+}
+
+/**
+ * Direction set by the nearest lang attribute of a block ('rtl', 'ltr' or null when there is none or it says nothing).
+ * The lang of <html> and <body> is ignored: it is the site's UI language, not the language of what people post.
+ */
+function getLanguageDirectionOf(element) {
+    if (!respectLangAttribute) return null;
+    const langElement = element.closest('[lang]');
+    if (!langElement || langElement === document.documentElement || langElement === document.body) return null;
+    return getLanguageDirection(langElement.getAttribute('lang'), rtlScripts);
+}
+
+// Text-based decision for a block with the current settings (see evaluateBlockText in lib/detection.js).
+function evaluateBlock(element, text) {
+    return evaluateBlockText(text, {
+        mode: detectionMode, threshold: getEffectiveThreshold(), scripts: rtlScripts,
+        forceRtl: activeRule?.mode === 'force-rtl', langDirection: getLanguageDirectionOf(element)
+    });
+}
+
+/**
+ * Checks whether an element should be styled RTL. Elements that should not are marked with
+ * PROCESSED_ATTR (the value says why), so later scans skip them.
+ */
 function isPotentialCandidate(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE || element.matches(SKIP_SELECTORS) || !element.isConnected) return false;
-    if (element.hasAttribute(PROCESSED_ATTR) || element.hasAttribute(RTL_STYLE_ATTR)) return false;
-    let computedStyle; try { computedStyle = window.getComputedStyle(element); if (computedStyle.display === 'none' || computedStyle.visibility === 'hidden') { element.setAttribute(PROCESSED_ATTR, 'hidden'); return false; } } catch (e) { computedStyle = null; }
-    const text = element.textContent; if (!text || !RTL_REGEX.test(text)) { element.setAttribute(PROCESSED_ATTR, 'no-rtl'); return false; }
-    try { const direction = computedStyle ? computedStyle.direction : window.getComputedStyle(element).direction; if (direction === 'rtl') { element.setAttribute(PROCESSED_ATTR, 'already-rtl'); return false; } } catch (e) { element.setAttribute(PROCESSED_ATTR, 'style-error'); return false; }
+    if (!element || element.nodeType !== Node.ELEMENT_NODE || isSkipped(element) || !element.isConnected) return false;
+    if (element.hasAttribute(PROCESSED_ATTR) || element.hasAttribute(RTL_STYLE_ATTR) || element.hasAttribute(PINNED_ATTR)) return false;
+    let computedStyle = null;
+    try { computedStyle = window.getComputedStyle(element); } catch (e) { /* Tried again below */ }
+    if (computedStyle && (computedStyle.display === 'none' || computedStyle.visibility === 'hidden')) {
+        element.setAttribute(PROCESSED_ATTR, 'hidden');
+        return false;
+    }
+    const { isRtl, reason } = evaluateBlock(element, getClassifiableText(element));
+    if (!isRtl) {
+        element.setAttribute(PROCESSED_ATTR, reason);
+        return false;
+    }
+    // Blocks the page already shows right-to-left need nothing from us
+    try {
+        if ((computedStyle || window.getComputedStyle(element)).direction === 'rtl') {
+            element.setAttribute(PROCESSED_ATTR, 'already-rtl');
+            return false;
+        }
+    } catch (e) {
+        element.setAttribute(PROCESSED_ATTR, 'style-error');
+        return false;
+    }
     return true;
 }
-function applyRtlStyle(element) {
-    element.style.direction = 'rtl'; element.style.textAlign = 'right'; element.setAttribute(RTL_STYLE_ATTR, 'true'); element.removeAttribute(PROCESSED_ATTR);
+function applyRtlStyle(element, forced = false) {
+    applyDirectionStyle(element, 'rtl', forced);
+}
+function applyLtrStyle(element) {
+    applyDirectionStyle(element, 'ltr', true);
+}
+function removeStyle(element) {
+    restoreElementStyle(element);
+}
+
+/**
+ * Applies an element rule action to a block: 'rtl', 'ltr' or 'ignore' (our styling removed, block left alone).
+ */
+function pinElement(element, action) {
+    if (element.getAttribute(PINNED_ATTR) === action) return;
+    if (element.hasAttribute(RTL_STYLE_ATTR)) removeStyle(element);
+    if (action === 'rtl') applyRtlStyle(element, true);
+    else if (action === 'ltr') applyLtrStyle(element);
+    element.setAttribute(PINNED_ATTR, action);
+}
+
+/**
+ * Re-applies the saved element rules for this host inside a container (the container itself included).
+ * @returns {number} Number of rule matches.
+ */
+function applyElementRules(container) {
+    if (!hostElementRules.length || !container || typeof container.querySelectorAll !== 'function') return 0;
+    let count = 0;
+    for (const rule of hostElementRules) {
+        try {
+            if (container.nodeType === Node.ELEMENT_NODE && container.matches(rule.selector)) { pinElement(container, rule.action); count++; }
+            container.querySelectorAll(rule.selector).forEach(el => { pinElement(el, rule.action); count++; });
+        } catch (e) { logger.warn("Could not apply element rule:", rule.selector, e); }
+    }
+    return count;
+}
+/**
+ * Styles a block and everything below it; a text node stands for its parent element.
+ * `rulesApplied` is set once the element rules ran for the subtree being walked.
+ */
+function checkAndFixNode(node, rulesApplied = false) {
+    if (!node) return;
+    if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
+        node = node.parentElement;
+        node.removeAttribute(PROCESSED_ATTR); // Its text changed, so check it again
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.closest(`[${UI_ATTR}]`) || !node.isConnected) return;
+    if (!rulesApplied) applyElementRules(node); // Pinned blocks first, once per added subtree
+    if (isSkipped(node)) return;
+    if (isPotentialCandidate(node)) applyRtlStyle(node);
+    else if (!node.hasAttribute(PROCESSED_ATTR) && !node.hasAttribute(RTL_STYLE_ATTR)) node.setAttribute(PROCESSED_ATTR, 'checked-subtree');
+    for (const child of [...node.children]) checkAndFixNode(child, true);
+}
+
+// --- Activity Reporting ---
+// Counts are sent to the background script (throttled) for the toolbar badge and the popup's stats panel.
+
+const STATS_REPORT_INTERVAL = 1000;
+let statsReportTimer = null;
+
+// Short description of what the fixer is doing on this page, shown in the popup.
+function getCurrentMode() {
+    if (!isEnabled) return 'disabled';
+    if (!currentHostname) return 'unsupported';
+    if (activeRule?.mode === 'off') return 'excluded';
+    if (isTabPaused) return 'paused';
+    if (isSnoozed()) return 'snoozed';
+    return activeRule?.mode || 'auto';
+}
+
+function scheduleStatsReport() {
+    if (statsReportTimer || scriptRetired) return;
+    statsReportTimer = setTimeout(sendStatsReport, STATS_REPORT_INTERVAL);
+}
+
+async function sendStatsReport() {
+    if (statsReportTimer) { clearTimeout(statsReportTimer); statsReportTimer = null; }
+    if (scriptRetired) return;
+    const payload = {
+        styled: queryAllDeep(`[${RTL_STYLE_ATTR}]`).length,
+        checked: scanStats.totalChecked,
+        lastScanAt: scanStats.lastScanAt,
+        lastScanDuration: scanStats.lastScanDuration,
+        mode: getCurrentMode(),
+        debugOverlay
+    };
+    await sendToBackground('reportStats', payload); // On failure the next report catches up
+}
+
+// --- Styling Strategies ---
+// Every change we make is recorded first, so reverting puts back exactly what the page had.
+
+const originalStyles = new WeakMap(); // element -> { touched: { direction, textAlign, unicodeBidi, dir, className } }
+const isolatedTextNodes = new WeakMap(); // styled element -> [{ textNode, original, assigned, inserted: [...] }]
+
+function recordStyleProperty(element, property) {
+    const record = originalStyles.get(element) || { touched: {} };
+    if (!(property in record.touched)) {
+        record.touched[property] = property === 'dir' ? element.getAttribute('dir')
+            : property === 'className' ? null
+                : { value: element.style.getPropertyValue(property), priority: element.style.getPropertyPriority(property) };
+    }
+    originalStyles.set(element, record);
+}
+
+function setStyleProperty(element, property, value) {
+    recordStyleProperty(element, property);
+    element.style.setProperty(property, value);
 }
-function checkAndFixNode(node) {
-    if (!node) return; if (node.nodeType === Node.TEXT_NODE && node.parentElement) { node = node.parentElement; node.removeAttribute(PROCESSED_ATTR); }
-    if (!node || node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIP_SELECTORS) || !node.isConnected) return;
-    if (isPotentialCandidate(node)) { applyRtlStyle(node); } else { if (!node.hasAttribute(PROCESSED_ATTR) && !node.hasAttribute(RTL_STYLE_ATTR)) node.setAttribute(PROCESSED_ATTR, 'checked-subtree'); }
-    const children = node.children; for (let i = 0; i < children.length; i++) checkAndFixNode(children[i]);
+
+// Document styles don't reach into shadow roots, so each root hosting a styled element gets its own copy.
+function ensureStylesheet(root = document) {
+    const isShadowRoot = root !== document && root instanceof ShadowRoot;
+    if ((isShadowRoot ? root : document).getElementById(STYLESHEET_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLESHEET_ID;
+    style.setAttribute(UI_ATTR, 'stylesheet');
+    style.textContent = `.${STYLE_CLASSES.rtl} { direction: rtl !important; text-align: right !important; }\n.${STYLE_CLASSES.ltr} { direction: ltr !important; text-align: left !important; }`;
+    if (isShadowRoot) root.appendChild(style);
+    else (document.head || document.documentElement).appendChild(style);
+}
+
+/**
+ * Sets the direction of a block using the selected strategy.
+ * @param {Element} element - The block.
+ * @param {'rtl'|'ltr'} direction - The direction to apply.
+ * @param {boolean} [forced=false] - Pinned blocks; 'dir-auto' uses an explicit dir for them.
+ */
+function applyDirectionStyle(element, direction, forced = false) {
+    releaseMirroredAlignment(element);
+    switch (styleStrategy) {
+        case 'dir-attr':
+        case 'dir-auto':
+            recordStyleProperty(element, 'dir');
+            element.setAttribute('dir', styleStrategy === 'dir-auto' && !forced ? 'auto' : direction);
+            break;
+        case 'class':
+            ensureStylesheet(element.getRootNode());
+            recordStyleProperty(element, 'className');
+            element.classList.add(STYLE_CLASSES[direction]);
+            break;
+        default: // 'inline'
+            setStyleProperty(element, 'direction', direction);
+            setStyleProperty(element, 'text-align', direction === 'rtl' ? 'right' : 'left');
+    }
+    element.setAttribute(RTL_STYLE_ATTR, direction === 'rtl' ? 'true' : 'ltr');
+    element.removeAttribute(PROCESSED_ATTR);
+    if (activeFont && direction === 'rtl') applyRtlFont(element);
+    if (direction === 'rtl' && isNormalizationActive(textNormalization)) normalizeBlockText(element); // Before isolating, which splits text nodes
+    if (isolateLtrRuns && direction === 'rtl') isolateLtrContent(element);
+}
+
+/**
+ * Substitutes the font of an RTL block. Always inline (whatever the strategy), recorded like the direction styles.
+ * The size is scaled from the block's own computed size, but not again inside an already scaled block.
+ */
+function applyRtlFont(element) {
+    setStyleProperty(element, 'font-family', activeFont.family);
+    if (activeFont.sizeScale !== 100 && !element.parentElement?.closest(`[${FONT_ATTR}]`)) {
+        const size = parseFloat(window.getComputedStyle(element).fontSize);
+        if (size > 0) setStyleProperty(element, 'font-size', `${Math.round(size * activeFont.sizeScale) / 100}px`);
+    }
+    if (activeFont.lineHeight) setStyleProperty(element, 'line-height', String(activeFont.lineHeight));
+    element.setAttribute(FONT_ATTR, 'true');
+}
+
+/**
+ * Undoes applyDirectionStyle: puts back the recorded inline values, dir attribute and classes,
+ * unwraps isolated LTR runs and restores normalized text.
+ */
+function restoreElementStyle(element) {
+    restoreIsolatedContent(element);
+    restoreNormalizedText(element);
+    const record = originalStyles.get(element);
+    if (record) {
+        for (const [property, original] of Object.entries(record.touched)) {
+            if (property === 'dir') {
+                if (original === null) element.removeAttribute('dir'); else element.setAttribute('dir', original);
+            } else if (property === 'className') {
+                element.classList.remove(STYLE_CLASSES.rtl, STYLE_CLASSES.ltr);
+            } else if (original.value) {
+                element.style.setProperty(property, original.value, original.priority);
+            } else {
+                element.style.removeProperty(property);
+            }
+        }
+        originalStyles.delete(element);
+        if (element.getAttribute('style') === '') element.removeAttribute('style');
+    } else {
+        // Styled by an older version of this script: no record, fall back to clearing our properties
+        element.style.direction = ''; element.style.textAlign = '';
+    }
+    element.removeAttribute(RTL_STYLE_ATTR);
+    element.removeAttribute(FONT_ATTR);
+    element.removeAttribute(PROCESSED_ATTR);
+}
+
+/**
+ * Wraps LTR runs of the block's text nodes in <bdi> and isolates code-like elements,
+ * so English words, URLs and numbers keep their order inside RTL paragraphs.
+ */
+function isolateLtrContent(element) {
+    element.querySelectorAll(ISOLATE_SELECTORS).forEach(codeElement => {
+        if (codeElement.hasAttribute(ISOLATE_ATTR)) return;
+        setStyleProperty(codeElement, 'unicode-bidi', 'isolate');
+        codeElement.setAttribute(ISOLATE_ATTR, 'style');
+    });
+    const groups = isolatedTextNodes.get(element) || [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement && node.parentElement.closest(`${CODE_SELECTORS}, [${ISOLATE_ATTR}], [${UI_ATTR}]`)) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    for (const textNode of textNodes) {
+        const runs = [...textNode.data.matchAll(LTR_RUN_REGEX)].filter(match => LTR_REGEX.test(match[0]));
+        // A node that is nothing but one LTR run is already isolated by its parent element
+        if (!runs.length || (runs.length === 1 && runs[0][0].length === textNode.data.trim().length)) continue;
+        groups.push(wrapLtrRuns(textNode, runs));
+    }
+    if (groups.length) isolatedTextNodes.set(element, groups);
+}
+
+/**
+ * Splits a text node around the given runs. The original node keeps the first piece (pages and
+ * frameworks may hold a reference to it); the rest is inserted after it.
+ */
+function wrapLtrRuns(textNode, runs) {
+    const original = textNode.data;
+    const pieces = [];
+    let position = 0;
+    for (const match of runs) {
+        if (match.index > position) pieces.push({ text: original.slice(position, match.index), isRun: false });
+        pieces.push({ text: match[0], isRun: true });
+        position = match.index + match[0].length;
+    }
+    if (position < original.length) pieces.push({ text: original.slice(position), isRun: false });
+
+    const inserted = [];
+    let anchor = textNode;
+    pieces.forEach((piece, index) => {
+        let node;
+        if (index === 0) {
+            textNode.data = piece.text;
+            node = textNode;
+            if (piece.isRun) { // Move the original node into its wrapper
+                const bdi = document.createElement('bdi');
+                bdi.setAttribute(ISOLATE_ATTR, 'bdi');
+                textNode.parentNode.insertBefore(bdi, textNode);
+                bdi.appendChild(textNode);
+                inserted.push(bdi);
+                anchor = bdi;
+            }
+            return;
+        }
+        if (piece.isRun) {
+            node = document.createElement('bdi');
+            node.setAttribute(ISOLATE_ATTR, 'bdi');
+            node.textContent = piece.text;
+        } else {
+            node = document.createTextNode(piece.text);
+        }
+        anchor.parentNode.insertBefore(node, anchor.nextSibling);
+        inserted.push(node);
+        anchor = node;
+    });
+    return { textNode, original, assigned: pieces[0].text, inserted };
+}
+
+function restoreIsolatedContent(element) {
+    const groups = isolatedTextNodes.get(element);
+    if (groups) {
+        for (const { textNode, original, assigned, inserted } of groups) {
+            const firstWrapper = inserted[0];
+            if (firstWrapper && firstWrapper.contains(textNode) && firstWrapper.parentNode) firstWrapper.parentNode.insertBefore(textNode, firstWrapper);
+            inserted.forEach(node => node.remove());
+            // If the page rewrote the text meanwhile, keep its version
+            if (textNode.data === assigned) textNode.data = original;
+        }
+        isolatedTextNodes.delete(element);
+    }
+    element.querySelectorAll(`[${ISOLATE_ATTR}="style"]`).forEach(codeElement => {
+        restoreElementStyle(codeElement);
+        codeElement.removeAttribute(ISOLATE_ATTR);
+    });
+}
+
+// --- Text Normalization ---
+// Text nodes of RTL blocks can get Persian/Arabic digits, punctuation and letters (lib/normalize.js).
+// The original text of every node we change is kept, so reverting gives back exactly what the page had.
+
+const normalizedTextNodes = new WeakMap(); // styled element -> Map(textNode -> { original, assigned })
+const NORMALIZE_SKIP_SELECTORS = `${CODE_SELECTORS}, textarea, [contenteditable], [${ISOLATE_ATTR}], [${UI_ATTR}]`;
+
+function normalizeBlockText(element) {
+    const records = normalizedTextNodes.get(element) || new Map();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement && node.parentElement.closest(NORMALIZE_SKIP_SELECTORS)) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    for (const textNode of textNodes) {
+        const record = records.get(textNode);
+        if (record && textNode.data === record.assigned) continue; // Still our text
+        const normalized = normalizeText(textNode.data, textNormalization);
+        if (normalized === textNode.data) continue;
+        // A node the page rewrote since our last pass starts over from the page's text
+        records.set(textNode, { original: textNode.data, assigned: normalized });
+        textNode.data = normalized;
+    }
+    if (records.size) normalizedTextNodes.set(element, records);
+}
+
+function restoreNormalizedText(element) {
+    const records = normalizedTextNodes.get(element);
+    if (!records) return;
+    // If the page rewrote the text meanwhile, keep its version
+    records.forEach(({ original, assigned }, textNode) => { if (textNode.data === assigned) textNode.data = original; });
+    normalizedTextNodes.delete(element);
+}
+
+// --- Editable Fields ---
+// Text fields are skipped by the page scan. When enabled, the field (or, in rich editors, the block
+// holding the caret) gets a dir attribute matching what is being typed. Changing dir never moves the
+// caret. Fields whose dir is controlled by the site are left alone.
+
+const editableOriginalDir = new WeakMap(); // element -> dir attribute before we touched it (null if none)
+const siteManagedEditables = new WeakSet(); // elements with a site-controlled dir, never touched
+
+/**
+ * Returns the element whose direction should follow the typed text: the input/textarea itself,
+ * or the block holding the caret inside a contenteditable editor.
+ */
+function getEditableTarget(node) {
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    if (element.matches(EDITABLE_SELECTORS)) return element.readOnly || element.disabled ? null : element;
+    if (!element.isContentEditable) return null;
+    const editingHost = element.closest('[contenteditable]:not([contenteditable="false"])');
+    if (!editingHost) return null;
+    const anchor = document.getSelection()?.anchorNode;
+    let block = (anchor && editingHost.contains(anchor)) ? (anchor.nodeType === Node.TEXT_NODE ? anchor.parentElement : anchor) : element;
+    while (block && block !== editingHost) {
+        let display = 'block';
+        try { display = window.getComputedStyle(block).display; } catch (e) { /* keep block */ }
+        if (!display.startsWith('inline')) break;
+        block = block.parentElement;
+    }
+    return block || editingHost;
+}
+
+function updateEditableDirection(element) {
+    if (!element || siteManagedEditables.has(element)) return;
+    const currentDir = element.getAttribute('dir');
+    if (!editableOriginalDir.has(element)) {
+        // A dir set by the site before we ever touched the field means the site handles it
+        if (currentDir !== null && currentDir !== '') { siteManagedEditables.add(element); return; }
+        editableOriginalDir.set(element, currentDir);
+    } else if (element.hasAttribute(EDITABLE_ATTR) && currentDir !== element.getAttribute(EDITABLE_ATTR)) {
+        // The site changed dir after us: hand the field back to it
+        element.removeAttribute(EDITABLE_ATTR);
+        editableOriginalDir.delete(element);
+        siteManagedEditables.add(element);
+        return;
+    }
+    const text = 'value' in element && element.matches(EDITABLE_SELECTORS) ? element.value : element.textContent;
+    if (!text || !FIRST_STRONG_REGEX.test(text)) { restoreEditableDirection(element); return; }
+    const direction = classifyText(text).isRtl ? 'rtl' : 'ltr';
+    if (element.getAttribute(EDITABLE_ATTR) === direction) return;
+    element.setAttribute('dir', direction);
+    element.setAttribute(EDITABLE_ATTR, direction);
+}
+
+function restoreEditableDirection(element) {
+    if (!element.hasAttribute(EDITABLE_ATTR)) return;
+    const original = editableOriginalDir.get(element);
+    if (original === null || original === undefined) element.removeAttribute('dir'); else element.setAttribute('dir', original);
+    element.removeAttribute(EDITABLE_ATTR);
+}
+
+function handleEditableEvent(event) {
+    // composedPath()[0] is the real target when the field lives in an open shadow root
+    try { takePageMutations(); updateEditableDirection(getEditableTarget(event.composedPath()[0] || event.target)); discardOwnMutations(); }
+    catch (error) { logger.error("Error updating editable field direction:", error); }
+}
+
+// Starts or stops the focus/input listeners to match the current settings.
+function refreshEditableWatcher() {
+    const shouldWatch = fixEditableFields && isActiveHere();
+    if (shouldWatch && !editableWatcherActive) {
+        document.addEventListener('focusin', handleEditableEvent, true);
+        document.addEventListener('input', handleEditableEvent, true);
+        editableWatcherActive = true;
+        logger.debug("Watching editable fields.");
+    } else if (!shouldWatch && editableWatcherActive) {
+        document.removeEventListener('focusin', handleEditableEvent, true);
+        document.removeEventListener('input', handleEditableEvent, true);
+        editableWatcherActive = false;
+        queryAllDeep(`[${EDITABLE_ATTR}]`).forEach(restoreEditableDirection);
+        logger.debug("Stopped watching editable fields.");
+    }
+}
+
+// --- Shadow DOM Helpers ---
+// Open shadow roots are scanned and observed like the document body. Roots are discovered during
+// full scans and in added subtrees (components usually attach their root when inserted).
+
+const knownShadowRoots = new Set();
+
+/**
+ * Finds open shadow roots inside a container (including nested ones) that we haven't seen yet,
+ * starts observing them and returns them.
+ */
+function discoverShadowRoots(container) {
+    const found = [];
+    const visit = (root) => {
+        const elements = root.nodeType === Node.ELEMENT_NODE ? [root, ...root.querySelectorAll('*')] : root.querySelectorAll('*');
+        for (const element of elements) {
+            const shadowRoot = element.shadowRoot;
+            if (!shadowRoot || knownShadowRoots.has(shadowRoot) || element.hasAttribute(UI_ATTR)) continue;
+            knownShadowRoots.add(shadowRoot);
+            found.push(shadowRoot);
+            if (observer) observeRoot(shadowRoot);
+            visit(shadowRoot);
+        }
+    };
+    if (container && typeof container.querySelectorAll === 'function') visit(container);
+    return found;
+}
+
+// querySelectorAll over the document and every known shadow root (dropping roots whose host is gone).
+function queryAllDeep(selector) {
+    const results = [...document.querySelectorAll(selector)];
+    for (const root of knownShadowRoots) {
+        if (!root.host.isConnected) { knownShadowRoots.delete(root); continue; }
+        results.push(...root.querySelectorAll(selector));
+    }
+    return results;
 }
 
 // --- Scan and Observer Functions ---
 
 function runScan(scanReason = "Initial", container = document.body) { // Add reason for logging
     // ** Check if active before running any scan **
-    if (!isEnabled || (currentHostname && excludedSites.includes(currentHostname))) {
-        console.log(`RTL Fixer: Scan (${scanReason}) skipped (disabled or excluded).`);
+    refreshActiveRule();
+    if (!isActiveHere()) {
+        logger.debug(`Scan (${scanReason}) skipped (disabled or excluded).`);
         return;
     }
     if (!container || typeof container.querySelectorAll !== 'function') return;
-    console.log(`RTL Fixer: Running scan (${scanReason})...`);
-    const candidates = container.querySelectorAll(TARGET_TAGS.join(','));
-    let fixCount = 0;
-    candidates.forEach(el => {
-        try { // Add try-catch around candidate processing
-            if (isPotentialCandidate(el)) { applyRtlStyle(el); fixCount++; }
-            else if (!el.hasAttribute(PROCESSED_ATTR) && !el.hasAttribute(RTL_STYLE_ATTR)) {
-                el.setAttribute(PROCESSED_ATTR, 'scan-checked');
+    logger.debug(`Running scan (${scanReason})...`);
+    const roots = [container, ...discoverShadowRoots(container)];
+    if (container === document.body) roots.push(...[...knownShadowRoots].filter(root => !roots.includes(root)));
+    for (const root of roots) scanRoot(root);
+}
+
+// Applies element rules in one container (element or shadow root) and queues its candidates.
+function scanRoot(root, scanReason = "Shadow Root") {
+    const pinnedCount = applyElementRules(root === document ? document.body : root);
+    if (pinnedCount) { logger.debug(`Applied ${pinnedCount} element rule matches.`); discardOwnMutations(); }
+    enqueueCandidates(root.querySelectorAll(targetSelector), scanReason);
+}
+
+// --- Scan Scheduler ---
+// Candidates are processed in small slices during idle time so huge pages never block the main thread.
+// Elements near the viewport (reported by an IntersectionObserver) jump the queue; the rest follow.
+
+const queuedElements = new Set();
+const priorityQueue = []; // Near the viewport, processed first
+let deferredQueue = []; // Everything else, in document order
+let deferredIndex = 0;
+let viewportObserver = null;
+let scanCallbackId = null;
+let currentScan = null; // { reason, startedAt, styled, checked } for the batch in progress
+const scanStats = {
+    scans: 0, lastScanReason: null, lastScanAt: null, lastScanDuration: 0, lastScanBusyTime: 0,
+    lastScanStyled: 0, lastScanChecked: 0, totalStyled: 0, totalChecked: 0, slices: 0, longestSlice: 0, queued: 0
+};
+
+function getViewportObserver() {
+    if (!viewportObserver && typeof IntersectionObserver === 'function') {
+        viewportObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                viewportObserver.unobserve(entry.target);
+                if (entry.isIntersecting && queuedElements.has(entry.target)) priorityQueue.push(entry.target);
             }
-        } catch (scanError) {
-            console.error(`RTL Fixer: Error processing candidate during ${scanReason} scan:`, el, scanError);
+        }, { rootMargin: VIEWPORT_MARGIN });
+    }
+    return viewportObserver;
+}
+
+function enqueueCandidates(elements, reason) {
+    const io = getViewportObserver();
+    let added = 0;
+    for (const element of elements) {
+        if (queuedElements.has(element) || element.hasAttribute(PROCESSED_ATTR) || element.hasAttribute(RTL_STYLE_ATTR)) continue;
+        queuedElements.add(element);
+        deferredQueue.push(element);
+        if (io) io.observe(element);
+        added++;
+    }
+    if (!currentScan) currentScan = { reason, startedAt: performance.now(), busyTime: 0, styled: 0, checked: 0 };
+    scanStats.queued = queuedElements.size;
+    if (added || queuedElements.size) scheduleScanSlice();
+    else finishScan();
+}
+
+// Runs a slice of budgeted work when the browser is idle (callback gets the idle deadline, or null).
+function scheduleIdleSlice(callback) {
+    return typeof requestIdleCallback === 'function'
+        ? requestIdleCallback(callback, { timeout: 500 })
+        : setTimeout(() => callback(null), 16);
+}
+
+function cancelIdleSlice(callbackId) {
+    if (typeof cancelIdleCallback === 'function') cancelIdleCallback(callbackId); else clearTimeout(callbackId);
+}
+
+// Time a slice may take: the idle time the browser offers, but never more than our budget.
+function getSliceBudget(deadline) {
+    return deadline && !deadline.didTimeout ? Math.max(1, Math.min(deadline.timeRemaining(), scanBudgetMs)) : scanBudgetMs;
+}
+
+function scheduleScanSlice() {
+    if (scanCallbackId !== null) return;
+    scanCallbackId = scheduleIdleSlice(processScanSlice);
+}
+
+function cancelScheduledScan() {
+    if (scanCallbackId !== null) {
+        cancelIdleSlice(scanCallbackId);
+        scanCallbackId = null;
+    }
+    queuedElements.clear();
+    priorityQueue.length = 0;
+    deferredQueue = []; deferredIndex = 0;
+    if (viewportObserver) { viewportObserver.disconnect(); viewportObserver = null; }
+    currentScan = null;
+    scanStats.queued = 0;
+}
+
+function nextQueuedElement() {
+    while (priorityQueue.length) {
+        const element = priorityQueue.pop();
+        if (queuedElements.has(element)) return element;
+    }
+    while (deferredIndex < deferredQueue.length) {
+        const element = deferredQueue[deferredIndex++];
+        if (queuedElements.has(element)) return element;
+    }
+    return null;
+}
+
+function processScanSlice(deadline) {
+    scanCallbackId = null;
+    if (!isActiveHere()) { cancelScheduledScan(); return; }
+    const sliceStart = performance.now();
+    const budget = getSliceBudget(deadline);
+    let element;
+    while (performance.now() - sliceStart < budget && (element = nextQueuedElement())) {
+        queuedElements.delete(element);
+        if (viewportObserver) viewportObserver.unobserve(element);
+        processCandidate(element);
+    }
+    discardOwnMutations();
+    const sliceTime = performance.now() - sliceStart;
+    scanStats.slices++;
+    scanStats.longestSlice = Math.max(scanStats.longestSlice, sliceTime);
+    scanStats.queued = queuedElements.size;
+    if (currentScan) currentScan.busyTime += sliceTime;
+    if (queuedElements.size) scheduleScanSlice();
+    else finishScan();
+}
+
+function processCandidate(el) {
+    try { // Add try-catch around candidate processing
+        if (isPotentialCandidate(el)) { applyRtlStyle(el); if (currentScan) currentScan.styled++; }
+        else if (!el.hasAttribute(PROCESSED_ATTR) && !el.hasAttribute(RTL_STYLE_ATTR)) {
+            el.setAttribute(PROCESSED_ATTR, 'scan-checked');
         }
-    });
-    console.log(`RTL Fixer: Scan (${scanReason}) completed. ${fixCount} elements styled.`);
+        if (currentScan) currentScan.checked++;
+    } catch (scanError) {
+        logger.error(`Error processing candidate during ${currentScan?.reason} scan:`, el, scanError);
+    }
 }
 
-function debounce(func, wait) { /* Debounce implementation*/
-    let timeout; return function (...args) { const later = () => { clearTimeout(timeout); func(...args); }; clearTimeout(timeout); timeout = setTimeout(later, wait); };
+function finishScan() {
+    if (!currentScan) return;
+    deferredQueue = []; deferredIndex = 0;
+    Object.assign(scanStats, {
+        scans: scanStats.scans + 1,
+        lastScanReason: currentScan.reason,
+        lastScanAt: Date.now(),
+        lastScanDuration: Math.round(performance.now() - currentScan.startedAt),
+        lastScanBusyTime: Math.round(currentScan.busyTime),
+        lastScanStyled: currentScan.styled,
+        lastScanChecked: currentScan.checked,
+        totalStyled: scanStats.totalStyled + currentScan.styled,
+        totalChecked: scanStats.totalChecked + currentScan.checked
+    });
+    logger.debug(`Scan (${currentScan.reason}) completed. ${currentScan.styled} of ${currentScan.checked} elements styled in ${scanStats.lastScanDuration}ms (${scanStats.lastScanBusyTime}ms busy).`);
+    currentScan = null;
+    if (debugOverlay) refreshDebugStylesheets(); // Shadow roots found by this scan
+    scheduleStatsReport();
 }
 
-// Make mutation handler slightly more robust
-const handleMutations = debounce((mutationsList) => {
-    if (!isEnabled || !observerActive || (currentHostname && excludedSites.includes(currentHostname))) return;
-    // console.log("RTL Fixer: Processing mutations...");
-    mutationsList.forEach((mutation) => {
+// --- Mutation Pipeline ---
+// The observer callback only records what changed; a debounced flush (at most every 2s under
+// constant activity, e.g. streaming chat replies) then handles every batch since the last flush.
+
+const OBSERVED_ATTRIBUTES = ['dir', 'lang', 'class'];
+const pendingAddedNodes = new Set(); // New subtrees to check
+const pendingChangedElements = new Set(); // Elements whose children/attributes changed: re-evaluated if they are (or were styled as) blocks, plus their nearest target ancestor
+const pendingTextParents = new Set(); // Parents of edited text nodes: always re-evaluated themselves, plus their nearest target ancestor
+
+function handleMutations(mutationsList) {
+    if (!observerActive || !isActiveHere()) return;
+    for (const mutation of mutationsList) {
         try { // Add try-catch around mutation processing
+            if (mutation.target === document.documentElement) { handleTranslationSignalDebounced(); continue; } // <html> lang/class only
             if (mutation.type === 'childList') {
                 mutation.addedNodes.forEach(node => {
-                    try { checkAndFixNode(node); } // Inner try-catch for added nodes
-                    catch (nodeError) { console.error("RTL Fixer: Error in checkAndFixNode for added node:", node, nodeError); }
+                    if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) pendingAddedNodes.add(node);
+                    if (isTranslationWrapper(node)) handleTranslationSignalDebounced();
                 });
+                // Added or removed children change the text of the block they live in
+                if (mutation.target.nodeType === Node.ELEMENT_NODE) pendingChangedElements.add(mutation.target);
             } else if (mutation.type === 'characterData' && mutation.target.parentElement) {
-                mutation.target.parentElement.removeAttribute(PROCESSED_ATTR);
-                checkAndFixNode(mutation.target.parentElement);
+                pendingTextParents.add(mutation.target.parentElement);
+            } else if (mutation.type === 'attributes') {
+                pendingChangedElements.add(mutation.target);
             }
         } catch (mutationError) {
-            console.error("RTL Fixer: Error processing mutation:", mutation, mutationError);
+            logger.error("Error recording mutation:", mutation, mutationError);
         }
+    }
+    flushMutationsDebounced();
+}
+
+const flushMutationsDebounced = debounce(() => flushMutations(), 400, 2000);
+
+function flushMutations() {
+    const added = [...pendingAddedNodes];
+    const changed = [...pendingChangedElements];
+    const textParents = new Set(pendingTextParents);
+    pendingAddedNodes.clear();
+    pendingChangedElements.clear();
+    pendingTextParents.clear();
+    if (!observerActive || !isActiveHere()) return;
+
+    // Added subtrees: skip nodes that sit inside another added node, they are covered by its walk
+    const addedSet = new Set(added);
+    for (const node of added) {
+        if (!node.isConnected) continue;
+        let ancestor = node.parentNode; let covered = false;
+        while (ancestor) { if (addedSet.has(ancestor)) { covered = true; break; } ancestor = ancestor.parentNode; }
+        if (covered) continue;
+        try { checkAndFixNode(node); } // Inner try-catch for added nodes
+        catch (nodeError) { logger.error("Error in checkAndFixNode for added node:", node, nodeError); }
+        if (mirrorApplied) mirrorAddedNode(node);
+        // Components added with an open shadow root: scan and observe their content too
+        if (node.nodeType === Node.ELEMENT_NODE) discoverShadowRoots(node).forEach(root => scanRoot(root));
+    }
+
+    // Changed content: re-evaluate each element and the target block containing it, once each
+    // (Generic containers such as an app root only count through their blocks, never as a whole.)
+    const toReevaluate = new Set();
+    for (const element of [...changed, ...textParents]) {
+        if (!element.isConnected || element.closest(`[${UI_ATTR}]`)) continue;
+        if (textParents.has(element) || element.hasAttribute(RTL_STYLE_ATTR) || element.matches(targetSelector)) toReevaluate.add(element);
+        const block = element.parentElement?.closest(targetSelector);
+        if (block) toReevaluate.add(block);
+    }
+    toReevaluate.forEach(element => {
+        try { reevaluateElement(element); }
+        catch (error) { logger.error("Error re-evaluating element:", element, error); }
     });
-    // console.log("RTL Fixer: Mutation processing finished.");
-}, 400);
+    discardOwnMutations();
+    scheduleStatsReport();
+}
+
+/**
+ * Re-classifies an element whose content or attributes changed. Elements we styled RTL that are
+ * no longer RTL get their original styles back; unstyled ones get a fresh check.
+ */
+function reevaluateElement(element) {
+    if (element.hasAttribute(PINNED_ATTR) || isSkipped(element)) return;
+    if (element.getAttribute(RTL_STYLE_ATTR) === 'true') {
+        if (evaluateBlock(element, getClassifiableText(element)).isRtl) {
+            // Normalize and re-split the new text
+            if (isolateLtrRuns) restoreIsolatedContent(element);
+            if (isNormalizationActive(textNormalization)) normalizeBlockText(element);
+            if (isolateLtrRuns) isolateLtrContent(element);
+            return;
+        }
+        restoreElementStyle(element);
+    }
+    element.removeAttribute(PROCESSED_ATTR);
+    if (isPotentialCandidate(element)) applyRtlStyle(element);
+    else if (!element.hasAttribute(PROCESSED_ATTR)) element.setAttribute(PROCESSED_ATTR, 'rechecked');
+}
 
+// Drops every queued record, so the ones our own DOM changes just produced don't come back as "page changes".
+// In our own tasks (timers, messages) the queue holds nothing else: records of earlier page changes were
+// delivered before the task started. Event listeners can run after page code in the same task, whose records
+// are still queued, so they call takePageMutations() before changing the DOM.
+function discardOwnMutations() {
+    if (observer) observer.takeRecords();
+}
+
+// Handles the records queued before we change the DOM from an event listener, so discardOwnMutations() only drops ours.
+function takePageMutations() {
+    if (!observer) return;
+    const records = observer.takeRecords();
+    if (records.length) handleMutations(records);
+}
 
 function startObserver() {
-    if (observer || !isEnabled || (currentHostname && excludedSites.includes(currentHostname))) return;
+    if (observer || !isActiveHere()) return;
     if (!document.body) { setTimeout(startObserver, 100); return; }
-    console.log("RTL Fixer: Starting MutationObserver for", currentHostname);
+    logger.debug("Starting MutationObserver for", currentHostname);
     observer = new MutationObserver(handleMutations);
-    try { observer.observe(document.body, { childList: true, subtree: true, characterData: true }); observerActive = true; }
-    catch (error) { console.error("RTL Fixer: Failed to start observer:", error); observer = null; observerActive = false; }
+    try {
+        observeRoot(document.body); knownShadowRoots.forEach(observeRoot);
+        observer.observe(document.documentElement, { attributes: true, attributeFilter: TRANSLATION_ATTRIBUTES }); // Translation signals
+        observerActive = true;
+    }
+    catch (error) { logger.error("Failed to start observer:", error); observer = null; observerActive = false; }
+}
+
+function observeRoot(root) {
+    observer.observe(root, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: OBSERVED_ATTRIBUTES });
 }
 
 function stopObserver() {
-    if (observer) { console.log("RTL Fixer: Stopping observer"); observer.disconnect(); observer = null; observerActive = false; }
+    if (observer) { logger.debug("Stopping observer"); observer.disconnect(); observer = null; observerActive = false; }
+    cancelScheduledScan(); // Queued candidates belong to the run being stopped
+    pendingAddedNodes.clear(); pendingChangedElements.clear(); pendingTextParents.clear();
     // Clear the second scan timer if we stop the observer
     if (secondScanTimer) {
         clearTimeout(secondScanTimer);
         secondScanTimer = null;
-        console.log("RTL Fixer: Cleared delayed second scan timer.");
+        logger.debug("Cleared delayed second scan timer.");
     }
 }
 
+// Drops the "already checked" markers so the next scan classifies every element again.
+function clearProcessedMarkers() {
+    queryAllDeep(`[${PROCESSED_ATTR}]`).forEach(el => el.removeAttribute(PROCESSED_ATTR));
+}
+
 function revertAllStyles() {
-    console.log("RTL Fixer: Reverting styles..."); const styled = document.querySelectorAll(`[${RTL_STYLE_ATTR}]`); styled.forEach(el => { el.style.direction = ''; el.style.textAlign = ''; el.removeAttribute(RTL_STYLE_ATTR); el.removeAttribute(PROCESSED_ATTR); }); console.log(`Reverted ${styled.length} elements.`);
+    logger.debug("Reverting styles...");
+    const styled = queryAllDeep(`[${RTL_STYLE_ATTR}]`);
+    styled.forEach(el => removeStyle(el));
+    queryAllDeep(`[${PINNED_ATTR}]`).forEach(el => el.removeAttribute(PINNED_ATTR));
+    queryAllDeep(`#${STYLESHEET_ID}`).forEach(el => el.remove());
+    discardOwnMutations();
+    scheduleStatsReport();
+    logger.debug(`Reverted ${styled.length} elements.`);
 }
 
 
-// --- Initialization and Message Handling ---
+// --- Translation Detection ---
+// Google Translate and Firefox translation rewrite the page in place. The signs: <html> gets another
+// lang and/or a "translated-rtl"/"translated-ltr" class, and translated text is wrapped in <font> tags.
+// Translating re-evaluates every block, including those already checked; translating back reverts
+// everything and classifies the original page again.
 
-async function getSettingsWithRetry(maxRetries = 5, initialDelay = 200) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try { /* console.log(`Attempt ${attempt}/${maxRetries}...`); */
-            const settings = await browser.runtime.sendMessage({ action: 'getSettings' });
-            if (settings && typeof settings.isEnabled !== 'undefined' && Array.isArray(settings.excludedSites)) {
-                /* console.log("Settings received:", settings); */ return settings;
-            } else {
-                /* console.warn(`Invalid settings on attempt ${attempt}:`, settings); */
-                if (attempt === maxRetries) throw new Error("Invalid settings after max retries.");
+const TRANSLATION_ATTRIBUTES = ['lang', 'class'];
+const TRANSLATION_CLASSES = ['translated-rtl', 'translated-ltr'];
+const TRANSLATION_WRAPPER_SELECTOR = 'font[style*="vertical-align"]';
+let originalPageLang = ''; // <html lang> when the page loaded
+let pageTranslated = false;
+
+function isTranslationWrapper(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.nodeName === 'FONT' && node.matches(TRANSLATION_WRAPPER_SELECTOR);
+}
+
+function isPageTranslated() {
+    const root = document.documentElement;
+    if (TRANSLATION_CLASSES.some(name => root.classList.contains(name))) return true;
+    if ((root.getAttribute('lang') || '') !== originalPageLang) return true;
+    return !!document.body?.querySelector(TRANSLATION_WRAPPER_SELECTOR);
+}
+
+// Translation works through the page in chunks, so signals are collected for a moment (at most 3s).
+const handleTranslationSignalDebounced = debounce(() => reactToTranslation(), 500, 3000);
+
+function reactToTranslation() {
+    const translated = isPageTranslated();
+    if (!translated && !pageTranslated) return;
+    pageTranslated = translated;
+    if (!observerActive || !isActiveHere() || !document.body) return;
+    if (translated) {
+        logger.info("Page translated (lang:", document.documentElement.getAttribute('lang'), "), re-evaluating all blocks.");
+        rescanForTranslation();
+    } else {
+        logger.info("Page translated back, reverting.");
+        revertAllStyles(); clearProcessedMarkers(); runScan("Translation Reverted");
+    }
+}
+
+/**
+ * Full rescan after a translation: styled blocks are re-classified (and reverted when no longer RTL),
+ * and every "already checked" block gets a fresh look.
+ */
+function rescanForTranslation() {
+    queryAllDeep(`[${RTL_STYLE_ATTR}="true"]`).forEach(element => {
+        try { reevaluateElement(element); }
+        catch (error) { logger.error("Error re-evaluating translated element:", element, error); }
+    });
+    clearProcessedMarkers();
+    runScan("Translation");
+}
+
+// --- Page Mirroring ---
+// On mirrored sites the document gets dir="rtl", so flexbox, grid, tables and logical properties (including
+// text-align: start/end) flip by themselves. Physical left/right spacing, floats and alignments of common
+// containers are swapped inline; kept areas (navigation, media, code, extra selectors) get dir="ltr".
+// Everything is recorded and put back on revert. The first pass measures the page in budgeted slices
+// (like scans) while it is still laid out left-to-right, then writes every swap at once.
+
+const MIRROR_SWAPPED_PAIRS = [['padding-left', 'padding-right'], ['margin-left', 'margin-right'], ['border-left-width', 'border-right-width']];
+const MIRROR_SWAPPED_VALUES = {
+    float: { left: 'right', right: 'left' },
+    'text-align': { left: 'right', right: 'left', '-moz-left': '-moz-right', '-moz-right': '-moz-left', '-webkit-left': '-webkit-right', '-webkit-right': '-webkit-left' }
+};
+const mirroredElements = new Map(); // element -> { [property]: { value, priority } } before we swapped it
+const keptElements = new Map(); // element -> its dir attribute before we set "ltr" (null if none)
+let mirrorApplied = null; // { originalDir, keepSelector } while the page is mirrored (or its first pass measures)
+let mirrorSliceId = null; // Next slice of the first pass
+
+function refreshActiveMirror() {
+    activeMirror = findMirrorSite(mirrorSites, currentHostname);
+    return activeMirror;
+}
+
+/**
+ * Marks the top-most kept areas inside a root as left-to-right.
+ */
+function keepAreasLtr(root) {
+    if (!mirrorApplied?.keepSelector) return;
+    const areas = [...(root.matches?.(mirrorApplied.keepSelector) ? [root] : []), ...root.querySelectorAll(mirrorApplied.keepSelector)];
+    areas.forEach(area => {
+        if (keptElements.has(area) || area.parentElement?.closest(mirrorApplied.keepSelector)) return;
+        keptElements.set(area, area.getAttribute('dir'));
+        area.setAttribute('dir', 'ltr');
+    });
+}
+
+function findMirrorCandidates(root) {
+    return [...(root.matches?.(MIRROR_CONTAINER_SELECTORS) ? [root] : []), ...root.querySelectorAll(MIRROR_CONTAINER_SELECTORS)]
+        .filter(element => !mirroredElements.has(element) && !element.closest(`[${UI_ATTR}]`) && !(mirrorApplied.keepSelector && element.closest(mirrorApplied.keepSelector)));
+}
+
+/**
+ * Reads what to swap on one container, with the page laid out left-to-right.
+ * @param {Element} element - The container.
+ * @param {Map} alignments - Computed text-align of the containers measured so far in this pass.
+ * @returns {object} { [property]: swapped value }
+ */
+function measureMirrorSwap(element, alignments) {
+    const style = window.getComputedStyle(element);
+    const swapped = {};
+    for (const [left, right] of MIRROR_SWAPPED_PAIRS) {
+        const leftValue = style.getPropertyValue(left); const rightValue = style.getPropertyValue(right);
+        if (leftValue !== rightValue) { swapped[left] = rightValue; swapped[right] = leftValue; }
+    }
+    if (Object.hasOwn(MIRROR_SWAPPED_VALUES.float, style.float)) swapped.float = MIRROR_SWAPPED_VALUES.float[style.float];
+    const align = style.getPropertyValue('text-align');
+    alignments.set(element, align);
+    // An alignment inherited from a swapped container follows it; blocks we styled keep the alignment of their direction
+    const inherited = alignments.get(element.parentElement) === align;
+    if (Object.hasOwn(MIRROR_SWAPPED_VALUES['text-align'], align) && !inherited && !element.closest(`[${RTL_STYLE_ATTR}]`)) {
+        swapped['text-align'] = MIRROR_SWAPPED_VALUES['text-align'][align];
+    }
+    return swapped;
+}
+
+function writeMirrorSwaps(changes) {
+    for (const [element, swapped] of changes) {
+        if (!Object.keys(swapped).length || !element.isConnected || mirroredElements.has(element)) continue;
+        const original = {};
+        for (const [property, value] of Object.entries(swapped)) {
+            original[property] = { value: element.style.getPropertyValue(property), priority: element.style.getPropertyPriority(property) };
+            element.style.setProperty(property, value, 'important');
+        }
+        mirroredElements.set(element, original);
+    }
+}
+
+/**
+ * Swaps the spacing, floats and alignments of the containers inside content added to a mirrored page.
+ * Added content already sits in an RTL document, where logical properties are flipped, so it is measured
+ * with its root set to left-to-right for a moment.
+ */
+function mirrorContainers(root) {
+    const candidates = findMirrorCandidates(root);
+    if (!candidates.length) return;
+    const measureLtr = root.nodeType === Node.ELEMENT_NODE && document.documentElement.getAttribute('dir') === 'rtl';
+    const rootDir = measureLtr ? root.getAttribute('dir') : null;
+    if (measureLtr) root.setAttribute('dir', 'ltr');
+    const alignments = new Map();
+    const changes = candidates.map(element => [element, measureMirrorSwap(element, alignments)]);
+    if (measureLtr) { if (rootDir === null) root.removeAttribute('dir'); else root.setAttribute('dir', rootDir); }
+    writeMirrorSwaps(changes);
+}
+
+// Hands the alignment of a container back when we style it as a block: its direction decides it from now on.
+function releaseMirroredAlignment(element) {
+    const original = mirroredElements.get(element)?.['text-align'];
+    if (!original) return;
+    if (original.value) element.style.setProperty('text-align', original.value, original.priority); else element.style.removeProperty('text-align');
+    delete mirroredElements.get(element)['text-align'];
+}
+
+function applyPageMirror() {
+    if (mirrorApplied || !activeMirror || !document.body) return;
+    restorePageDirection(); // A temporary flip would fight with the mirror
+    const root = document.documentElement;
+    mirrorApplied = { originalDir: root.getAttribute('dir'), keepSelector: getMirrorKeepSelector(activeMirror) };
+    const candidates = findMirrorCandidates(document.body);
+    const alignments = new Map();
+    const changes = [];
+    let index = 0;
+    const measureSlice = deadline => {
+        mirrorSliceId = null;
+        if (!mirrorApplied) return; // Reverted meanwhile
+        const sliceStart = performance.now();
+        const budget = getSliceBudget(deadline);
+        try {
+            while (index < candidates.length && performance.now() - sliceStart < budget) {
+                const element = candidates[index++];
+                if (element.isConnected) changes.push([element, measureMirrorSwap(element, alignments)]);
             }
         } catch (error) {
-            /* console.warn(`Error on attempt ${attempt}:`, error.message); */
-            if (attempt === maxRetries) { /* console.error("Failed after retries."); */ return null; }
+            logger.error("Error mirroring containers:", error);
+            index = candidates.length;
+        }
+        if (index < candidates.length) { mirrorSliceId = scheduleIdleSlice(measureSlice); return; }
+        writeMirrorSwaps(changes);
+        root.setAttribute('dir', 'rtl');
+        keepAreasLtr(document.body);
+        discardOwnMutations();
+        logger.info(`Page mirrored (${mirroredElements.size} containers swapped, ${keptElements.size} areas kept LTR).`);
+    };
+    measureSlice(null);
+}
+
+// Mirrors content added to an already mirrored page.
+function mirrorAddedNode(node) {
+    if (!mirrorApplied || node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) return;
+    mirrorContainers(node);
+    keepAreasLtr(node);
+}
+
+function revertPageMirror() {
+    if (!mirrorApplied) return;
+    if (mirrorSliceId !== null) { cancelIdleSlice(mirrorSliceId); mirrorSliceId = null; }
+    mirroredElements.forEach((original, element) => {
+        for (const [property, { value, priority }] of Object.entries(original)) {
+            if (value) element.style.setProperty(property, value, priority); else element.style.removeProperty(property);
         }
-        const delay = initialDelay * Math.pow(4, attempt - 1);
-        /* console.log(`Waiting ${delay}ms...`); */
-        await new Promise(resolve => setTimeout(resolve, delay));
-    } return null;
+        if (element.getAttribute('style') === '') element.removeAttribute('style');
+    });
+    keptElements.forEach((dir, element) => { if (dir === null) element.removeAttribute('dir'); else element.setAttribute('dir', dir); });
+    const root = document.documentElement;
+    if (mirrorApplied.originalDir === null) root.removeAttribute('dir'); else root.setAttribute('dir', mirrorApplied.originalDir);
+    mirroredElements.clear(); keptElements.clear(); mirrorApplied = null;
+    discardOwnMutations();
+    logger.info("Page mirroring reverted.");
+}
+
+// --- Element Picker ---
+// Highlights the block under the cursor; a click opens a small panel to pin it to RTL, LTR or "leave alone".
+// The overlay lives in a closed shadow root so page CSS can't touch it and scans never see inside it.
+
+let pickerHost = null;
+let pickerHighlight = null;
+let pickerPanel = null;
+let pickerTarget = null;
+let pickerLocked = false; // True while the action panel is open for the clicked block
+
+// Walks up from inline elements (spans, links...) to the nearest block-level element.
+function getPickableBlock(element) {
+    let node = element;
+    while (node && node !== document.body && node.parentElement) {
+        let display = 'block';
+        try { display = window.getComputedStyle(node).display; } catch (e) { /* keep block */ }
+        if (!display.startsWith('inline') && display !== 'contents') return node;
+        node = node.parentElement;
+    }
+    return node;
+}
+
+// Class names and ids that look generated (hashes, counters, CSS-in-JS) make poor selectors.
+function isStableToken(token) {
+    return /^[A-Za-z][\w-]*$/.test(token) && token.length <= 40 && !/\d{3,}/.test(token) && !/^(css|sc|jsx|emotion|svelte)-/.test(token);
+}
+
+function isUniqueSelector(selector, element) {
+    try { const matches = element.getRootNode().querySelectorAll(selector); return matches.length === 1 && matches[0] === element; } catch (e) { return false; }
+}
+
+/**
+ * Builds a selector for an element that should survive reloads: a stable id if there is one,
+ * otherwise the shortest "tag.class:nth-of-type" chain (up to an ancestor with a stable id) that is unique.
+ */
+function generateStableSelector(element) {
+    if (element.id && isStableToken(element.id) && isUniqueSelector(`#${CSS.escape(element.id)}`, element)) return `#${CSS.escape(element.id)}`;
+    const parts = [];
+    let node = element;
+    while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+        if (node !== element && node.id && isStableToken(node.id)) { parts.unshift(`#${CSS.escape(node.id)}`); }
+        else {
+            let part = node.tagName.toLowerCase();
+            const classes = [...node.classList].filter(isStableToken).slice(0, 2);
+            part += classes.map(className => `.${CSS.escape(className)}`).join('');
+            const parent = node.parentElement;
+            if (parent) {
+                const sameTag = [...parent.children].filter(child => child.tagName === node.tagName);
+                if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+            }
+            parts.unshift(part);
+        }
+        const selector = parts.join(' > ');
+        if (isUniqueSelector(selector, element)) return selector;
+        if (parts[0].startsWith('#')) break; // Anchored at an id and still not unique: give up climbing
+        node = node.parentElement;
+    }
+    return parts.join(' > ');
+}
+
+function startPicker() {
+    if (pickerHost) return;
+    pickerHost = document.createElement('div');
+    pickerHost.setAttribute(UI_ATTR, 'picker');
+    const shadow = pickerHost.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+        <style>
+            .highlight { position: fixed; pointer-events: none; z-index: 2147483646; border: 2px solid #2196F3; background: rgba(33, 150, 243, 0.15); border-radius: 2px; display: none; }
+            .hint { position: fixed; top: 8px; left: 50%; transform: translateX(-50%); z-index: 2147483647; background: #333; color: #fff; font: 13px sans-serif; padding: 6px 10px; border-radius: 4px; }
+            .panel { position: fixed; z-index: 2147483647; display: none; gap: 4px; background: #fff; border: 1px solid #ccc; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3); padding: 6px; border-radius: 4px; font: 13px sans-serif; }
+            .panel button { font: 13px sans-serif; padding: 4px 8px; border: none; border-radius: 3px; cursor: pointer; background: #2196F3; color: #fff; }
+            .panel button.cancel { background: #ccc; color: #333; }
+        </style>
+        <div class="highlight"></div>
+        <div class="hint">RTL Fixer: click a block to fix it, Esc to cancel</div>
+        <div class="panel">
+            <button data-action="rtl">RTL</button>
+            <button data-action="ltr">LTR</button>
+            <button data-action="ignore">Leave alone</button>
+            <button data-action="cancel" class="cancel">Cancel</button>
+        </div>`;
+    pickerHighlight = shadow.querySelector('.highlight');
+    pickerPanel = shadow.querySelector('.panel');
+    pickerPanel.addEventListener('click', handlePickerPanelClick);
+    document.documentElement.appendChild(pickerHost);
+    document.addEventListener('mousemove', handlePickerMove, true);
+    document.addEventListener('click', handlePickerClick, true);
+    document.addEventListener('keydown', handlePickerKey, true);
+    logger.info("Element picker started.");
+}
+
+function stopPicker() {
+    if (!pickerHost) return;
+    document.removeEventListener('mousemove', handlePickerMove, true);
+    document.removeEventListener('click', handlePickerClick, true);
+    document.removeEventListener('keydown', handlePickerKey, true);
+    pickerHost.remove();
+    pickerHost = pickerHighlight = pickerPanel = pickerTarget = null;
+    pickerLocked = false;
+}
+
+function highlightElement(element) {
+    const rect = element.getBoundingClientRect();
+    Object.assign(pickerHighlight.style, { display: 'block', top: `${rect.top}px`, left: `${rect.left}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+}
+
+function handlePickerMove(event) {
+    if (pickerLocked || event.target === pickerHost) return;
+    const block = getPickableBlock(event.target);
+    if (!block || block === pickerTarget) return;
+    pickerTarget = block;
+    highlightElement(block);
+}
+
+function handlePickerClick(event) {
+    if (event.target === pickerHost) return; // Clicks inside the panel are handled by handlePickerPanelClick
+    event.preventDefault();
+    event.stopPropagation();
+    if (!pickerTarget) return;
+    pickerLocked = true;
+    const rect = pickerTarget.getBoundingClientRect();
+    const top = Math.min(Math.max(rect.bottom + 4, 4), window.innerHeight - 40);
+    Object.assign(pickerPanel.style, { display: 'flex', top: `${top}px`, left: `${Math.max(rect.left, 4)}px` });
+}
+
+function handlePickerKey(event) {
+    if (event.key === 'Escape') { event.preventDefault(); stopPicker(); }
+}
+
+async function handlePickerPanelClick(event) {
+    const action = event.target?.dataset?.action;
+    if (!action) return;
+    const target = pickerTarget;
+    takePageMutations();
+    stopPicker();
+    if (action === 'cancel' || !target) return;
+    const selector = generateStableSelector(target);
+    pinElement(target, action);
+    discardOwnMutations();
+    const response = await sendToBackground('addElementRule', { host: currentHostname, selector, action });
+    if (!response.ok) logger.warn("Element rule was not saved:", response.error.message);
+    else logger.info(`Saved element rule "${selector}" (${action}).`);
+}
+
+
+// --- Keyboard Shortcut Helpers ---
+// The background script turns shortcuts into messages; these helpers find what they act on and show feedback.
+
+let hoveredElement = null;
+let originalPageDir = null; // The <html> dir attribute before the page was flipped, undefined when not flipped
+let pageFlipped = false;
+let toastHost = null;
+let toastText = null;
+let toastTimer = null;
+
+document.addEventListener('mouseover', event => { hoveredElement = event.composedPath()[0] || event.target; }, { capture: true, passive: true });
+document.addEventListener('mouseout', event => { if (!event.relatedTarget) hoveredElement = null; }, { capture: true, passive: true }); // Pointer left the frame
+
+// Focused element (looking into open shadow roots), else the hovered one. Frame elements are left to the frame's own instance.
+function getShortcutTarget() {
+    let focused = document.hasFocus() ? document.activeElement : null;
+    while (focused?.shadowRoot?.activeElement) focused = focused.shadowRoot.activeElement;
+    const isUsable = element => element && element.nodeType === Node.ELEMENT_NODE && element !== document.body && element !== document.documentElement
+        && !['IFRAME', 'FRAME'].includes(element.tagName) && !element.closest(`[${UI_ATTR}]`);
+    if (isUsable(focused)) return focused;
+    return isUsable(hoveredElement) && hoveredElement.isConnected ? hoveredElement : null;
+}
+
+// Pins the block under the shortcut target for this page view (not saved as an element rule).
+function forceBlockDirection(direction) {
+    const target = getShortcutTarget();
+    const block = target && getPickableBlock(target);
+    if (!block) return null;
+    pinElement(block, direction);
+    discardOwnMutations();
+    logger.info(`Block forced to ${direction} by shortcut:`, block);
+    return block;
+}
+
+// Flips the whole page between RTL and LTR; flipping again restores the page's own dir attribute.
+function togglePageDirection() {
+    const root = document.documentElement;
+    if (mirrorApplied) { revertPageMirror(); clearProcessedMarkers(); if (document.body) runScan("Mirror Reverted"); return window.getComputedStyle(root).direction; }
+    if (pageFlipped) { restorePageDirection(); return window.getComputedStyle(root).direction; }
+    originalPageDir = root.getAttribute('dir');
+    const direction = window.getComputedStyle(root).direction === 'rtl' ? 'ltr' : 'rtl';
+    root.setAttribute('dir', direction);
+    pageFlipped = true;
+    discardOwnMutations();
+    return direction;
+}
+
+function restorePageDirection() {
+    if (!pageFlipped) return;
+    const root = document.documentElement;
+    if (originalPageDir === null) root.removeAttribute('dir'); else root.setAttribute('dir', originalPageDir);
+    pageFlipped = false; originalPageDir = null;
+    discardOwnMutations();
+}
+
+// Short message at the bottom of the page, in a closed shadow root like the picker.
+function showToast(text) {
+    if (!toastHost) {
+        toastHost = document.createElement('div');
+        toastHost.setAttribute(UI_ATTR, 'toast');
+        const shadow = toastHost.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>
+                .toast { position: fixed; bottom: 24px; left: 50%; transform: translateX(-50%); z-index: 2147483647; background: #333; color: #fff; font: 13px sans-serif; padding: 8px 14px; border-radius: 4px; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3); pointer-events: none; }
+            </style>
+            <div class="toast"></div>`;
+        toastText = shadow.querySelector('.toast');
+    }
+    toastText.textContent = text;
+    if (!toastHost.isConnected) document.documentElement.appendChild(toastHost);
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => { toastHost.remove(); discardOwnMutations(); }, 1800);
+    discardOwnMutations();
+}
+
+
+// --- Context Menu ---
+// The background script owns the menu entries; clicks come back here for the frame that was right-clicked.
+
+let contextMenuTarget = null;
+
+document.addEventListener('contextmenu', event => { contextMenuTarget = event.composedPath()[0] || event.target; }, { capture: true, passive: true });
+
+// Block holding the selection (when the right-click was inside it), else the block that was right-clicked.
+function getContextMenuBlock() {
+    let node = contextMenuTarget;
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+        const common = selection.getRangeAt(0).commonAncestorContainer;
+        const selected = common.nodeType === Node.ELEMENT_NODE ? common : common.parentElement;
+        if (selected && (!node || selected.contains(node) || node.contains(selected))) node = selected;
+    }
+    if (!node || !node.isConnected || node.closest?.(`[${UI_ATTR}]`)) return null;
+    const block = getPickableBlock(node);
+    return block && block !== document.documentElement ? block : null;
+}
+
+/**
+ * Selector for "matching elements on this site": tag plus its stable classes, so every similar block
+ * (all messages of a chat, all comments...) matches. Blocks without usable classes get a unique path.
+ */
+function generateMatchingSelector(element) {
+    const classes = [...element.classList].filter(isStableToken).slice(0, 3);
+    if (!classes.length) return generateStableSelector(element);
+    return element.tagName.toLowerCase() + classes.map(className => `.${CSS.escape(className)}`).join('');
+}
+
+// Undoes our styling on a block and keeps the scanner from styling it again until the next full rescan.
+function resetBlock(element) {
+    if (element.hasAttribute(RTL_STYLE_ATTR)) removeStyle(element);
+    element.removeAttribute(PINNED_ATTR);
+    element.setAttribute(PROCESSED_ATTR, 'user-reset');
+}
+
+/**
+ * Runs a context menu choice on the right-clicked block.
+ * @param {string} command - 'rtl', 'ltr', 'ignore' or 'reset'.
+ * @param {boolean} save - Also save an element rule for matching elements on this site (for 'reset': drop the rules that match).
+ * @returns {Promise<object>} Protocol response; data is { selector } for saved rules, { removedRules } for resets.
+ */
+async function handleContextMenuCommand(command, save) {
+    const block = getContextMenuBlock();
+    if (!block) return rejectedResponse('No block found under the cursor');
+    if (command === 'reset') {
+        resetBlock(block);
+        discardOwnMutations();
+        // Saved rules would re-pin the block on the next visit
+        const matchingRules = hostElementRules.filter(rule => { try { return block.matches(rule.selector); } catch (e) { return false; } });
+        for (const rule of matchingRules) await sendToBackground('removeElementRule', rule.id);
+        return okResponse({ removedRules: matchingRules.length });
+    }
+    pinElement(block, command);
+    discardOwnMutations();
+    if (!save) return okResponse();
+    const selector = generateMatchingSelector(block);
+    const response = await sendToBackground('addElementRule', { host: currentHostname, selector, action: command });
+    if (!response.ok) return rejectedResponse(response.error.message || 'Rule was not saved');
+    logger.info(`Saved element rule "${selector}" (${command}) from the context menu.`);
+    return okResponse({ selector });
+}
+
+
+// --- Debug Overlay ---
+// Switched on from the popup for the current tab only (nothing is saved). Every block the fixer decided on
+// gets an outline colored by the decision, and hovering it shows why. The outlines are plain CSS on our
+// own attributes, so they follow later scans without extra work. The diagnostic report is the same
+// information for the whole page, to paste into a bug report about a site.
+
+const DEBUG_STYLESHEET_ID = 'rtl-fixer-debug-stylesheet';
+const DEBUG_DECIDED_SELECTOR = `[${PROCESSED_ATTR}], [${RTL_STYLE_ATTR}], [${PINNED_ATTR}]`;
+const DEBUG_REPORT_EXAMPLES = 10; // Close calls listed in the report
+const DEBUG_REPORT_LOG_ENTRIES = 30; // Most recent log events of the frame (see lib/logger.js)
+// In priority order: a block matches the first entry whose selector it matches
+const DEBUG_DECISIONS = [
+    { id: 'pinned', selector: `[${PINNED_ATTR}]`, color: '#8e24aa', label: 'Pinned by an element rule' },
+    { id: 'rtl', selector: `[${RTL_STYLE_ATTR}="true"]`, color: '#2e7d32', label: 'Made RTL' },
+    { id: 'ltr', selector: `[${RTL_STYLE_ATTR}="ltr"]`, color: '#1565c0', label: 'Made LTR' },
+    { id: 'already-rtl', color: '#00897b', label: 'Already RTL on the page' },
+    { id: 'below-threshold', color: '#ef6c00', label: 'Not enough RTL text' },
+    { id: 'no-rtl', color: '#9e9e9e', label: 'No RTL letters' },
+    { id: 'no-text', color: '#9e9e9e', label: 'No text with a direction' },
+    { id: 'lang-ltr', color: '#9e9e9e', label: 'Its lang attribute is LTR' },
+    { id: 'hidden', color: '#c62828', label: 'Hidden when it was checked' },
+    { id: 'style-error', color: '#c62828', label: 'Its style could not be read' },
+    { id: 'user-reset', color: '#6d4c41', label: 'Reset from the context menu' },
+    { id: 'checked-subtree', color: '#bdbdbd', line: 'dotted', label: 'Not a candidate (skipped or excluded)' },
+    { id: 'scan-checked', color: '#bdbdbd', line: 'dotted', label: 'Not a candidate (skipped or excluded)' },
+    { id: 'rechecked', color: '#bdbdbd', line: 'dotted', label: 'Not a candidate after its text changed' }
+].map(decision => ({ selector: `[${PROCESSED_ATTR}="${decision.id}"]`, line: 'solid', ...decision }));
+
+let debugOverlay = false;
+let debugTooltipHost = null;
+let debugTooltip = null;
+
+function getDebugDecision(element) {
+    return DEBUG_DECISIONS.find(decision => element.matches(decision.selector)) || null;
+}
+
+// Adds the outline stylesheet to the document and to every shadow root found so far.
+function refreshDebugStylesheets() {
+    const css = DEBUG_DECISIONS.map(({ selector, color, line }) => `${selector} { outline: 2px ${line} ${color} !important; outline-offset: -1px !important; }`).join('\n');
+    for (const root of [document, ...knownShadowRoots]) {
+        if (root.getElementById(DEBUG_STYLESHEET_ID)) continue;
+        const style = document.createElement('style');
+        style.id = DEBUG_STYLESHEET_ID;
+        style.setAttribute(UI_ATTR, 'debug');
+        style.textContent = css;
+        if (root === document) (document.head || document.documentElement).appendChild(style);
+        else root.appendChild(style);
+    }
+    discardOwnMutations();
+}
+
+/**
+ * Turns the debug overlay on or off in this frame.
+ * @param {boolean} enabled - Show the outlines and hover tooltips.
+ */
+function setDebugOverlay(enabled) {
+    if (enabled === debugOverlay) return;
+    debugOverlay = enabled;
+    if (enabled) {
+        refreshDebugStylesheets();
+        document.addEventListener('mouseover', handleDebugHover, { capture: true, passive: true });
+    } else {
+        document.removeEventListener('mouseover', handleDebugHover, { capture: true, passive: true });
+        queryAllDeep(`#${DEBUG_STYLESHEET_ID}`).forEach(style => style.remove());
+        if (debugTooltipHost) { debugTooltipHost.remove(); debugTooltipHost = debugTooltip = null; }
+        discardOwnMutations();
+    }
+    logger.info(`Debug overlay ${enabled ? 'on' : 'off'}.`);
+    scheduleStatsReport();
+}
+
+/**
+ * Explains the decision on a block: the decision itself, the letter counts of its text and the rules involved.
+ * Counts are taken now with the current settings, i.e. what a rescan would see.
+ * @param {Element} element - A block with one of our markers.
+ * @returns {{decision: object|null, rtl: number, ltr: number, ratio: number, siteRule: string, elementRule: string|null, lang: string|null}}
+ */
+function describeDecision(element) {
+    const { rtl, ltr, ratio } = classifyText(getClassifiableText(element));
+    const elementRule = element.hasAttribute(PINNED_ATTR) ? hostElementRules.find(rule => { try { return element.matches(rule.selector); } catch (e) { return false; } }) : null;
+    const langElement = element.closest('[lang]');
+    return {
+        decision: getDebugDecision(element),
+        rtl, ltr, ratio,
+        siteRule: activeRule ? `${activeRule.pattern} (${describeRuleMode(activeRule)})` : 'none (automatic detection)',
+        elementRule: elementRule ? `${elementRule.selector} (${elementRule.action})` : null,
+        lang: langElement && langElement !== document.documentElement && langElement !== document.body ? langElement.getAttribute('lang') : null
+    };
+}
+
+// "p#intro.lead" style name of an element, for the tooltip and the report.
+function describeElement(element) {
+    const classes = [...element.classList].slice(0, 2).map(className => `.${className}`).join('');
+    return `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}${classes}`;
+}
+
+// Letter counts and what they were compared with.
+function describeCounts({ rtl, ltr, ratio }) {
+    const criterion = detectionMode === 'first-strong' ? 'first strong character decides' : `threshold ${getEffectiveThreshold()}%`;
+    return `RTL letters ${rtl}, LTR letters ${ltr} (${Math.round(ratio * 100)}% RTL, ${criterion})`;
+}
+
+function handleDebugHover(event) {
+    const target = event.composedPath()[0] || event.target;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE || target.closest(`[${UI_ATTR}]`)) return;
+    const element = target.closest(DEBUG_DECIDED_SELECTOR);
+    takePageMutations();
+    if (element) showDebugTooltip(element);
+    else if (debugTooltip) debugTooltip.style.display = 'none';
+}
+
+function showDebugTooltip(element) {
+    if (!debugTooltipHost) {
+        debugTooltipHost = document.createElement('div');
+        debugTooltipHost.setAttribute(UI_ATTR, 'debug');
+        const shadow = debugTooltipHost.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>
+                .tooltip { position: fixed; z-index: 2147483647; max-width: 380px; background: #222; color: #fff; font: 12px/1.5 sans-serif; padding: 6px 10px; border-radius: 4px; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3); pointer-events: none; white-space: pre-line; direction: ltr; text-align: left; }
+            </style>
+            <div class="tooltip"></div>`;
+        debugTooltip = shadow.querySelector('.tooltip');
+    }
+    const info = describeDecision(element);
+    const lines = [
+        `${describeElement(element)}: ${info.decision ? `${info.decision.label} (${info.decision.id})` : 'Not checked yet'}`,
+        describeCounts(info),
+        `Site rule: ${info.siteRule}`
+    ];
+    if (info.elementRule) lines.push(`Element rule: ${info.elementRule}`);
+    if (info.lang) lines.push(`lang="${info.lang}"${respectLangAttribute ? '' : ' (ignored)'}`);
+    debugTooltip.textContent = lines.join('\n'); // Page text never goes through innerHTML
+    debugTooltip.style.borderLeft = `4px solid ${info.decision ? info.decision.color : '#bdbdbd'}`;
+    const rect = element.getBoundingClientRect();
+    Object.assign(debugTooltip.style, {
+        display: 'block',
+        top: `${Math.min(Math.max(rect.bottom + 4, 4), window.innerHeight - 100)}px`,
+        left: `${Math.min(Math.max(rect.left, 4), Math.max(4, window.innerWidth - 390))}px`
+    });
+    if (!debugTooltipHost.isConnected) document.documentElement.appendChild(debugTooltipHost);
+    discardOwnMutations();
+}
+
+/**
+ * Plain text report of this frame's settings and decisions, for bug reports. Leaves out the page's
+ * text, query string and fragment.
+ * @returns {string}
+ */
+function buildDiagnosticReport() {
+    const decisionCounts = {};
+    for (const element of queryAllDeep(DEBUG_DECIDED_SELECTOR)) {
+        const id = getDebugDecision(element)?.id || element.getAttribute(PROCESSED_ATTR);
+        decisionCounts[id] = (decisionCounts[id] || 0) + 1;
+    }
+    let page = 'unknown';
+    try { const url = new URL(getPageUrl() || window.location.href); page = url.origin + url.pathname; } catch (e) { /* keep unknown */ }
+    const selectors = resolveSiteSelectors(selectorPresets, siteSelectors, currentHostname);
+    const closeCalls = queryAllDeep(`[${PROCESSED_ATTR}="below-threshold"]`).slice(0, DEBUG_REPORT_EXAMPLES);
+    const lines = [
+        'RTL Content Fixer diagnostic report',
+        `Version: ${browser.runtime.getManifest().version} (protocol ${PROTOCOL_VERSION})`,
+        `Browser: ${navigator.userAgent}`,
+        `Page: ${page}${window === window.top ? '' : ' (frame)'}`,
+        `Mode: ${getCurrentMode()}${pageTranslated ? ', page translated' : ''}${mirrorApplied ? ', mirrored' : ''}`,
+        `Site rule: ${activeRule ? `${activeRule.pattern} (${describeRuleMode(activeRule)})` : 'none (automatic detection)'}`,
+        `Detection: ${detectionMode}, threshold ${getEffectiveThreshold()}%, scripts ${rtlScripts.join(', ')}, lang attribute ${respectLangAttribute ? 'followed' : 'ignored'}`,
+        `Styling: ${styleStrategy}, isolate LTR runs ${isolateLtrRuns ? 'on' : 'off'}, font ${activeFont ? 'on' : 'off'}, normalization ${isNormalizationActive(textNormalization) ? 'on' : 'off'}, typing direction ${fixEditableFields ? 'on' : 'off'}`,
+        `Selectors: include ${selectors.include.join(', ') || 'none'}; exclude ${selectors.exclude.join(', ') || 'none'}`,
+        `Element rules: ${hostElementRules.length}`,
+        `Scans: ${scanStats.scans} (last: ${scanStats.lastScanReason || 'none'}, ${scanStats.lastScanDuration}ms), ${scanStats.totalChecked} checked, ${scanStats.totalStyled} styled`,
+        `Shadow roots: ${knownShadowRoots.size}`,
+        'Decisions:',
+        ...Object.entries(decisionCounts).map(([id, count]) => `  ${id}: ${count}`)
+    ];
+    if (closeCalls.length) {
+        lines.push('Not enough RTL text:');
+        closeCalls.forEach(element => lines.push(`  ${describeElement(element)}: ${describeCounts(describeDecision(element))}`));
+    }
+    const recentLog = getLogEntries(DEBUG_REPORT_LOG_ENTRIES);
+    if (recentLog.length) lines.push(`Recent log (level ${logLevel}):`, formatLogEntries(recentLog));
+    return lines.join('\n');
+}
+
+
+// --- Outdated Script Handling ---
+// After the extension is updated or reloaded, tabs opened before keep running their old copy of this script.
+// When the background speaks another protocol version, or is gone altogether, that copy stops watching
+// the page. Its styling stays in place (no flicker) until a current copy takes over: the background script
+// injects one into open tabs, and every copy announces itself with TAKEOVER_EVENT on the shared DOM when it
+// starts. Older copies in the frame then undo their changes, so the new one starts from a clean page.
+// Page scripts can dispatch the event too, so a copy only hands over once it checked that it was left behind.
+
+const TAKEOVER_EVENT = 'rtl-fixer-takeover';
+const INSTANCE_ID = `${browser.runtime.getManifest().version}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let scriptRetired = false;
+
+/**
+ * Stops this copy of the content script for good.
+ * @param {string} reason - Logged reason.
+ * @param {boolean} [handOver=false] - Also undo every change to the page (a newer copy takes over).
+ */
+function retireContentScript(reason, handOver = false) {
+    if (!scriptRetired) {
+        scriptRetired = true;
+        logger.warn("This copy of the content script is outdated and stops here:", reason);
+        browser.runtime.onMessage.removeListener(contentMessageListener);
+        isEnabled = false;
+        stopObserver();
+        refreshEditableWatcher();
+        if (statsReportTimer) { clearTimeout(statsReportTimer); statsReportTimer = null; }
+    }
+    if (handOver) {
+        document.removeEventListener(TAKEOVER_EVENT, handleTakeover);
+        stopPicker();
+        setDebugOverlay(false);
+        revertAllStyles(); restorePageDirection(); revertPageMirror(); clearProcessedMarkers();
+        logger.info("Handed the page over to the new copy.");
+    }
+}
+
+// Another copy started in this frame (copies listen only after announcing themselves, so a newer one), or a
+// page script pretends one did. Asking the background tells them apart: an outdated copy gets no answer or
+// one of another protocol version (and is retired by sendToBackground), the current copy gets its settings.
+async function handleTakeover(event) {
+    if (!scriptRetired) await sendToBackground('getSettings');
+    if (!scriptRetired) { logger.warn("Ignored a takeover event: this copy is current."); return; }
+    retireContentScript(`A newer copy (${event.detail}) took over this page`, true);
+}
+
+/**
+ * sendAction() for the content script: retires this copy when the answer shows it was left behind by an update.
+ * @returns {Promise<object>} The protocol response.
+ */
+async function sendToBackground(action, payload) {
+    const response = await sendAction(action, payload);
+    const runtimeGone = response.error?.code === PROTOCOL_ERRORS.unreachable && !browser.runtime?.id;
+    if (response.error?.code === PROTOCOL_ERRORS.protocolMismatch || runtimeGone) retireContentScript(response.error.message);
+    return response;
+}
+
+
+// --- Initialization and Message Handling ---
+
+// The background script may still be starting up, so a failed request is retried (200ms, 800ms, 3.2s...).
+// An outdated script gets a final answer: retrying will not change it.
+async function getSettingsWithRetry() {
+    const response = await retryWithBackoff(() => sendToBackground('getSettings'), {
+        accept: response => (response.ok ? !!response.data && typeof response.data.isEnabled !== 'undefined' && Array.isArray(response.data.siteRules) : scriptRetired)
+    });
+    return response?.ok ? response.data : null;
 }
 
 /**
  * Main initialization function.
  */
 async function initialize() {
-    console.log("RTL Fixer Content: Initializing for hostname:", currentHostname);
+    logger.info("Initializing for hostname:", currentHostname);
+    originalPageLang = document.documentElement.getAttribute('lang') || '';
+    pageTranslated = TRANSLATION_CLASSES.some(name => document.documentElement.classList.contains(name));
 
     // 1. Fetch settings using the retry mechanism
     const settings = await getSettingsWithRetry();
 
     // 2. Process the fetched settings (or handle failure)
     if (settings) {
+        setLogLevel(settings.logLevel);
         isEnabled = settings.isEnabled;
-        excludedSites = settings.excludedSites;
+        isTabPaused = !!settings.tabPaused;
+        if (settings.snoozes) snoozes = settings.snoozes;
+        siteRules = settings.siteRules;
+        selectorPresets = settings.selectorPresets || {};
+        siteSelectors = settings.siteSelectors || [];
+        elementRules = settings.elementRules || [];
+        refreshActiveRule();
+        refreshSiteSelectors();
+        refreshElementRules();
+        applyDetectionSettings(settings);
+        applyStyleSettings(settings);
+        fixEditableFields = !!settings.fixEditableFields;
+        rtlFont = settings.rtlFont || null;
+        siteFonts = settings.siteFonts || [];
+        refreshActiveFont();
+        mirrorSites = settings.mirrorSites || [];
+        refreshActiveMirror();
+        textNormalization = settings.textNormalization || null;
+        if (settings.scanBudgetMs > 0) scanBudgetMs = settings.scanBudgetMs;
+        if (settings.maxClassifyChars > 0) maxClassifyChars = settings.maxClassifyChars;
 
-        console.log("RTL Fixer Content: Checking final settings.", { /* ... detailed log ... */ });
+        logger.debug("Checking final settings.", { /* ... detailed log ... */ });
 
         // 3. Decide whether to proceed
-        if (isEnabled && currentHostname && !excludedSites.includes(currentHostname)) {
-            console.log("RTL Fixer Content: Extension ACTIVE. Proceeding with scan and observer.");
+        if (isActiveHere()) {
+            logger.info("Extension ACTIVE. Proceeding with scan and observer.");
 
             // 4. Run initial scan when ready (with small delay)
             const runInitialScan = () => setTimeout(() => {
-                if (document.body) runScan("Initial DOM Ready"); // Pass reason
+                if (document.body) { applyPageMirror(); runScan("Initial DOM Ready"); } // Pass reason
             }, 50);
             if (document.readyState === 'complete' || document.readyState === 'interactive') { runInitialScan(); }
             else { document.addEventListener('DOMContentLoaded', runInitialScan, { once: true }); }
@@ -182,14 +1760,14 @@ async function initialize() {
             // Clear any previous timer first (though unlikely at this stage)
             if (secondScanTimer) clearTimeout(secondScanTimer);
             const secondScanDelay = 3750; // Delay in milliseconds (e.g., 1.75 seconds)
-            console.log(`RTL Fixer: Scheduling delayed second scan in ${secondScanDelay}ms.`);
+            logger.debug(`Scheduling delayed second scan in ${secondScanDelay}ms.`);
             secondScanTimer = setTimeout(() => {
-                console.log("RTL Fixer: Running delayed second scan...");
+                logger.debug("Running delayed second scan...");
                 // Check state *again* before running the delayed scan
-                if (isEnabled && currentHostname && !excludedSites.includes(currentHostname) && document.body) {
+                if (isActiveHere() && document.body) {
                     runScan("Delayed Second Scan");
                 } else {
-                    console.log("RTL Fixer: Delayed second scan skipped (state changed or body missing).");
+                    logger.debug("Delayed second scan skipped (state changed or body missing).");
                 }
                 secondScanTimer = null; // Clear timer ID after execution
             }, secondScanDelay);
@@ -203,6 +1781,8 @@ async function initialize() {
             // ...
             stopObserver();
         }
+        refreshEditableWatcher();
+        sendStatsReport(); // Report the mode right away, even if there is nothing to scan
     } else {
         // Failed to get settings after retries 
         // ...
@@ -210,30 +1790,192 @@ async function initialize() {
     }
 }
 
+/**
+ * Copies the detection settings from a settings/payload object into the state variables.
+ * @returns {boolean} True if anything changed.
+ */
+function applyDetectionSettings(source) {
+    let changed = false;
+    if (DETECTION_MODES.includes(source?.detectionMode) && detectionMode !== source.detectionMode) { detectionMode = source.detectionMode; changed = true; }
+    if (typeof source?.rtlThreshold === 'number' && rtlThreshold !== source.rtlThreshold) { rtlThreshold = source.rtlThreshold; changed = true; }
+    if (Array.isArray(source?.rtlScripts) && rtlScripts.join() !== source.rtlScripts.join()) { rtlScripts = source.rtlScripts; changed = true; }
+    if (typeof source?.respectLangAttribute === 'boolean' && respectLangAttribute !== source.respectLangAttribute) { respectLangAttribute = source.respectLangAttribute; changed = true; }
+    return changed;
+}
+
+/**
+ * Copies the styling settings into the state variables.
+ * @returns {boolean} True if anything changed.
+ */
+function applyStyleSettings(source) {
+    let changed = false;
+    if (STYLE_STRATEGIES.includes(source?.styleStrategy) && styleStrategy !== source.styleStrategy) { styleStrategy = source.styleStrategy; changed = true; }
+    if (typeof source?.isolateLtrRuns === 'boolean' && isolateLtrRuns !== source.isolateLtrRuns) { isolateLtrRuns = source.isolateLtrRuns; changed = true; }
+    return changed;
+}
+
 // --- Listener for Background Updates ---
-browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    const action = message?.action; if (!action) return false;
-    // console.log(`RTL Fixer Content: Received message: ${action}`); // Less verbose logging
-    if (action === 'updateState') {
-        let needsReCheck = false;
-        if (typeof message.payload?.isEnabled === 'boolean' && isEnabled !== message.payload.isEnabled) { isEnabled = message.payload.isEnabled; console.log("isEnabled updated to:", isEnabled); needsReCheck = true; }
-        if (Array.isArray(message.payload?.excludedSites) && JSON.stringify(excludedSites) !== JSON.stringify(message.payload.excludedSites)) { excludedSites = message.payload.excludedSites; console.log("Exclusion list updated"); needsReCheck = true; }
-        if (needsReCheck) {
-            const shouldBeActive = isEnabled && currentHostname && !excludedSites.includes(currentHostname);
-            // console.log("Re-checking activity state. Should be active:", shouldBeActive, "Observer active:", observerActive);
-            if (shouldBeActive && !observerActive) { console.log("Enabling scan/observer due to state update."); if (document.body) runScan("State Update Re-enable"); startObserver(); } // Run scan on re-enable
-            else if (!shouldBeActive && observerActive) { console.log("Disabling observer/reverting due to state update."); stopObserver(); revertAllStyles(); }
+const NOT_ACTIVE_REASON = 'RTL Fixer is not active on this page';
+
+// Answer of an inactive frame to an action sent to every frame: only the top frame says why, so an inactive
+// iframe (an ad, a cross-origin embed) cannot answer before an active top frame that did the work.
+function notActiveResponse() {
+    return window === window.top ? rejectedResponse(NOT_ACTIVE_REASON) : null;
+}
+
+/**
+ * Applies a settings/state change broadcast by the background script (only the keys present),
+ * restyling the page when a change invalidates earlier decisions.
+ */
+function applyStateUpdate(payload) {
+    let needsReCheck = false;
+    if (typeof payload.isEnabled === 'boolean' && isEnabled !== payload.isEnabled) { isEnabled = payload.isEnabled; logger.debug("isEnabled updated to:", isEnabled); needsReCheck = true; }
+    if (typeof payload.tabPaused === 'boolean' && isTabPaused !== payload.tabPaused) { isTabPaused = payload.tabPaused; logger.debug("Tab paused:", isTabPaused); needsReCheck = true; }
+    if (payload.snoozes && !isSameValue(snoozes, payload.snoozes)) { snoozes = payload.snoozes; logger.debug("Snoozes updated:", snoozes); needsReCheck = true; }
+    if (Array.isArray(payload.siteRules) && !isSameValue(siteRules, payload.siteRules)) {
+        const previousRule = activeRule;
+        siteRules = payload.siteRules; refreshActiveRule(); logger.debug("Site rules updated. Active rule:", activeRule);
+        needsReCheck = true;
+        // A different rule (e.g. auto -> force RTL) invalidates earlier decisions
+        if (observerActive && isActiveHere() && !isSameValue(previousRule, activeRule)) { revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Site Rule Update"); }
+    }
+    // Revert with the old strategy before switching, then restyle with the new one
+    if (observerActive && (STYLE_STRATEGIES.includes(payload.styleStrategy) && payload.styleStrategy !== styleStrategy
+        || (typeof payload.isolateLtrRuns === 'boolean' && payload.isolateLtrRuns !== isolateLtrRuns))) {
+        revertAllStyles(); applyStyleSettings(payload); clearProcessedMarkers(); logger.debug("Styling settings updated:", { styleStrategy, isolateLtrRuns });
+        if (document.body) runScan("Styling Settings Update");
+    } else {
+        applyStyleSettings(payload);
+    }
+    if (applyDetectionSettings(payload)) {
+        logger.debug("Detection settings updated:", { detectionMode, rtlThreshold, rtlScripts, respectLangAttribute });
+        // Decisions made with the old settings are no longer valid: start over if we are active.
+        if (observerActive) { revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Detection Settings Update"); }
+    }
+    if (payload.rtlFont || Array.isArray(payload.siteFonts)) {
+        if (payload.rtlFont) rtlFont = payload.rtlFont;
+        if (Array.isArray(payload.siteFonts)) siteFonts = payload.siteFonts;
+        const previousFont = activeFont;
+        // Fonts are applied while styling, so restyle from a clean page when this host's font changed
+        if (!isSameValue(previousFont, refreshActiveFont()) && observerActive) { logger.debug("Font settings updated:", activeFont); revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Font Settings Update"); }
+    }
+    if (Array.isArray(payload.mirrorSites) && !isSameValue(mirrorSites, payload.mirrorSites)) {
+        mirrorSites = payload.mirrorSites;
+        const previousMirror = activeMirror;
+        if (!isSameValue(previousMirror, refreshActiveMirror())) {
+            logger.debug("Mirroring updated:", activeMirror);
+            // Blocks were judged against the old page direction ("already RTL" on a mirrored page)
+            revertPageMirror();
+            if (isActiveHere() && observerActive) { applyPageMirror(); clearProcessedMarkers(); if (document.body) runScan("Mirror Update"); }
         }
-        sendResponse({ success: true }); return true;
-    } return false;
+    }
+    if (payload.textNormalization && !isSameValue(textNormalization, payload.textNormalization)) {
+        textNormalization = payload.textNormalization; logger.debug("Text normalization updated:", textNormalization);
+        // Put the original text back first, then normalize again with the new settings
+        if (observerActive) { revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Normalization Settings Update"); }
+    }
+    if (payload.scanBudgetMs > 0) scanBudgetMs = payload.scanBudgetMs; // Used from the next slice on
+    if (payload.maxClassifyChars > 0 && payload.maxClassifyChars !== maxClassifyChars) {
+        maxClassifyChars = payload.maxClassifyChars; logger.debug("Classification limit updated:", maxClassifyChars);
+        if (observerActive) { revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Performance Settings Update"); }
+    }
+    const selectorsChanged = (payload.selectorPresets && !isSameValue(selectorPresets, payload.selectorPresets))
+        || (Array.isArray(payload.siteSelectors) && !isSameValue(siteSelectors, payload.siteSelectors));
+    if (selectorsChanged) {
+        if (payload.selectorPresets) selectorPresets = payload.selectorPresets;
+        if (Array.isArray(payload.siteSelectors)) siteSelectors = payload.siteSelectors;
+        const previousSelectors = targetSelector + '|' + excludeSelector;
+        refreshSiteSelectors();
+        // Only this host's selectors matter; newly excluded elements must be reverted, new targets scanned
+        if (observerActive && previousSelectors !== targetSelector + '|' + excludeSelector) { logger.debug("Site selectors updated"); revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Selector Update"); }
+    }
+    if (Array.isArray(payload.elementRules) && !isSameValue(elementRules, payload.elementRules)) {
+        elementRules = payload.elementRules;
+        const previousRules = hostElementRules;
+        refreshElementRules();
+        // Removed or changed pins must be undone, so start from a clean page
+        if (observerActive && !isSameValue(previousRules, hostElementRules)) { logger.debug("Element rules updated"); revertAllStyles(); clearProcessedMarkers(); if (document.body) runScan("Element Rule Update"); }
+    }
+    if (typeof payload.fixEditableFields === 'boolean') fixEditableFields = payload.fixEditableFields;
+    if (typeof payload.logLevel === 'string') setLogLevel(payload.logLevel);
+    if (needsReCheck) {
+        const shouldBeActive = isActiveHere();
+        // logger.debug("Re-checking activity state. Should be active:", shouldBeActive, "Observer active:", observerActive);
+        if (shouldBeActive && !observerActive) { logger.info("Enabling scan/observer due to state update."); clearProcessedMarkers(); applyPageMirror(); if (document.body) runScan("State Update Re-enable"); startObserver(); } // Content may have changed while we were off
+        else if (!shouldBeActive && observerActive) { logger.info("Disabling observer/reverting due to state update."); stopObserver(); revertAllStyles(); restorePageDirection(); revertPageMirror(); }
+    }
+    refreshEditableWatcher();
+    if (needsReCheck) scheduleStatsReport();
+}
+
+// Handlers for the content actions of lib/protocol.js. Every frame of the tab gets the message.
+const CONTENT_MESSAGE_HANDLERS = {
+    updateState: payload => {
+        applyStateUpdate(payload);
+        return okResponse();
+    },
+    rescan: () => {
+        if (!isActiveHere()) return notActiveResponse();
+        clearProcessedMarkers(); if (document.body) runScan("Manual Rescan");
+        return okResponse();
+    },
+    // Only the frame holding the focused/hovered block answers
+    forceBlockDirection: direction => {
+        if (!isActiveHere() || !['rtl', 'ltr'].includes(direction) || !forceBlockDirection(direction)) return null;
+        return okResponse({ direction });
+    },
+    togglePageDirection: () => {
+        if (!isActiveHere()) return notActiveResponse();
+        return okResponse({ direction: togglePageDirection() });
+    },
+    // Sent to the frame that was right-clicked, which answers even when inactive
+    contextMenuCommand: ({ command, save }) => {
+        if (!isActiveHere()) return rejectedResponse(NOT_ACTIVE_REASON);
+        if (!['rtl', 'ltr', 'ignore', 'reset'].includes(command)) return rejectedResponse('Unknown command');
+        return handleContextMenuCommand(command, !!save);
+    },
+    showToast: text => {
+        showToast(text);
+        return okResponse();
+    },
+    sendStatsReport: () => {
+        sendStatsReport();
+        return okResponse();
+    },
+    getScanStats: () => okResponse({ stats: { ...scanStats } }),
+    setDebugOverlay: enabled => {
+        setDebugOverlay(enabled);
+        return okResponse({ debugOverlay });
+    },
+    // The popup asks the top frame (frameId 0)
+    getDiagnostics: () => okResponse({ report: buildDiagnosticReport() }),
+    startPicker: () => {
+        if (!isActiveHere()) return notActiveResponse();
+        startPicker();
+        return okResponse();
+    }
+};
+
+const contentMessageListener = createMessageListener('content', CONTENT_MESSAGE_HANDLERS, {
+    answerInvalid: true,
+    onError: (action, error) => logger.error(`Error processing action "${action}":`, error),
+    onMismatch: () => retireContentScript('The extension was updated')
 });
+browser.runtime.onMessage.addListener(contentMessageListener);
 
 // --- Start Initialization ---
-initialize();
+// Lets the background script see that this frame runs the current version: it never injects a second copy
+// into a marked (or claimed) frame, see claimFrameForInjection().
+window.rtlFixerInstance = INSTANCE_ID;
+document.dispatchEvent(new CustomEvent(TAKEOVER_EVENT, { detail: INSTANCE_ID }));
+document.addEventListener(TAKEOVER_EVENT, handleTakeover);
+
+if (getPageUrl() !== null) initialize();
+else logger.info("Cross-origin frame, staying inactive.");
 
 // Cleanup observer & timer on page unload
 window.addEventListener('beforeunload', () => {
     stopObserver(); // This now also clears the secondScanTimer
 });
 
-console.log("RTL Fixer Content: Script loaded and initialization sequence started.");
\ No newline at end of file
+logger.debug("Script loaded and initialization sequence started.");
\ No newline at end of file
@@ -0,0 +1,161 @@
+// ~/lib/detection.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the text direction classifier shared by the content script and the
+// settings page preview, so both always agree on how a piece of text is classified.
+//
+// Detection modes:
+//   'ratio'        -> RTL when strong RTL characters make up at least `threshold` percent of the strong characters
+//   'first-strong' -> RTL when the first strong (letter) character is RTL
+// Strong RTL characters are the letters of the RTL scripts the user selected (see RTL_SCRIPTS); every other
+// letter (Latin, CJK, Devanagari, Thai... and unselected RTL scripts) is strong LTR. Digits, punctuation and
+// combining marks are weak or neutral and never counted.
+// A `lang` attribute can decide instead of the text: see getLanguageDirection().
+
+const RTL_SCRIPTS = [
+    { id: 'arabic', name: 'Arabic (Persian, Urdu, Pashto, Kurdish...)', scripts: ['Arabic'] },
+    { id: 'hebrew', name: 'Hebrew (and Yiddish)', scripts: ['Hebrew'] },
+    { id: 'syriac', name: 'Syriac', scripts: ['Syriac'] },
+    { id: 'thaana', name: 'Thaana (Dhivehi)', scripts: ['Thaana'] },
+    { id: 'nko', name: 'N\'Ko', scripts: ['Nko'] },
+    { id: 'adlam', name: 'Adlam (Fulani)', scripts: ['Adlam'] },
+    { id: 'hanifi-rohingya', name: 'Hanifi Rohingya', scripts: ['Hanifi_Rohingya'] },
+    { id: 'samaritan', name: 'Samaritan', scripts: ['Samaritan'] },
+    { id: 'mandaic', name: 'Mandaic', scripts: ['Mandaic'] },
+    { id: 'yezidi', name: 'Yezidi', scripts: ['Yezidi'] },
+    {
+        id: 'historic',
+        name: 'Historic scripts (Phoenician, Aramaic, Avestan, Pahlavi...)',
+        scripts: ['Avestan', 'Chorasmian', 'Cypriot', 'Elymaic', 'Hatran', 'Imperial_Aramaic', 'Inscriptional_Pahlavi', 'Inscriptional_Parthian',
+            'Kharoshthi', 'Lydian', 'Manichaean', 'Mende_Kikakui', 'Meroitic_Cursive', 'Meroitic_Hieroglyphs', 'Nabataean', 'Old_Hungarian',
+            'Old_North_Arabian', 'Old_Sogdian', 'Old_South_Arabian', 'Old_Turkic', 'Old_Uyghur', 'Palmyrene', 'Phoenician', 'Psalter_Pahlavi', 'Sogdian']
+    }
+];
+const DEFAULT_RTL_SCRIPTS = RTL_SCRIPTS.map(script => script.id);
+
+// Primary language subtags written in an RTL script by default, and script subtags of RTL scripts ("ku-Arab", "ff-Adlm")
+const LANGUAGE_SCRIPTS = {
+    ar: 'arabic', fa: 'arabic', ur: 'arabic', ps: 'arabic', sd: 'arabic', ug: 'arabic', ckb: 'arabic', ks: 'arabic', prs: 'arabic',
+    pnb: 'arabic', bal: 'arabic', glk: 'arabic', mzn: 'arabic', lrc: 'arabic', azb: 'arabic', bqi: 'arabic', skr: 'arabic',
+    arz: 'arabic', ary: 'arabic', arq: 'arabic', acm: 'arabic', apc: 'arabic', ajp: 'arabic', aeb: 'arabic',
+    he: 'hebrew', iw: 'hebrew', yi: 'hebrew', ji: 'hebrew', syr: 'syriac', aii: 'syriac', dv: 'thaana', nqo: 'nko', smp: 'samaritan', mid: 'mandaic'
+};
+const SCRIPT_SUBTAGS = {
+    arab: 'arabic', aran: 'arabic', hebr: 'hebrew', syrc: 'syriac', syre: 'syriac', syrj: 'syriac', syrn: 'syriac', thaa: 'thaana',
+    nkoo: 'nko', adlm: 'adlam', rohg: 'hanifi-rohingya', samr: 'samaritan', mand: 'mandaic', yezi: 'yezidi'
+};
+
+const LTR_REGEX = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/; // Latin, Latin Extended, Greek, Cyrillic: the letters of isolated LTR runs
+const DIGIT_REGEX = /[0-9\u0660-\u0669\u06F0-\u06F9]/; // Latin, Arabic-Indic and Persian digits
+const ARABIC_LETTER_REGEX = /(?=\p{L})\p{Script=Arabic}/u;
+const URL_REGEX = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMAIL_REGEX = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+// An LTR run: Latin letters/digits, optionally joined by spaces and URL-ish punctuation. Only runs with a letter are isolated (and kept as is by lib/normalize.js).
+const LTR_RUN_REGEX = /[A-Za-z0-9\u00C0-\u024F](?:[A-Za-z0-9\u00C0-\u024F .,:;/\\\-_@#%&+=?!'~]*[A-Za-z0-9\u00C0-\u024F/])?/g;
+const DETECTION_MODES = ['ratio', 'first-strong'];
+
+const scriptPatternCache = new Map(); // Sorted script ids -> compiled patterns
+
+/**
+ * Builds (once per selection) the patterns that match strong characters of the selected RTL scripts.
+ * @param {string[]} scriptIds - Ids from RTL_SCRIPTS; unknown ids are ignored.
+ * @returns {{rtl: RegExp, rtlChars: RegExp, ltrChars: RegExp, firstStrong: RegExp}} One RTL letter, all RTL letters (global),
+ *   all other letters (global), first letter.
+ */
+function getScriptPatterns(scriptIds) {
+    const ids = Array.isArray(scriptIds) ? [...new Set(scriptIds)].filter(id => DEFAULT_RTL_SCRIPTS.includes(id)).sort() : DEFAULT_RTL_SCRIPTS;
+    const key = ids.join(',');
+    if (scriptPatternCache.has(key)) return scriptPatternCache.get(key);
+    const properties = RTL_SCRIPTS.filter(script => ids.includes(script.id)).flatMap(script => script.scripts).map(name => `\\p{Script=${name}}`);
+    // A class with no scripts matches nothing, so no text is ever RTL
+    const source = properties.length ? `(?=\\p{L})[${properties.join('')}]` : '[^\\s\\S]';
+    const ltrSource = properties.length ? `(?=\\p{L})[^${properties.join('')}]` : '\\p{L}';
+    const patterns = {
+        rtl: new RegExp(source, 'u'),
+        rtlChars: new RegExp(source, 'gu'),
+        ltrChars: new RegExp(ltrSource, 'gu'),
+        firstStrong: /\p{L}/u
+    };
+    scriptPatternCache.set(key, patterns);
+    return patterns;
+}
+
+// Defaults with every RTL script selected
+const RTL_REGEX = getScriptPatterns(DEFAULT_RTL_SCRIPTS).rtl;
+const FIRST_STRONG_REGEX = getScriptPatterns(DEFAULT_RTL_SCRIPTS).firstStrong;
+
+/**
+ * Direction implied by a BCP 47 language tag ("fa", "he-IL", "ku-Arab", "en-US").
+ * @param {string} lang - Value of a lang attribute.
+ * @param {string[]} scriptIds - Selected RTL scripts; languages of other scripts have no say.
+ * @returns {'rtl'|'ltr'|null} null for empty, undetermined ("und", "mul"...) or unselected-script languages.
+ */
+function getLanguageDirection(lang, scriptIds) {
+    const tag = typeof lang === 'string' ? lang.trim().toLowerCase() : '';
+    const [primary, ...subtags] = tag.split(/[-_]/);
+    if (!/^[a-z]{2,3}$/.test(primary) || ['und', 'mul', 'zxx', 'mis'].includes(primary)) return null;
+    const scriptSubtag = subtags.find(subtag => /^[a-z]{4}$/.test(subtag));
+    const scriptId = scriptSubtag ? SCRIPT_SUBTAGS[scriptSubtag] : LANGUAGE_SCRIPTS[primary];
+    if (!scriptId) return 'ltr';
+    return (Array.isArray(scriptIds) ? scriptIds : DEFAULT_RTL_SCRIPTS).includes(scriptId) ? 'rtl' : null;
+}
+
+/**
+ * Validates a list of RTL script ids.
+ * @param {string[]} scriptIds - Ids from RTL_SCRIPTS.
+ * @returns {{scripts: string[]|null, error: string|null}}
+ */
+function validateRtlScripts(scriptIds) {
+    if (!Array.isArray(scriptIds)) return { scripts: null, error: 'RTL scripts must be a list' };
+    const unknown = scriptIds.find(id => !DEFAULT_RTL_SCRIPTS.includes(id));
+    if (unknown !== undefined) return { scripts: null, error: `Unknown script "${unknown}"` };
+    if (!scriptIds.length) return { scripts: null, error: 'Select at least one script' };
+    return { scripts: DEFAULT_RTL_SCRIPTS.filter(id => scriptIds.includes(id)), error: null };
+}
+
+/**
+ * Counts strong RTL and LTR characters in a piece of text and decides its direction.
+ * URLs and e-mail addresses are stripped first; digits and punctuation are never counted.
+ * @param {string} text - The text to classify.
+ * @param {{mode: string, threshold: number, scripts?: string[]}} options - Detection mode, RTL threshold in percent and the RTL scripts (all by default).
+ * @returns {{rtl: number, ltr: number, ratio: number, isRtl: boolean}} Counts, RTL share (0..1) and the decision.
+ */
+function classifyDirection(text, options) {
+    const patterns = getScriptPatterns(options.scripts || DEFAULT_RTL_SCRIPTS);
+    const cleaned = (text || '').replace(URL_REGEX, ' ').replace(EMAIL_REGEX, ' ');
+    const rtl = (cleaned.match(patterns.rtlChars) || []).length;
+    const ltr = (cleaned.match(patterns.ltrChars) || []).length;
+    const ratio = (rtl + ltr) > 0 ? rtl / (rtl + ltr) : 0;
+    let isRtl;
+    if (options.mode === 'first-strong') {
+        const firstStrong = cleaned.match(patterns.firstStrong);
+        isRtl = !!firstStrong && patterns.rtl.test(firstStrong[0]);
+    } else {
+        isRtl = rtl > 0 && ratio * 100 >= options.threshold;
+    }
+    return { rtl, ltr, ratio, isRtl };
+}
+
+/**
+ * Decides from its text whether a block should be RTL (the DOM checks stay in the content script).
+ * @param {string} text - The block's classifiable text.
+ * @param {{mode: string, threshold: number, scripts?: string[], forceRtl?: boolean, langDirection?: string|null}} options -
+ *   Detection settings, whether the site rule forces RTL and the direction of the block's lang attribute.
+ * @returns {{isRtl: boolean, reason: string|null}} The decision; `reason` says why a block is not RTL
+ *   ('lang-ltr', 'no-text', 'no-rtl' or 'below-threshold').
+ */
+function evaluateBlockText(text, options) {
+    if (options.langDirection === 'ltr') return { isRtl: false, reason: 'lang-ltr' };
+    // Forced blocks only need some text with a direction
+    if (options.forceRtl || options.langDirection === 'rtl') {
+        return text && FIRST_STRONG_REGEX.test(text) ? { isRtl: true, reason: null } : { isRtl: false, reason: 'no-text' };
+    }
+    if (!text || !getScriptPatterns(options.scripts || DEFAULT_RTL_SCRIPTS).rtl.test(text)) return { isRtl: false, reason: 'no-rtl' };
+    return classifyDirection(text, options).isRtl ? { isRtl: true, reason: null } : { isRtl: false, reason: 'below-threshold' };
+}
@@ -0,0 +1,77 @@
+// ~/lib/fonts.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the font substitution settings for RTL blocks, shared by the background,
+// content, popup and settings page scripts. Depends on lib/rules.js (matchesHostPattern).
+//
+// Global font settings: { enabled, family, sizeScale, lineHeight }
+//   family    : a CSS font-family list; the fonts must be installed on the system (nothing is downloaded)
+//   sizeScale : font size in percent of the block's own size (100 = unchanged)
+//   lineHeight: unitless line height, 0 keeps the page's value
+// Site overrides: { host, enabled?, family?, sizeScale?, lineHeight? } - only the given fields replace the global ones.
+
+const DEFAULT_RTL_FONT = { enabled: false, family: 'Vazirmatn, Sahel, Tahoma, sans-serif', sizeScale: 100, lineHeight: 0 };
+const FONT_FAMILY_SUGGESTIONS = ['Vazirmatn', 'Sahel', 'Samim', 'Shabnam', 'Noto Naskh Arabic', 'Noto Sans Arabic', 'Tahoma', 'system-ui'];
+const FONT_FIELDS = ['enabled', 'family', 'sizeScale', 'lineHeight'];
+
+/**
+ * Validates the font fields that are present and returns a clean copy of them.
+ * @param {object} font - Global font settings or a site override.
+ * @returns {{font: object|null, error: string|null}}
+ */
+function validateFontFields(font) {
+    if (!font || typeof font !== 'object') return { font: null, error: 'Font settings must be an object' };
+    const clean = {};
+    if (font.enabled !== undefined) {
+        if (typeof font.enabled !== 'boolean') return { font: null, error: '"enabled" must be true or false' };
+        clean.enabled = font.enabled;
+    }
+    if (font.family !== undefined) {
+        const family = typeof font.family === 'string' ? font.family.trim() : '';
+        // Only a font list: no declarations, blocks or url() sneaking into the style attribute
+        if (!family || family.length > 200 || /[;{}()<>\\]/.test(family)) return { font: null, error: 'Invalid font family' };
+        clean.family = family;
+    }
+    if (font.sizeScale !== undefined) {
+        if (!Number.isFinite(font.sizeScale) || font.sizeScale < 50 || font.sizeScale > 200) return { font: null, error: 'Font size must be between 50% and 200%' };
+        clean.sizeScale = Math.round(font.sizeScale);
+    }
+    if (font.lineHeight !== undefined) {
+        if (!Number.isFinite(font.lineHeight) || (font.lineHeight !== 0 && (font.lineHeight < 1 || font.lineHeight > 3))) return { font: null, error: 'Line height must be 0 (keep) or between 1 and 3' };
+        clean.lineHeight = Math.round(font.lineHeight * 100) / 100;
+    }
+    return { font: clean, error: null };
+}
+
+/**
+ * Validates a site override: a host pattern plus any font fields.
+ * @param {object} override - { host, enabled?, family?, sizeScale?, lineHeight? }
+ * @returns {{font: object|null, error: string|null}}
+ */
+function validateSiteFont(override) {
+    const host = typeof override?.host === 'string' ? override.host.trim().toLowerCase() : '';
+    if (!host || /[\s/]/.test(host)) return { font: null, error: 'Invalid host' };
+    const { font, error } = validateFontFields(override);
+    if (error) return { font: null, error };
+    return { font: { host, ...font }, error: null };
+}
+
+/**
+ * The font settings in effect on a host: the first matching site override on top of the global settings.
+ * @param {object} rtlFont - Global font settings.
+ * @param {object[]} siteFonts - Site overrides.
+ * @param {string} hostname - The page hostname.
+ * @returns {object|null} { family, sizeScale, lineHeight } or null when substitution is off here.
+ */
+function resolveRtlFont(rtlFont, siteFonts, hostname) {
+    const override = (Array.isArray(siteFonts) ? siteFonts : []).find(site => matchesHostPattern(site.host, hostname));
+    const font = { ...DEFAULT_RTL_FONT, ...rtlFont };
+    if (override) FONT_FIELDS.forEach(field => { if (override[field] !== undefined) font[field] = override[field]; });
+    return font.enabled ? { family: font.family, sizeScale: font.sizeScale, lineHeight: font.lineHeight } : null;
+}
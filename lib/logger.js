@@ -0,0 +1,89 @@
+// ~/lib/logger.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the logger shared by the background, content, popup and settings page scripts.
+//
+// Each script makes one logger with its prefix: const logger = createLogger('RTL Fixer');
+//   logger.error/warn/info/debug(...args) print to the console only at or above the level set with
+//   setLogLevel() (the `logLevel` setting, 'warn' by default), so pages we run on keep a quiet console.
+// Every script also keeps the events it prints in a ring buffer: the settings page shows the background's,
+// the diagnostic report includes the page's. Nothing is formatted for events below the level.
+
+const LOG_LEVELS = ['off', 'error', 'warn', 'info', 'debug']; // From quiet to verbose
+const DEFAULT_LOG_LEVEL = 'warn';
+const LOG_BUFFER_SIZE = 200;
+const LOG_ARGUMENT_MAX_LENGTH = 500;
+
+let logLevel = DEFAULT_LOG_LEVEL;
+const logBuffer = []; // { time, level, source, message }, oldest first
+
+function isLogLevel(level) {
+    return LOG_LEVELS.includes(level);
+}
+
+/**
+ * Sets how much reaches the console and the buffer.
+ * @param {string} level - One of LOG_LEVELS; anything else is ignored.
+ */
+function setLogLevel(level) {
+    if (isLogLevel(level)) logLevel = level;
+}
+
+// One log argument as text for the buffer: objects as (shortened) JSON, elements as their tag name.
+function formatLogArgument(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (value && typeof value === 'object' && typeof value.nodeName === 'string') return `<${value.nodeName.toLowerCase()}>`;
+    let text;
+    try { text = JSON.stringify(value) ?? String(value); } catch (e) { text = String(value); }
+    return text.length > LOG_ARGUMENT_MAX_LENGTH ? `${text.slice(0, LOG_ARGUMENT_MAX_LENGTH)}…` : text;
+}
+
+function writeLog(level, source, args) {
+    if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(logLevel)) return;
+    console[level](`${source}:`, ...args);
+    logBuffer.push({ time: Date.now(), level, source, message: args.map(formatLogArgument).join(' ') });
+    if (logBuffer.length > LOG_BUFFER_SIZE) logBuffer.shift();
+}
+
+/**
+ * Makes a logger whose messages start with `source`.
+ * @param {string} source - Prefix, e.g. 'RTL Fixer Pro Background'.
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function}}
+ */
+function createLogger(source) {
+    return {
+        error: (...args) => writeLog('error', source, args),
+        warn: (...args) => writeLog('warn', source, args),
+        info: (...args) => writeLog('info', source, args),
+        debug: (...args) => writeLog('debug', source, args)
+    };
+}
+
+/**
+ * The buffered events of this script, oldest first.
+ * @param {number} [limit] - Only the most recent `limit` events.
+ * @returns {object[]} Copies of { time, level, source, message }.
+ */
+function getLogEntries(limit = LOG_BUFFER_SIZE) {
+    return logBuffer.slice(-limit).map(entry => ({ ...entry }));
+}
+
+function clearLogEntries() {
+    logBuffer.length = 0;
+}
+
+/**
+ * Log events as text, one per line: "2025-04-11T10:00:00.000Z WARN  RTL Fixer: message".
+ * @param {object[]} entries - Events from getLogEntries().
+ * @returns {string}
+ */
+function formatLogEntries(entries) {
+    return entries.map(entry => `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase().padEnd(5)} ${entry.source}: ${entry.message}`).join('\n');
+}
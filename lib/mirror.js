@@ -0,0 +1,64 @@
+// ~/lib/mirror.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the per-site "mirror page" settings shared by the background, content, popup
+// and settings page scripts. Depends on lib/rules.js (matchesHostPattern) and lib/selectors.js (normalizeSelectorList).
+//
+// A mirrored site looks like: { host, keep: ['navigation', 'media', 'code'], exclude: ['.player'] }
+//   host   : "example.com" or "*.example.com"
+//   keep   : built-in groups of areas that stay left-to-right (see MIRROR_KEEP_GROUPS)
+//   exclude: extra selectors of areas that stay left-to-right
+// On a mirrored site the whole document is set to dir="rtl" and the physical left/right paddings,
+// margins, floats and text alignments (left/right; start/end follow the direction) of common containers
+// are swapped; kept areas get dir="ltr".
+
+const MIRROR_KEEP_GROUPS = {
+    navigation: { name: 'Navigation', selector: 'nav, [role="navigation"], [role="menubar"], [role="toolbar"]' },
+    media: { name: 'Images and media', selector: 'img, picture, video, audio, canvas, svg, iframe, object, embed, figure' },
+    code: { name: 'Code', selector: 'pre, code, kbd, samp, [class*="CodeMirror"], .cm-editor, .monaco-editor, .highlight' }
+};
+const DEFAULT_MIRROR_KEEP = Object.keys(MIRROR_KEEP_GROUPS);
+// Containers whose left/right spacing is swapped (layout done with flexbox, grid and logical properties follows dir by itself)
+const MIRROR_CONTAINER_SELECTORS = 'ul, ol, menu, li, dl, dd, blockquote, aside, main, article, section, header, footer, details, fieldset, figcaption, table, th, td';
+
+/**
+ * Validates a mirrored site entry and returns a clean copy of it.
+ * @param {object} site - { host, keep?, exclude? }
+ * @returns {{site: object|null, error: string|null}}
+ */
+function validateMirrorSite(site) {
+    if (!site || typeof site !== 'object') return { site: null, error: 'Mirrored site must be an object' };
+    const host = typeof site.host === 'string' ? site.host.trim().toLowerCase() : '';
+    if (!host || /[\s/]/.test(host)) return { site: null, error: 'Invalid host' };
+    const keep = site.keep === undefined ? DEFAULT_MIRROR_KEEP : site.keep;
+    if (!Array.isArray(keep) || keep.some(group => !MIRROR_KEEP_GROUPS[group])) return { site: null, error: 'Unknown area to keep' };
+    const { selectors, error } = normalizeSelectorList(site.exclude === undefined ? [] : site.exclude);
+    if (error) return { site: null, error };
+    return { site: { host, keep: DEFAULT_MIRROR_KEEP.filter(group => keep.includes(group)), exclude: selectors }, error: null };
+}
+
+/**
+ * The mirrored site entry matching a hostname, or null.
+ * @param {object[]} mirrorSites - Mirrored sites from storage.
+ * @param {string} hostname - The page hostname.
+ * @returns {object|null}
+ */
+function findMirrorSite(mirrorSites, hostname) {
+    if (!Array.isArray(mirrorSites) || !hostname) return null;
+    return mirrorSites.find(site => matchesHostPattern(site.host, hostname)) || null;
+}
+
+/**
+ * Selector of everything that stays left-to-right on a mirrored site.
+ * @param {object} site - A mirrored site entry.
+ * @returns {string} Comma separated selectors ('' when nothing is kept).
+ */
+function getMirrorKeepSelector(site) {
+    return [...(site.keep || []).map(group => MIRROR_KEEP_GROUPS[group]?.selector).filter(Boolean), ...(site.exclude || [])].join(', ');
+}
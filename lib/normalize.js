@@ -0,0 +1,116 @@
+// ~/lib/normalize.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the optional text normalization for RTL blocks, shared by the background,
+// content and settings page scripts. Depends on lib/detection.js (regexes).
+//
+// Settings: { digits, punctuation, letters }
+//   digits     : 'off' | 'persian' | 'arabic-indic' | 'latin' - every digit is written in this style
+//   punctuation: ',' ';' '?' after an Arabic-script letter become the Arabic-script forms
+//   letters    : Arabic yeh and kaf become the Persian forms
+// URLs, e-mail addresses and LTR runs (English words with their numbers, e.g. "Windows 11") are never changed.
+// This only computes the new text; the content script keeps the original to put it back.
+
+const DIGIT_STYLES = ['off', 'persian', 'arabic-indic', 'latin'];
+const DIGIT_STYLE_LABELS = { 'off': 'Leave as is', 'persian': 'Persian (\u06F1\u06F2\u06F3)', 'arabic-indic': 'Arabic-Indic (\u0661\u0662\u0663)', 'latin': 'Latin (123)' };
+const DIGIT_ZERO_CODES = { 'persian': 0x06F0, 'arabic-indic': 0x0660, 'latin': 0x30 };
+const DEFAULT_TEXT_NORMALIZATION = { digits: 'off', punctuation: false, letters: false };
+const DIGITS_REGEX = new RegExp(DIGIT_REGEX.source, 'g');
+const PUNCTUATION_MAP = { ',': '\u060C', ';': '\u061B', '?': '\u061F' };
+const PUNCTUATION_REGEX = new RegExp(`(${ARABIC_LETTER_REGEX.source})(\\s*)([,;?]+)`, 'gu'); // Arabic-script letter, spaces, marks
+const LETTER_MAP = { '\u064A': '\u06CC', '\u0643': '\u06A9' }; // Arabic yeh/kaf -> Persian yeh/keheh
+const LETTERS_REGEX = /[\u064A\u0643]/g;
+
+/**
+ * Validates normalization settings and returns a clean copy.
+ * @param {object} settings - { digits, punctuation, letters }
+ * @returns {{settings: object|null, error: string|null}}
+ */
+function validateTextNormalization(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return { settings: null, error: 'Text normalization settings must be an object' };
+    const clean = { ...DEFAULT_TEXT_NORMALIZATION };
+    if (settings.digits !== undefined) {
+        if (!DIGIT_STYLES.includes(settings.digits)) return { settings: null, error: `Unknown digit style "${settings.digits}"` };
+        clean.digits = settings.digits;
+    }
+    for (const flag of ['punctuation', 'letters']) {
+        if (settings[flag] === undefined) continue;
+        if (typeof settings[flag] !== 'boolean') return { settings: null, error: `"${flag}" must be true or false` };
+        clean[flag] = settings[flag];
+    }
+    return { settings: clean, error: null };
+}
+
+/**
+ * True when at least one normalization is switched on.
+ * @param {object|null} settings - Normalization settings.
+ * @returns {boolean}
+ */
+function isNormalizationActive(settings) {
+    return !!settings && ((DIGIT_STYLES.includes(settings.digits) && settings.digits !== 'off') || settings.punctuation === true || settings.letters === true);
+}
+
+/**
+ * Finds the parts of a text that must stay untouched: URLs, e-mail addresses and LTR runs with a letter.
+ * @param {string} text - The text.
+ * @returns {number[][]} Sorted, non-overlapping [start, end) ranges.
+ */
+function findProtectedRanges(text) {
+    const ranges = [];
+    for (const regex of [URL_REGEX, EMAIL_REGEX, LTR_RUN_REGEX]) {
+        for (const match of text.matchAll(regex)) {
+            if (regex === LTR_RUN_REGEX && !LTR_REGEX.test(match[0])) continue; // A bare number is not an LTR run
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]); else merged.push([...range]);
+    }
+    return merged;
+}
+
+// Applies the switched-on normalizations to a piece of text that has no protected parts.
+function normalizeSegment(segment, settings) {
+    let result = segment;
+    if (settings.letters) result = result.replace(LETTERS_REGEX, letter => LETTER_MAP[letter]);
+    if (settings.punctuation) {
+        // Only after a letter: "1,000" and "۱,۰۰۰" keep their separators
+        result = result.replace(PUNCTUATION_REGEX, (match, letter, spaces, marks) => letter + spaces + [...marks].map(mark => PUNCTUATION_MAP[mark]).join(''));
+    }
+    const zero = DIGIT_ZERO_CODES[settings.digits];
+    if (zero !== undefined) {
+        result = result.replace(DIGITS_REGEX, digit => {
+            const code = digit.charCodeAt(0);
+            const value = code - (code >= 0x06F0 ? 0x06F0 : code >= 0x0660 ? 0x0660 : 0x30);
+            return String.fromCharCode(zero + value);
+        });
+    }
+    return result;
+}
+
+/**
+ * Normalizes digits, punctuation and letters of a text, leaving URLs, e-mails and LTR runs alone.
+ * @param {string} text - The text (usually one text node).
+ * @param {object} settings - Normalization settings.
+ * @returns {string} The normalized text (the same string when nothing changed).
+ */
+function normalizeText(text, settings) {
+    if (!text || !isNormalizationActive(settings)) return text;
+    let result = '';
+    let position = 0;
+    for (const [start, end] of findProtectedRanges(text)) {
+        result += normalizeSegment(text.slice(position, start), settings) + text.slice(start, end);
+        position = end;
+    }
+    result += normalizeSegment(text.slice(position), settings);
+    return result;
+}
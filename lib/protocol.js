@@ -0,0 +1,217 @@
+// ~/lib/protocol.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the message protocol between the background, content, popup and settings page scripts.
+//
+// A message looks like: { protocol, action, payload }
+//   protocol: PROTOCOL_VERSION of the sender; a receiver of another version answers 'protocol-mismatch'
+//   action  : a key of MESSAGE_ACTIONS, which says who handles it and what the payload must be
+// Every answer looks like: { ok, data, error }
+//   ok: true  -> data holds the result (null when there is nothing to return), error is null
+//   ok: false -> error is { code, message } with a code from PROTOCOL_ERRORS; data may hold details
+// sendAction()/sendTabAction() never throw: a missing receiver becomes an 'unreachable' error response.
+
+const PROTOCOL_VERSION = 1;
+
+const PROTOCOL_ERRORS = {
+    unknownAction: 'unknown-action',     // No such action (or not handled by this receiver)
+    invalidPayload: 'invalid-payload',   // The payload does not have the registered type
+    protocolMismatch: 'protocol-mismatch', // Sender and receiver run different versions (e.g. a tab loaded before an update)
+    rejected: 'rejected',                // The handler refused the request; the message says why
+    internal: 'internal',                // The handler failed unexpectedly
+    unreachable: 'unreachable'           // Nobody answered (no content script in the tab, popup closed...)
+};
+
+// Payload types: 'none' (no payload), 'any', 'boolean', 'string', 'number', 'object' or 'array'
+const MESSAGE_ACTIONS = {
+    // Handled by the background script
+    getSettings: { to: 'background', payload: 'none' },
+    toggleEnabled: { to: 'background', payload: 'boolean' },
+    toggleEditableFields: { to: 'background', payload: 'boolean' },
+    addExcludedSite: { to: 'background', payload: 'string' },
+    removeExcludedSite: { to: 'background', payload: 'string' },
+    setSiteRules: { to: 'background', payload: 'array' },
+    updateSelectorPreset: { to: 'background', payload: 'object' },
+    setSiteSelectors: { to: 'background', payload: 'object' },
+    addElementRule: { to: 'background', payload: 'object' },
+    removeElementRule: { to: 'background', payload: 'string' },
+    updateDetectionSettings: { to: 'background', payload: 'object' },
+    updateStyleSettings: { to: 'background', payload: 'object' },
+    updateSettings: { to: 'background', payload: 'object' },
+    getTabPauseState: { to: 'background', payload: 'number' },
+    setTabPaused: { to: 'background', payload: 'object' },
+    setResumeOnNavigate: { to: 'background', payload: 'boolean' },
+    snooze: { to: 'background', payload: 'object' },
+    cancelSnooze: { to: 'background', payload: 'object' },
+    exportSettings: { to: 'background', payload: 'none' },
+    importSettings: { to: 'background', payload: 'object' },
+    getSyncStatus: { to: 'background', payload: 'none' },
+    setSyncEnabled: { to: 'background', payload: 'boolean' },
+    setLogLevel: { to: 'background', payload: 'string' },
+    getLogs: { to: 'background', payload: 'none' },
+    clearLogs: { to: 'background', payload: 'none' },
+    reportStats: { to: 'background', payload: 'object' },
+    getTabStats: { to: 'background', payload: 'number' },
+    // Handled by the content scripts of a tab
+    updateState: { to: 'content', payload: 'object' },
+    rescan: { to: 'content', payload: 'none' },
+    forceBlockDirection: { to: 'content', payload: 'string' },
+    togglePageDirection: { to: 'content', payload: 'none' },
+    contextMenuCommand: { to: 'content', payload: 'object' },
+    showToast: { to: 'content', payload: 'string' },
+    sendStatsReport: { to: 'content', payload: 'none' },
+    getScanStats: { to: 'content', payload: 'none' },
+    startPicker: { to: 'content', payload: 'none' },
+    setDebugOverlay: { to: 'content', payload: 'boolean' },
+    getDiagnostics: { to: 'content', payload: 'none' },
+    // Handled by an open popup
+    tabStatsUpdated: { to: 'popup', payload: 'object' }
+};
+
+/**
+ * Checks a payload against a payload type from MESSAGE_ACTIONS.
+ * @param {string} type - The registered payload type.
+ * @param {*} payload - The payload.
+ * @returns {boolean}
+ */
+function matchesPayloadType(type, payload) {
+    switch (type) {
+        case 'none': return payload === undefined || payload === null;
+        case 'any': return true;
+        case 'array': return Array.isArray(payload);
+        case 'object': return !!payload && typeof payload === 'object' && !Array.isArray(payload);
+        case 'number': return Number.isFinite(payload);
+        default: return typeof payload === type;
+    }
+}
+
+/**
+ * Builds a message for an action.
+ * @param {string} action - A key of MESSAGE_ACTIONS.
+ * @param {*} [payload] - The payload.
+ * @returns {{protocol: number, action: string, payload: *}}
+ */
+function createMessage(action, payload) {
+    return payload === undefined ? { protocol: PROTOCOL_VERSION, action } : { protocol: PROTOCOL_VERSION, action, payload };
+}
+
+function okResponse(data = null) {
+    return { ok: true, data, error: null };
+}
+
+function errorResponse(code, message, data = null) {
+    return { ok: false, data, error: { code, message } };
+}
+
+// The handler said no: invalid input, nothing to do, not active on this page...
+function rejectedResponse(message, data = null) {
+    return errorResponse(PROTOCOL_ERRORS.rejected, message, data);
+}
+
+function isProtocolResponse(value) {
+    return !!value && typeof value === 'object' && typeof value.ok === 'boolean' && 'data' in value && 'error' in value;
+}
+
+/**
+ * Checks an incoming message for a receiver.
+ * @param {object} message - The received message.
+ * @param {string} receiver - 'background', 'content' or 'popup'.
+ * @returns {object|null} An error response, or null when the message is valid.
+ */
+function validateMessage(message, receiver) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') return errorResponse(PROTOCOL_ERRORS.unknownAction, 'Not a message');
+    if (message.protocol !== PROTOCOL_VERSION) {
+        return errorResponse(PROTOCOL_ERRORS.protocolMismatch, `Protocol version ${message.protocol ?? 'none'} is not supported (expected ${PROTOCOL_VERSION})`);
+    }
+    const definition = Object.hasOwn(MESSAGE_ACTIONS, message.action) ? MESSAGE_ACTIONS[message.action] : null;
+    if (!definition || definition.to !== receiver) return errorResponse(PROTOCOL_ERRORS.unknownAction, `Unknown action "${message.action}"`);
+    if (!matchesPayloadType(definition.payload, message.payload)) {
+        return errorResponse(PROTOCOL_ERRORS.invalidPayload, `"${message.action}" expects ${definition.payload === 'none' ? 'no payload' : `a payload of type ${definition.payload}`}`);
+    }
+    return null;
+}
+
+/**
+ * Builds a runtime.onMessage listener that validates messages and dispatches them to handlers.
+ * A handler gets (payload, sender) and returns a response (or a promise of one); returning nothing
+ * leaves the message to other listeners, e.g. another frame of the same tab.
+ * @param {string} receiver - 'background', 'content' or 'popup'.
+ * @param {object} handlers - { [action]: handler }
+ * @param {{answerInvalid?: boolean, onError?: Function, onMismatch?: Function}} [options] -
+ *   answerInvalid: answer unknown actions and protocol mismatches with an error (only one receiver should, so
+ *   several listeners don't race to answer); onError(action, error) logs handler failures; onMismatch(message)
+ *   is told about messages of another protocol version.
+ * @returns {Function} The listener.
+ */
+function createMessageListener(receiver, handlers, { answerInvalid = false, onError = null, onMismatch = null } = {}) {
+    return (message, sender) => {
+        const invalid = validateMessage(message, receiver);
+        if (invalid) {
+            if (invalid.error.code === PROTOCOL_ERRORS.protocolMismatch && onMismatch) onMismatch(message);
+            // A bad payload for one of our actions is always answered; the rest may be meant for another listener
+            return invalid.error.code === PROTOCOL_ERRORS.invalidPayload || answerInvalid ? Promise.resolve(invalid) : false;
+        }
+        if (!Object.hasOwn(handlers, message.action)) {
+            return answerInvalid ? Promise.resolve(errorResponse(PROTOCOL_ERRORS.unknownAction, `Unknown action "${message.action}"`)) : false;
+        }
+        const fail = error => {
+            if (onError) onError(message.action, error);
+            return errorResponse(PROTOCOL_ERRORS.internal, `Internal error: ${error.message}`);
+        };
+        let result;
+        try { result = handlers[message.action](message.payload, sender); } catch (error) { return Promise.resolve(fail(error)); }
+        if (result === undefined || result === null) return false;
+        return Promise.resolve(result).then(response => (isProtocolResponse(response) ? response : okResponse(response)), fail);
+    };
+}
+
+// Wraps whatever came back from sendMessage (or its failure) into a response.
+function toResponse(sending) {
+    return sending.then(
+        response => (isProtocolResponse(response) ? response
+            : errorResponse(response === undefined ? PROTOCOL_ERRORS.unreachable : PROTOCOL_ERRORS.protocolMismatch, response === undefined ? 'No answer' : 'The receiver does not speak this protocol')),
+        error => errorResponse(PROTOCOL_ERRORS.unreachable, error?.message || String(error))
+    );
+}
+
+/**
+ * Sends an action to the background script (or, for 'popup' actions, to an open popup).
+ * @param {string} action - A key of MESSAGE_ACTIONS.
+ * @param {*} [payload] - The payload.
+ * @returns {Promise<{ok: boolean, data: *, error: object|null}>} Never rejects.
+ */
+function sendAction(action, payload) {
+    try { return toResponse(browser.runtime.sendMessage(createMessage(action, payload))); }
+    catch (error) { return Promise.resolve(errorResponse(PROTOCOL_ERRORS.unreachable, error.message)); } // No runtime left (extension reloaded)
+}
+
+/**
+ * Sends an action to the content scripts of a tab.
+ * @param {number} tabId - The tab.
+ * @param {string} action - A key of MESSAGE_ACTIONS.
+ * @param {*} [payload] - The payload.
+ * @param {object} [options] - tabs.sendMessage options, e.g. { frameId: 0 }.
+ * @returns {Promise<{ok: boolean, data: *, error: object|null}>} Never rejects.
+ */
+function sendTabAction(tabId, action, payload, options) {
+    try { return toResponse(browser.tabs.sendMessage(tabId, createMessage(action, payload), options)); }
+    catch (error) { return Promise.resolve(errorResponse(PROTOCOL_ERRORS.unreachable, error.message)); }
+}
+
+/**
+ * Structural equality of plain data (settings values, state payloads).
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.hasOwn(b, key) && isSameValue(a[key], b[key]));
+}
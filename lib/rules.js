@@ -0,0 +1,133 @@
+// ~/lib/rules.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the per-site rule matching shared by the background, content and popup scripts.
+//
+// A rule looks like: { id, type, pattern, mode, threshold }
+//   type    : 'domain' -> "example.com" or "*.example.com" (wildcard also matches the bare domain)
+//             'path'   -> "example.com/fa/" or "*.example.com/docs/*" (host pattern + path prefix, matched at whole
+//                         path segments: "/fa" and "/fa/*" match /fa and /fa/page but not /faq; "/fa*" matches all three)
+//             'regex'  -> a regular expression tested against the full URL
+//   mode    : 'off' | 'force-rtl' | 'auto' | 'auto-threshold'
+//   threshold: RTL share in percent, only used by 'auto-threshold'
+// Rules are kept in priority order: the first matching rule wins.
+
+const RULE_TYPES = ['domain', 'path', 'regex'];
+const RULE_MODES = ['off', 'force-rtl', 'auto', 'auto-threshold'];
+const RULE_MODE_LABELS = { 'off': 'Off', 'force-rtl': 'Force RTL', 'auto': 'Auto', 'auto-threshold': 'Auto (custom threshold)' };
+
+/**
+ * Checks a hostname against a host pattern ("example.com" or "*.example.com").
+ * @param {string} pattern - The host pattern.
+ * @param {string} hostname - The hostname to test.
+ * @returns {boolean}
+ */
+function matchesHostPattern(pattern, hostname) {
+    if (!pattern || !hostname) return false;
+    const host = hostname.toLowerCase();
+    const normalizedPattern = pattern.toLowerCase();
+    if (normalizedPattern.startsWith('*.')) {
+        const base = normalizedPattern.slice(2);
+        return host === base || host.endsWith(`.${base}`);
+    }
+    return host === normalizedPattern;
+}
+
+/**
+ * Checks whether a single rule applies to a URL.
+ * @param {object} rule - The rule.
+ * @param {string|URL} url - The page URL.
+ * @returns {boolean}
+ */
+function matchesRule(rule, url) {
+    let parsed;
+    try { parsed = url instanceof URL ? url : new URL(url); } catch (e) { return false; }
+    switch (rule.type) {
+        case 'domain':
+            return matchesHostPattern(rule.pattern, parsed.hostname);
+        case 'path': {
+            const slashIndex = rule.pattern.indexOf('/');
+            const hostPart = slashIndex === -1 ? rule.pattern : rule.pattern.slice(0, slashIndex);
+            const path = slashIndex === -1 ? '/' : rule.pattern.slice(slashIndex);
+            const pathPrefix = path.replace(/\*+$/, '');
+            if (!matchesHostPattern(hostPart, parsed.hostname)) return false;
+            if (path !== pathPrefix && pathPrefix.endsWith('/') && parsed.pathname === pathPrefix.slice(0, -1)) return true; // "/fa/*" covers /fa
+            if (path !== pathPrefix || pathPrefix.endsWith('/')) return parsed.pathname.startsWith(pathPrefix);
+            return parsed.pathname === pathPrefix || parsed.pathname.startsWith(`${pathPrefix}/`);
+        }
+        case 'regex':
+            try { return new RegExp(rule.pattern, 'i').test(parsed.href); } catch (e) { return false; }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Returns the first (highest priority) rule matching the URL, or null.
+ * @param {object[]} rules - Rules in priority order.
+ * @param {string|URL} url - The page URL.
+ * @returns {object|null}
+ */
+function findMatchingRule(rules, url) {
+    if (!Array.isArray(rules) || !url) return null;
+    return rules.find(rule => matchesRule(rule, url)) || null;
+}
+
+/**
+ * Guesses the rule type from what the user typed:
+ * "/.../" is a regex, anything with a path is a path rule, the rest is a domain.
+ * @param {string} pattern - Raw pattern text.
+ * @returns {{type: string, pattern: string}} Type and the pattern without regex slashes.
+ */
+function guessRuleType(pattern) {
+    const trimmed = (pattern || '').trim();
+    if (trimmed.length > 2 && trimmed.startsWith('/') && trimmed.endsWith('/')) return { type: 'regex', pattern: trimmed.slice(1, -1) };
+    const withoutScheme = trimmed.replace(/^[a-z]+:\/\//i, '');
+    if (withoutScheme.includes('/')) return { type: 'path', pattern: withoutScheme };
+    return { type: 'domain', pattern: withoutScheme };
+}
+
+/**
+ * Validates a rule and returns a clean copy of it.
+ * @param {object} rule - The rule to check.
+ * @returns {{rule: object|null, error: string|null}}
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return { rule: null, error: 'Rule must be an object' };
+    const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+    if (!pattern) return { rule: null, error: 'Pattern is empty' };
+    if (!RULE_TYPES.includes(rule.type)) return { rule: null, error: `Unknown rule type "${rule.type}"` };
+    if (!RULE_MODES.includes(rule.mode)) return { rule: null, error: `Unknown rule mode "${rule.mode}"` };
+    if (rule.type === 'regex') {
+        try { new RegExp(pattern); } catch (e) { return { rule: null, error: `Invalid regular expression: ${e.message}` }; }
+    } else if (/\s/.test(pattern)) {
+        return { rule: null, error: 'Pattern must not contain spaces' };
+    }
+    const clean = { id: typeof rule.id === 'string' && rule.id ? rule.id : createRuleId(), type: rule.type, pattern, mode: rule.mode };
+    if (rule.mode === 'auto-threshold') {
+        const threshold = Number(rule.threshold);
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) return { rule: null, error: 'Threshold must be between 0 and 100' };
+        clean.threshold = Math.round(threshold);
+    }
+    return { rule: clean, error: null };
+}
+
+function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Short human-readable description of a rule's mode, e.g. "Auto (60%)".
+ * @param {object} rule - The rule.
+ * @returns {string}
+ */
+function describeRuleMode(rule) {
+    if (rule.mode === 'auto-threshold') return `Auto (${rule.threshold}%)`;
+    return RULE_MODE_LABELS[rule.mode] || rule.mode;
+}
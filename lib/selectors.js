@@ -0,0 +1,147 @@
+// ~/lib/selectors.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the built-in selector presets and the per-site selector resolution,
+// shared by the background, content and popup scripts. Depends on lib/rules.js (matchesHostPattern).
+//
+// A selector set looks like: { id, name, hosts: ['example.com', '*.example.org'], include: [...], exclude: [...] }
+//   include: extra elements to scan on top of the default block tags (e.g. chat message DIVs)
+//   exclude: elements (and everything inside them) the fixer must leave alone
+// Presets can be switched off or edited; edits are stored as overrides keyed by preset id,
+// so "reset" simply drops the override. User sets live next to them in storage.
+//
+// Element rules pin single blocks picked on a page: { id, host, selector, action }
+//   action: 'rtl' | 'ltr' | 'ignore' (leave the block and its contents alone)
+
+const SELECTOR_PRESETS = [
+    {
+        id: 'chatgpt',
+        name: 'ChatGPT-style chat',
+        hosts: ['chatgpt.com', 'chat.openai.com'],
+        include: ['[data-message-author-role] .whitespace-pre-wrap', '[data-message-author-role] .markdown'],
+        exclude: ['#prompt-textarea', '.cm-editor']
+    },
+    {
+        id: 'github-issues',
+        name: 'GitHub issues',
+        hosts: ['github.com'],
+        include: ['.js-issue-title', '.markdown-title', '[data-testid="issue-title"]'],
+        exclude: ['.blob-code', '.react-code-text', '.js-file-line-container']
+    },
+    {
+        id: 'telegram-web',
+        name: 'Telegram Web',
+        hosts: ['web.telegram.org'],
+        include: ['.text-content', '.translatable-message', '.message'],
+        exclude: ['.time', '.time-inner', '.reactions']
+    },
+    {
+        id: 'gmail',
+        name: 'Gmail',
+        hosts: ['mail.google.com'],
+        include: ['.a3s', '.a3s div', '.hP', '.y2', '.bog'],
+        exclude: []
+    }
+];
+
+const MAX_SELECTORS_PER_LIST = 50;
+const ELEMENT_RULE_ACTIONS = ['rtl', 'ltr', 'ignore'];
+
+/**
+ * Checks whether a string is a valid CSS selector (uses the DOM parser when available).
+ * @param {string} selector - Selector to check.
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    if (typeof document === 'undefined') return true;
+    try { document.createDocumentFragment().querySelector(selector); return true; } catch (e) { return false; }
+}
+
+/**
+ * Cleans a selector list: trims, drops empty and duplicate entries.
+ * @param {string[]|string} list - Array of selectors or newline separated text.
+ * @returns {{selectors: string[], error: string|null}}
+ */
+function normalizeSelectorList(list) {
+    const raw = typeof list === 'string' ? list.split('\n') : list;
+    if (!Array.isArray(raw)) return { selectors: [], error: 'Selector list must be an array' };
+    const selectors = [...new Set(raw.map(item => (typeof item === 'string' ? item.trim() : '')).filter(Boolean))];
+    if (selectors.length > MAX_SELECTORS_PER_LIST) return { selectors: [], error: `At most ${MAX_SELECTORS_PER_LIST} selectors per list` };
+    const invalid = selectors.find(selector => !isValidSelector(selector));
+    if (invalid) return { selectors: [], error: `Invalid selector: ${invalid}` };
+    return { selectors, error: null };
+}
+
+/**
+ * Combines the built-in presets with the user's overrides and custom sets.
+ * @param {object} presetOverrides - { [presetId]: { enabled?, include?, exclude? } }
+ * @param {object[]} customSets - User selector sets.
+ * @returns {object[]} Selector sets with `builtIn`, `enabled` and `modified` flags.
+ */
+function getEffectiveSelectorSets(presetOverrides, customSets) {
+    const overrides = presetOverrides || {};
+    const presets = SELECTOR_PRESETS.map(preset => {
+        const override = overrides[preset.id] || {};
+        return {
+            ...preset,
+            include: Array.isArray(override.include) ? override.include : preset.include,
+            exclude: Array.isArray(override.exclude) ? override.exclude : preset.exclude,
+            enabled: override.enabled !== false,
+            builtIn: true,
+            modified: Array.isArray(override.include) || Array.isArray(override.exclude)
+        };
+    });
+    const custom = (Array.isArray(customSets) ? customSets : []).map(set => ({ ...set, enabled: set.enabled !== false, builtIn: false, modified: false }));
+    return [...presets, ...custom];
+}
+
+/**
+ * Merges the include/exclude selectors of every enabled set that matches the hostname.
+ * @param {object} presetOverrides - Preset overrides from storage.
+ * @param {object[]} customSets - User selector sets from storage.
+ * @param {string} hostname - The page hostname.
+ * @returns {{include: string[], exclude: string[]}}
+ */
+function resolveSiteSelectors(presetOverrides, customSets, hostname) {
+    const include = new Set();
+    const exclude = new Set();
+    for (const set of getEffectiveSelectorSets(presetOverrides, customSets)) {
+        if (!set.enabled || !set.hosts.some(host => matchesHostPattern(host, hostname))) continue;
+        set.include.forEach(selector => include.add(selector));
+        set.exclude.forEach(selector => exclude.add(selector));
+    }
+    return { include: [...include], exclude: [...exclude] };
+}
+
+/**
+ * Validates an element rule and returns a clean copy of it.
+ * @param {object} rule - { host, selector, action, id? }
+ * @returns {{rule: object|null, error: string|null}}
+ */
+function validateElementRule(rule) {
+    if (!rule || typeof rule !== 'object') return { rule: null, error: 'Element rule must be an object' };
+    const host = typeof rule.host === 'string' ? rule.host.trim().toLowerCase() : '';
+    if (!host || /[\s/]/.test(host)) return { rule: null, error: 'Invalid host' };
+    if (!isValidSelector(rule.selector)) return { rule: null, error: `Invalid selector: ${rule.selector}` };
+    if (!ELEMENT_RULE_ACTIONS.includes(rule.action)) return { rule: null, error: `Unknown action "${rule.action}"` };
+    const id = typeof rule.id === 'string' && rule.id ? rule.id : `element-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    return { rule: { id, host, selector: rule.selector.trim(), action: rule.action }, error: null };
+}
+
+/**
+ * Element rules that apply to a hostname (host may be a wildcard pattern).
+ * @param {object[]} elementRules - All element rules.
+ * @param {string} hostname - The page hostname.
+ * @returns {object[]}
+ */
+function getElementRulesForHost(elementRules, hostname) {
+    if (!Array.isArray(elementRules) || !hostname) return [];
+    return elementRules.filter(rule => matchesHostPattern(rule.host, hostname));
+}
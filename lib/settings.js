@@ -0,0 +1,233 @@
+// ~/lib/settings.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the settings model: defaults, schema migrations, validation and the import/merge
+// logic. It never touches storage, so the background script (which does), the content script and the tests share it.
+// Depends on lib/rules.js, lib/selectors.js, lib/detection.js, lib/fonts.js, lib/normalize.js and lib/mirror.js.
+
+const DEFAULT_SETTINGS = {
+    isEnabled: true,
+    siteRules: [],           // Per-site rules in priority order, see lib/rules.js
+    selectorPresets: {},     // Overrides of the built-in selector presets, keyed by preset id (lib/selectors.js)
+    siteSelectors: [],       // User selector sets: { id, name, hosts, include, exclude }
+    elementRules: [],        // Blocks pinned with the element picker: { id, host, selector, action }
+    detectionMode: 'ratio',  // 'ratio' (share of strong RTL characters) or 'first-strong'
+    rtlThreshold: 40,        // Minimum RTL share in percent, used by 'ratio' mode
+    rtlScripts: [...DEFAULT_RTL_SCRIPTS], // Scripts whose letters count as RTL (lib/detection.js)
+    respectLangAttribute: true, // lang="fa" on a block forces RTL, lang="en" forbids it
+    styleStrategy: 'inline', // How direction is applied: 'inline', 'dir-attr', 'dir-auto' or 'class'
+    isolateLtrRuns: false,   // Wrap LTR runs inside RTL blocks in <bdi> / isolate code elements
+    fixEditableFields: false, // Switch textarea/input/contenteditable direction while typing
+    rtlFont: { ...DEFAULT_RTL_FONT }, // Font substitution for RTL blocks (lib/fonts.js)
+    siteFonts: [],           // Per-site font overrides: { host, enabled?, family?, sizeScale?, lineHeight? }
+    mirrorSites: [],         // Sites whose whole layout is mirrored: { host, keep, exclude } (lib/mirror.js)
+    textNormalization: { ...DEFAULT_TEXT_NORMALIZATION }, // Digits/punctuation/letters in RTL blocks (lib/normalize.js)
+    resumeOnNavigate: true,  // A paused tab resumes when it navigates to another page
+    scanBudgetMs: 8,         // Max main-thread time per scan slice (ms)
+    maxClassifyChars: 2000,  // Characters read per element when classifying
+    syncEnabled: false,      // Mirror settings to storage.sync (this flag itself stays on the device)
+    logLevel: DEFAULT_LOG_LEVEL // Console output of every script (lib/logger.js); stays on the device too
+};
+
+const STYLE_STRATEGIES = ['inline', 'dir-attr', 'dir-auto', 'class']; // See the styling strategies of content.js
+// Settings that are exported and synced; everything else is specific to this device
+const DEVICE_SETTINGS = ['syncEnabled', 'logLevel'];
+const PORTABLE_SETTINGS = Object.keys(DEFAULT_SETTINGS).filter(key => !DEVICE_SETTINGS.includes(key));
+
+// --- Schema Version & Migrations ---
+// Stored settings carry `schemaVersion`. Each migration upgrades a plain settings object from
+// `version - 1` to `version`; they run in order on install/update and on imported files.
+//   1: flat `excludedSites` hostname list (before site rules)
+//   2: per-site rules, selectors, element rules...
+
+const SETTINGS_SCHEMA_VERSION = 2;
+const SETTINGS_MIGRATIONS = {
+    2: data => {
+        // Old exclusions become 'off' domain rules; hosts that already have one are skipped
+        if (Array.isArray(data.excludedSites)) {
+            const rules = Array.isArray(data.siteRules) ? [...data.siteRules] : [];
+            for (const hostname of data.excludedSites) {
+                const alreadyMigrated = rules.some(rule => rule.type === 'domain' && rule.mode === 'off' && rule.pattern === hostname);
+                if (typeof hostname === 'string' && hostname && !alreadyMigrated) rules.push({ id: createRuleId(), type: 'domain', pattern: hostname, mode: 'off' });
+            }
+            data.siteRules = rules;
+        }
+        delete data.excludedSites;
+    }
+};
+
+/**
+ * Runs the migrations needed to bring a settings object up to the current schema.
+ * @param {object} data - Stored or imported settings (not modified).
+ * @param {number} fromVersion - Schema version of `data`.
+ * @returns {{settings: object, removedKeys: string[]}} Migrated copy and the keys that no longer exist.
+ */
+function migrateSettings(data, fromVersion) {
+    const settings = { ...data };
+    for (let version = fromVersion + 1; version <= SETTINGS_SCHEMA_VERSION; version++) {
+        if (SETTINGS_MIGRATIONS[version]) SETTINGS_MIGRATIONS[version](settings);
+    }
+    settings.schemaVersion = SETTINGS_SCHEMA_VERSION;
+    return { settings, removedKeys: Object.keys(data).filter(key => !(key in settings)) };
+}
+
+// --- Settings Validation ---
+
+/**
+ * Checks every known key of a settings object (imported file, synced data) and returns clean values.
+ * Invalid list entries are dropped and invalid values skipped; both are reported as warnings.
+ * @param {object} input - Settings to check (partial objects are fine).
+ * @returns {{settings: object, warnings: string[]}}
+ */
+function validateSettings(input) {
+    const settings = {};
+    const warnings = [];
+    const checkList = (key, validate) => {
+        if (!Array.isArray(input[key])) { warnings.push(`"${key}" must be a list`); return; }
+        settings[key] = [];
+        input[key].forEach((item, index) => {
+            const { value, error } = validate(item);
+            if (error) warnings.push(`${key}[${index}]: ${error}`); else settings[key].push(value);
+        });
+    };
+    for (const key of Object.keys(input)) {
+        if (key === 'schemaVersion') continue;
+        if (!PORTABLE_SETTINGS.includes(key)) { warnings.push(`Unknown setting "${key}" ignored`); continue; }
+        const value = input[key];
+        switch (key) {
+            case 'siteRules':
+                checkList(key, item => { const { rule, error } = validateRule(item); return { value: rule, error }; });
+                break;
+            case 'elementRules':
+                checkList(key, item => { const { rule, error } = validateElementRule(item); return { value: rule, error }; });
+                break;
+            case 'siteSelectors':
+                checkList(key, validateSelectorSet);
+                break;
+            case 'siteFonts':
+                checkList(key, item => { const { font, error } = validateSiteFont(item); return { value: font, error }; });
+                break;
+            case 'mirrorSites':
+                checkList(key, item => { const { site, error } = validateMirrorSite(item); return { value: site, error }; });
+                break;
+            case 'rtlFont': {
+                const { font, error } = validateFontFields(value);
+                if (error) warnings.push(`rtlFont: ${error}`); else settings.rtlFont = { ...DEFAULT_RTL_FONT, ...font };
+                break;
+            }
+            case 'textNormalization': {
+                const { settings: normalization, error } = validateTextNormalization(value);
+                if (error) warnings.push(`textNormalization: ${error}`); else settings.textNormalization = normalization;
+                break;
+            }
+            case 'selectorPresets':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) { warnings.push('"selectorPresets" must be an object'); break; }
+                settings.selectorPresets = {};
+                for (const [presetId, override] of Object.entries(value)) {
+                    if (!SELECTOR_PRESETS.some(preset => preset.id === presetId)) { warnings.push(`Unknown selector preset "${presetId}" ignored`); continue; }
+                    const clean = {};
+                    if (typeof override?.enabled === 'boolean') clean.enabled = override.enabled;
+                    for (const list of ['include', 'exclude']) {
+                        if (override?.[list] === undefined) continue;
+                        const { selectors, error } = normalizeSelectorList(override[list]);
+                        if (error) warnings.push(`selectorPresets.${presetId}.${list}: ${error}`); else clean[list] = selectors;
+                    }
+                    settings.selectorPresets[presetId] = clean;
+                }
+                break;
+            case 'rtlScripts': {
+                const { scripts, error } = validateRtlScripts(value);
+                if (error) warnings.push(`rtlScripts: ${error}`); else settings.rtlScripts = scripts;
+                break;
+            }
+            case 'detectionMode':
+                if (DETECTION_MODES.includes(value)) settings[key] = value; else warnings.push(`Invalid detection mode "${value}"`);
+                break;
+            case 'styleStrategy':
+                if (STYLE_STRATEGIES.includes(value)) settings[key] = value; else warnings.push(`Invalid styling strategy "${value}"`);
+                break;
+            case 'rtlThreshold':
+                if (Number.isFinite(value) && value >= 0 && value <= 100) settings[key] = Math.round(value); else warnings.push('"rtlThreshold" must be between 0 and 100');
+                break;
+            case 'scanBudgetMs':
+                if (Number.isFinite(value) && value >= 1 && value <= 100) settings[key] = Math.round(value); else warnings.push('"scanBudgetMs" must be between 1 and 100');
+                break;
+            case 'maxClassifyChars':
+                if (Number.isFinite(value) && value >= 100 && value <= 100000) settings[key] = Math.round(value); else warnings.push('"maxClassifyChars" must be between 100 and 100000');
+                break;
+            default:
+                // The remaining settings are on/off switches
+                if (typeof value === 'boolean') settings[key] = value; else warnings.push(`"${key}" must be true or false`);
+        }
+    }
+    return { settings, warnings };
+}
+
+// Copies only the given keys (those present) from a message payload.
+function pickSettings(payload, keys) {
+    const picked = {};
+    keys.forEach(key => { if (payload && payload[key] !== undefined) picked[key] = payload[key]; });
+    return picked;
+}
+
+function validateSelectorSet(set) {
+    if (!set || typeof set !== 'object') return { value: null, error: 'Selector set must be an object' };
+    const hosts = Array.isArray(set.hosts) ? set.hosts.filter(host => typeof host === 'string' && host.trim() && !/[\s/]/.test(host)).map(host => host.trim().toLowerCase()) : [];
+    if (!hosts.length) return { value: null, error: 'Selector set needs at least one host' };
+    const include = normalizeSelectorList(set.include || []);
+    const exclude = normalizeSelectorList(set.exclude || []);
+    if (include.error || exclude.error) return { value: null, error: include.error || exclude.error };
+    const id = typeof set.id === 'string' && set.id ? set.id : `site-${hosts[0]}`;
+    return { value: { id, name: typeof set.name === 'string' && set.name ? set.name : hosts[0], hosts, include: include.selectors, exclude: exclude.selectors }, error: null };
+}
+
+// --- Import / Export ---
+// Exported files: { format, schemaVersion, exportedAt, settings: { ...portable settings } }
+
+const EXPORT_FORMAT = 'rtl-content-fixer-settings';
+
+/**
+ * Checks an exported file and works out the settings to store, without touching storage.
+ * @param {object} data - Parsed file contents.
+ * @param {object} current - The current settings.
+ * @param {'merge'|'replace'} mode - 'replace' swaps all portable settings for the file's (missing keys get defaults);
+ *   'merge' adds the file's rules, pinned blocks and selectors to the current ones and keeps this device's options.
+ * @returns {{updates: object|null, warnings: string[], error: string|null}}
+ */
+function prepareImport(data, current, mode) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+        return { updates: null, warnings: [], error: 'Not an RTL Content Fixer settings file' };
+    }
+    const version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+    if (version > SETTINGS_SCHEMA_VERSION) return { updates: null, warnings: [], error: 'The file was made by a newer version of the extension' };
+    const { settings: migrated } = migrateSettings(data.settings, version);
+    const { settings: imported, warnings } = validateSettings(migrated);
+    if (mode !== 'replace') return { updates: mergeSettings(current, imported), warnings, error: null };
+    const updates = {};
+    PORTABLE_SETTINGS.forEach(key => { updates[key] = key in imported ? imported[key] : DEFAULT_SETTINGS[key]; });
+    return { updates, warnings, error: null };
+}
+
+// Adds imported entries that are not there yet; existing entries (same pattern/selector/id) win.
+function mergeSettings(current, imported) {
+    const addMissing = (existing, incoming, keyOf) => {
+        const seen = new Set(existing.map(keyOf));
+        const ids = new Set(existing.map(item => item.id));
+        const added = incoming.filter(item => !seen.has(keyOf(item))).map(item => (item.id !== undefined && ids.has(item.id) ? { ...item, id: createRuleId() } : item));
+        return [...existing, ...added];
+    };
+    const merged = {};
+    if (imported.siteRules) merged.siteRules = addMissing(current.siteRules, imported.siteRules, rule => `${rule.type}|${rule.pattern}`);
+    if (imported.elementRules) merged.elementRules = addMissing(current.elementRules, imported.elementRules, rule => `${rule.host}|${rule.selector}`);
+    if (imported.siteSelectors) merged.siteSelectors = addMissing(current.siteSelectors, imported.siteSelectors, set => set.id);
+    if (imported.mirrorSites) merged.mirrorSites = addMissing(current.mirrorSites, imported.mirrorSites, site => site.host);
+    if (imported.siteFonts) merged.siteFonts = addMissing(current.siteFonts, imported.siteFonts, font => font.host);
+    if (imported.selectorPresets) merged.selectorPresets = { ...imported.selectorPresets, ...current.selectorPresets };
+    return merged;
+}
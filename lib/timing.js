@@ -0,0 +1,53 @@
+// ~/lib/timing.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the small timing helpers used by the content script (debouncing, retries).
+
+/**
+ * Delays calls to `func` until `wait` ms passed without another call.
+ * @param {Function} func - Function to call with the arguments of the last call.
+ * @param {number} wait - Quiet time in ms.
+ * @param {number} [maxWait=0] - Caps the delay under constant activity (0 = no cap).
+ * @returns {Function} The debounced function.
+ */
+function debounce(func, wait, maxWait = 0) {
+    let timeout;
+    let firstCall = null; // Time of the first call since the last run
+    return function (...args) {
+        const now = Date.now();
+        if (firstCall === null) firstCall = now;
+        const later = () => {
+            clearTimeout(timeout);
+            firstCall = null;
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, maxWait > 0 ? Math.max(0, Math.min(wait, firstCall + maxWait - now)) : wait);
+    };
+}
+
+/**
+ * Runs an async task until it returns an accepted value, waiting longer after every failure
+ * (initialDelay, initialDelay * factor, ...). Thrown errors count as failures.
+ * @param {Function} task - Async function producing the value.
+ * @param {{attempts?: number, initialDelay?: number, factor?: number, accept?: Function}} [options]
+ * @returns {Promise<*>} The accepted value, or null when every attempt failed.
+ */
+async function retryWithBackoff(task, { attempts = 5, initialDelay = 200, factor = 4, accept = value => value !== undefined } = {}) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const value = await task(attempt);
+            if (accept(value)) return value;
+        } catch (error) {
+            // Retried like an unaccepted value
+        }
+        if (attempt < attempts) await new Promise(resolve => setTimeout(resolve, initialDelay * Math.pow(factor, attempt - 1)));
+    }
+    return null;
+}
@@ -0,0 +1,693 @@
+// ~/options/options.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// This file contains the JavaScript code for the settings page of the Firefox extension.
+// It has room for what does not fit in the popup: the full rule table, detection preview,
+// performance limits and import/export (file pickers close the popup in Firefox).
+
+const logger = createLogger('Options');
+
+// --- DOM Elements ---
+const rulesSearchInput = document.getElementById('rules-search');
+const deleteRulesButton = document.getElementById('delete-rules-button');
+const selectAllRulesCheckbox = document.getElementById('select-all-rules');
+const rulesTableBody = document.getElementById('rules-table-body');
+const rulesEmptyHint = document.getElementById('rules-empty');
+const sortableHeaders = document.querySelectorAll('.rules-table th[data-sort]');
+const detectionModeSelect = document.getElementById('detection-mode');
+const rtlThresholdInput = document.getElementById('rtl-threshold');
+const rtlScriptsContainer = document.getElementById('rtl-scripts');
+const respectLangToggle = document.getElementById('respect-lang-toggle');
+const previewTextArea = document.getElementById('preview-text');
+const previewResult = document.getElementById('preview-result');
+const styleStrategySelect = document.getElementById('style-strategy');
+const isolateToggle = document.getElementById('isolate-toggle');
+const editableToggle = document.getElementById('editable-toggle');
+const normalizeDigitsSelect = document.getElementById('normalize-digits');
+const normalizePunctuationToggle = document.getElementById('normalize-punctuation');
+const normalizeLettersToggle = document.getElementById('normalize-letters');
+const normalizePreviewText = document.getElementById('normalize-preview-text');
+const normalizePreview = document.getElementById('normalize-preview');
+const fontEnabledToggle = document.getElementById('font-enabled');
+const fontFamilyInput = document.getElementById('font-family');
+const fontSuggestionsList = document.getElementById('font-suggestions');
+const fontSizeScaleInput = document.getElementById('font-size-scale');
+const fontLineHeightInput = document.getElementById('font-line-height');
+const fontPreview = document.getElementById('font-preview');
+const siteFontsBody = document.getElementById('site-fonts-body');
+const siteFontsEmptyHint = document.getElementById('site-fonts-empty');
+const addSiteFontForm = document.getElementById('add-site-font-form');
+const mirrorTableHeadRow = document.getElementById('mirror-table-head');
+const mirrorSitesBody = document.getElementById('mirror-sites-body');
+const mirrorSitesEmptyHint = document.getElementById('mirror-sites-empty');
+const addMirrorSiteForm = document.getElementById('add-mirror-site-form');
+const scanBudgetInput = document.getElementById('scan-budget');
+const maxClassifyCharsInput = document.getElementById('max-classify-chars');
+const exportButton = document.getElementById('export-button');
+const importFileInput = document.getElementById('import-file');
+const importButton = document.getElementById('import-button');
+const importWarningsUl = document.getElementById('import-warnings');
+const syncToggle = document.getElementById('sync-toggle');
+const syncStatusText = document.getElementById('sync-status');
+const logLevelSelect = document.getElementById('log-level');
+const logsRefreshButton = document.getElementById('logs-refresh-button');
+const logsExportButton = document.getElementById('logs-export-button');
+const logsClearButton = document.getElementById('logs-clear-button');
+const logView = document.getElementById('log-view');
+const statusMessage = document.getElementById('status-message');
+
+// --- State ---
+let siteRules = []; // In priority order, as stored
+let selectedRuleIds = new Set();
+let rulesSort = { key: 'priority', direction: 1 };
+let siteFonts = [];
+let mirrorSites = [];
+
+// --- Utility Functions ---
+
+/**
+ * Sends an action to the background script and returns its data.
+ * @param {string} action - A background action of lib/protocol.js.
+ * @param {*} [payload] - The payload.
+ * @returns {Promise<*>} The response data; throws with the background's reason when it fails.
+ */
+async function requestData(action, payload) {
+    const response = await sendAction(action, payload);
+    if (!response.ok) throw new Error(response.error.message);
+    return response.data;
+}
+
+/**
+ * Displays a status message to the user.
+ * @param {string} message - The message to display.
+ * @param {boolean} [isError=false] - True if the message indicates an error.
+ * @param {number} [duration=4000] - Duration in ms to show the message (0 for persistent).
+ */
+function showStatus(message, isError = false, duration = 4000) {
+    statusMessage.textContent = message;
+    statusMessage.className = isError ? 'status status-error' : 'status status-info';
+    statusMessage.style.display = 'block';
+    if (duration > 0) {
+        setTimeout(() => {
+            if (statusMessage.textContent === message) statusMessage.style.display = 'none';
+        }, duration);
+    }
+}
+
+// --- Site Rules ---
+
+/**
+ * Rules matching the search box, in the chosen sort order. Each entry keeps its priority (1-based).
+ * @returns {{rule: object, priority: number}[]}
+ */
+function getVisibleRules() {
+    const query = rulesSearchInput.value.trim().toLowerCase();
+    const rows = siteRules.map((rule, index) => ({ rule, priority: index + 1 }))
+        .filter(({ rule }) => !query || rule.pattern.toLowerCase().includes(query) || describeRuleMode(rule).toLowerCase().includes(query));
+    const valueOf = row => (rulesSort.key === 'priority' ? row.priority : rulesSort.key === 'mode' ? describeRuleMode(row.rule) : row.rule[rulesSort.key]);
+    return rows.sort((a, b) => {
+        const left = valueOf(a);
+        const right = valueOf(b);
+        return (typeof left === 'number' ? left - right : String(left).localeCompare(String(right))) * rulesSort.direction;
+    });
+}
+
+function renderRulesTable() {
+    // Forget selections of rules that no longer exist
+    selectedRuleIds = new Set([...selectedRuleIds].filter(id => siteRules.some(rule => rule.id === id)));
+    const rows = getVisibleRules();
+    rulesTableBody.innerHTML = '';
+    rows.forEach(({ rule, priority }) => {
+        const tr = document.createElement('tr');
+
+        const selectCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selectedRuleIds.has(rule.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selectedRuleIds.add(rule.id); else selectedRuleIds.delete(rule.id);
+            updateRuleSelectionControls(rows);
+        });
+        selectCell.appendChild(checkbox);
+
+        const cells = [String(priority), rule.type === 'regex' ? `/${rule.pattern}/` : rule.pattern, rule.type, describeRuleMode(rule)].map(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            return td;
+        });
+        cells[1].className = 'pattern';
+        tr.append(selectCell, ...cells);
+        rulesTableBody.appendChild(tr);
+    });
+    rulesEmptyHint.style.display = siteRules.length ? 'none' : 'block';
+    rulesEmptyHint.textContent = "No rules yet. All sites use automatic detection.";
+    if (siteRules.length && !rows.length) { rulesEmptyHint.style.display = 'block'; rulesEmptyHint.textContent = "No rules match the search."; }
+    sortableHeaders.forEach(header => {
+        header.classList.toggle('sorted-asc', header.dataset.sort === rulesSort.key && rulesSort.direction === 1);
+        header.classList.toggle('sorted-desc', header.dataset.sort === rulesSort.key && rulesSort.direction === -1);
+    });
+    updateRuleSelectionControls(rows);
+}
+
+function updateRuleSelectionControls(rows) {
+    const visibleSelected = rows.filter(({ rule }) => selectedRuleIds.has(rule.id)).length;
+    selectAllRulesCheckbox.checked = rows.length > 0 && visibleSelected === rows.length;
+    selectAllRulesCheckbox.indeterminate = visibleSelected > 0 && visibleSelected < rows.length;
+    deleteRulesButton.disabled = selectedRuleIds.size === 0;
+    deleteRulesButton.textContent = selectedRuleIds.size ? `Delete selected (${selectedRuleIds.size})` : 'Delete selected';
+}
+
+function handleSortClick(event) {
+    const key = event.currentTarget.dataset.sort;
+    rulesSort = { key, direction: rulesSort.key === key ? -rulesSort.direction : 1 };
+    renderRulesTable();
+}
+
+function handleSelectAllRules() {
+    getVisibleRules().forEach(({ rule }) => {
+        if (selectAllRulesCheckbox.checked) selectedRuleIds.add(rule.id); else selectedRuleIds.delete(rule.id);
+    });
+    renderRulesTable();
+}
+
+async function handleDeleteSelectedRules() {
+    const count = selectedRuleIds.size;
+    if (!count || !window.confirm(`Delete ${count} rule(s)?`)) return;
+    const remaining = siteRules.filter(rule => !selectedRuleIds.has(rule.id));
+    try {
+        const response = await sendAction('setSiteRules', remaining);
+        if (!response.ok) throw new Error(response.error.message);
+        siteRules = response.data.siteRules;
+        selectedRuleIds.clear();
+        renderRulesTable();
+        showStatus(`Deleted ${count} rule(s).`);
+    } catch (error) {
+        logger.error("Error deleting rules:", error);
+        showStatus(`Could not delete the rules${error.message ? `: ${error.message}` : '.'}`, true);
+    }
+}
+
+// --- Detection, Styling & Performance ---
+
+/**
+ * Classifies the preview text with the settings currently shown in the form (same code as the content script).
+ */
+function renderPreview() {
+    const text = previewTextArea.value;
+    if (!text.trim()) { previewResult.textContent = "The result will appear here."; return; }
+    const result = classifyDirection(text, { mode: detectionModeSelect.value, threshold: Number(rtlThresholdInput.value), scripts: getSelectedScripts() });
+    previewResult.innerHTML = '';
+    const decision = document.createElement('strong');
+    decision.className = result.isRtl ? 'rtl' : 'ltr';
+    decision.textContent = result.isRtl ? 'RTL' : 'Left as is';
+    const details = detectionModeSelect.value === 'first-strong'
+        ? ' (first strong character decides)'
+        : ` (${result.rtl} RTL and ${result.ltr} LTR letters, ${Math.round(result.ratio * 100)}% RTL, threshold ${rtlThresholdInput.value}%)`;
+    previewResult.append(decision, document.createTextNode(details));
+}
+
+function getSelectedScripts() {
+    return [...rtlScriptsContainer.querySelectorAll('input:checked')].map(input => input.value);
+}
+
+// One checkbox per script group of lib/detection.js
+function renderScriptList() {
+    RTL_SCRIPTS.forEach(script => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = script.id;
+        checkbox.addEventListener('change', () => saveSettings({ rtlScripts: getSelectedScripts() }));
+        label.append(checkbox, document.createTextNode(` ${script.name}`));
+        rtlScriptsContainer.appendChild(label);
+    });
+}
+
+function renderSettingsForm(settings) {
+    detectionModeSelect.value = settings.detectionMode;
+    rtlThresholdInput.value = settings.rtlThreshold;
+    rtlThresholdInput.disabled = settings.detectionMode === 'first-strong';
+    rtlScriptsContainer.querySelectorAll('input').forEach(input => { input.checked = (settings.rtlScripts || DEFAULT_RTL_SCRIPTS).includes(input.value); });
+    respectLangToggle.checked = settings.respectLangAttribute !== false;
+    styleStrategySelect.value = settings.styleStrategy;
+    isolateToggle.checked = settings.isolateLtrRuns;
+    editableToggle.checked = settings.fixEditableFields;
+    renderNormalizationSettings(settings.textNormalization);
+    renderFontSettings(settings.rtlFont);
+    scanBudgetInput.value = settings.scanBudgetMs;
+    maxClassifyCharsInput.value = settings.maxClassifyChars;
+    renderPreview();
+}
+
+/**
+ * Sends changed settings to the background script, which validates them. The form is reset
+ * to the stored values when they are rejected.
+ * @param {object} updates - { [settingName]: value }
+ */
+async function saveSettings(updates) {
+    try {
+        const response = await sendAction('updateSettings', updates);
+        if (!response.ok) {
+            showStatus(response.error.message || "Could not save the setting.", true, 6000);
+            renderSettingsForm(await requestData('getSettings'));
+            return;
+        }
+        renderSettingsForm(response.data.settings);
+        showStatus("Saved.", false, 1500);
+    } catch (error) {
+        logger.error("Error saving settings:", error);
+        showStatus("Error communicating with background.", true);
+    }
+}
+
+// --- Text Normalization ---
+
+function renderNormalizationSettings(textNormalization) {
+    const normalization = { ...DEFAULT_TEXT_NORMALIZATION, ...textNormalization };
+    normalizeDigitsSelect.value = normalization.digits;
+    normalizePunctuationToggle.checked = normalization.punctuation;
+    normalizeLettersToggle.checked = normalization.letters;
+    renderNormalizationPreview();
+}
+
+function getNormalizationForm() {
+    return { digits: normalizeDigitsSelect.value, punctuation: normalizePunctuationToggle.checked, letters: normalizeLettersToggle.checked };
+}
+
+// Shows the sample text the way it will look in RTL blocks (same code as the content script).
+function renderNormalizationPreview() {
+    const form = getNormalizationForm();
+    normalizePreview.textContent = isNormalizationActive(form) ? normalizeText(normalizePreviewText.value, form) : "Nothing is changed.";
+}
+
+// --- Fonts ---
+
+function renderFontSettings(rtlFont) {
+    const font = { ...DEFAULT_RTL_FONT, ...rtlFont };
+    fontEnabledToggle.checked = font.enabled;
+    fontFamilyInput.value = font.family;
+    fontSizeScaleInput.value = font.sizeScale;
+    fontLineHeightInput.value = font.lineHeight;
+    renderFontPreview();
+}
+
+// Shows the sample paragraph the way RTL blocks will look (the size relative to this page's text).
+function renderFontPreview() {
+    fontPreview.style.fontFamily = fontEnabledToggle.checked ? fontFamilyInput.value : '';
+    fontPreview.style.fontSize = fontEnabledToggle.checked ? `${Number(fontSizeScaleInput.value) || 100}%` : '';
+    fontPreview.style.lineHeight = fontEnabledToggle.checked && Number(fontLineHeightInput.value) ? fontLineHeightInput.value : '';
+}
+
+function saveFontSettings() {
+    saveSettings({
+        rtlFont: {
+            enabled: fontEnabledToggle.checked,
+            family: fontFamilyInput.value,
+            sizeScale: Number(fontSizeScaleInput.value),
+            lineHeight: Number(fontLineHeightInput.value)
+        }
+    });
+}
+
+// One-line summary of a font field for the overrides table ("—" when the global value is used).
+function describeFontField(override, field) {
+    if (override[field] === undefined) return '—';
+    if (field === 'enabled') return override.enabled ? 'On' : 'Off';
+    if (field === 'sizeScale') return `${override.sizeScale}%`;
+    if (field === 'lineHeight') return override.lineHeight ? String(override.lineHeight) : 'Page';
+    return override[field];
+}
+
+function renderSiteFonts() {
+    siteFontsBody.innerHTML = '';
+    siteFonts.forEach(override => {
+        const tr = document.createElement('tr');
+        ['host', 'enabled', 'family', 'sizeScale', 'lineHeight'].forEach(field => {
+            const td = document.createElement('td');
+            td.textContent = field === 'host' ? override.host : describeFontField(override, field);
+            tr.appendChild(td);
+        });
+        const actionCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.title = `Remove the override for ${override.host}`;
+        removeButton.addEventListener('click', () => saveSiteFonts(siteFonts.filter(item => item !== override), "Override removed."));
+        actionCell.appendChild(removeButton);
+        tr.appendChild(actionCell);
+        siteFontsBody.appendChild(tr);
+    });
+    siteFontsEmptyHint.style.display = siteFonts.length ? 'none' : 'block';
+}
+
+/**
+ * Saves the site overrides (validated by the background script).
+ * @param {object[]} overrides - The new list.
+ * @param {string} successMessage - Status text on success.
+ */
+async function saveSiteFonts(overrides, successMessage) {
+    try {
+        const response = await sendAction('updateSettings', { siteFonts: overrides });
+        if (!response.ok) { showStatus(response.error.message || "Could not save the override.", true, 6000); return false; }
+        siteFonts = response.data.settings.siteFonts;
+        renderSiteFonts();
+        showStatus(successMessage);
+        return true;
+    } catch (error) {
+        logger.error("Error saving site fonts:", error);
+        showStatus("Error communicating with background.", true);
+        return false;
+    }
+}
+
+async function handleAddSiteFont(event) {
+    event.preventDefault();
+    const host = document.getElementById('site-font-host').value.trim().toLowerCase();
+    const enabled = document.getElementById('site-font-enabled').value;
+    const family = document.getElementById('site-font-family').value.trim();
+    const size = document.getElementById('site-font-size').value;
+    const lineHeight = document.getElementById('site-font-line-height').value;
+    const override = { host };
+    if (enabled) override.enabled = enabled === 'on';
+    if (family) override.family = family;
+    if (size !== '') override.sizeScale = Number(size);
+    if (lineHeight !== '') override.lineHeight = Number(lineHeight);
+    // One override per host: a new one replaces the old
+    if (await saveSiteFonts([...siteFonts.filter(item => item.host !== host), override], `Font override for ${host} saved.`)) addSiteFontForm.reset();
+}
+
+// --- Mirrored Sites ---
+
+function renderMirrorSites() {
+    mirrorSitesBody.innerHTML = '';
+    mirrorSites.forEach((site, index) => {
+        const tr = document.createElement('tr');
+        const hostCell = document.createElement('td');
+        hostCell.textContent = site.host;
+        tr.appendChild(hostCell);
+        DEFAULT_MIRROR_KEEP.forEach(group => {
+            const td = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = site.keep.includes(group);
+            checkbox.title = `Keep ${MIRROR_KEEP_GROUPS[group].name.toLowerCase()} left-to-right on ${site.host}`;
+            checkbox.addEventListener('change', () => {
+                const keep = checkbox.checked ? [...site.keep, group] : site.keep.filter(item => item !== group);
+                saveMirrorSites(mirrorSites.map((item, i) => (i === index ? { ...site, keep } : item)), "Saved.");
+            });
+            td.appendChild(checkbox);
+            tr.appendChild(td);
+        });
+        const selectorsCell = document.createElement('td');
+        const selectorsInput = document.createElement('textarea');
+        selectorsInput.rows = Math.max(1, site.exclude.length);
+        selectorsInput.value = site.exclude.join('\n');
+        selectorsInput.placeholder = '.player';
+        selectorsInput.addEventListener('change', () => {
+            saveMirrorSites(mirrorSites.map((item, i) => (i === index ? { ...site, exclude: selectorsInput.value.split('\n') } : item)), "Saved.");
+        });
+        selectorsCell.appendChild(selectorsInput);
+        tr.appendChild(selectorsCell);
+        const actionCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.title = `Stop mirroring ${site.host}`;
+        removeButton.addEventListener('click', () => saveMirrorSites(mirrorSites.filter(item => item !== site), `Stopped mirroring ${site.host}.`));
+        actionCell.appendChild(removeButton);
+        tr.appendChild(actionCell);
+        mirrorSitesBody.appendChild(tr);
+    });
+    mirrorSitesEmptyHint.style.display = mirrorSites.length ? 'none' : 'block';
+}
+
+/**
+ * Saves the mirrored sites (validated by the background script). The table is redrawn either way,
+ * so rejected edits disappear.
+ * @param {object[]} sites - The new list.
+ * @param {string} successMessage - Status text on success.
+ */
+async function saveMirrorSites(sites, successMessage) {
+    try {
+        const response = await sendAction('updateSettings', { mirrorSites: sites });
+        if (!response.ok) { showStatus(response.error.message || "Could not save the mirrored sites.", true, 6000); renderMirrorSites(); return false; }
+        mirrorSites = response.data.settings.mirrorSites;
+        renderMirrorSites();
+        showStatus(successMessage);
+        return true;
+    } catch (error) {
+        logger.error("Error saving mirrored sites:", error);
+        showStatus("Error communicating with background.", true);
+        return false;
+    }
+}
+
+async function handleAddMirrorSite(event) {
+    event.preventDefault();
+    const host = document.getElementById('mirror-site-host').value.trim().toLowerCase();
+    if (mirrorSites.some(site => site.host === host)) { showStatus(`${host} is already mirrored.`, true); return; }
+    if (await saveMirrorSites([...mirrorSites, { host, keep: DEFAULT_MIRROR_KEEP, exclude: [] }], `${host} is now mirrored.`)) addMirrorSiteForm.reset();
+}
+
+// --- Backup & Sync ---
+
+/**
+ * Downloads the current settings as a JSON file.
+ */
+async function handleExport() {
+    try {
+        const { data } = await requestData('exportSettings');
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rtl-content-fixer-settings-${data.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showStatus("Settings exported.");
+    } catch (error) {
+        logger.error("Error exporting settings:", error);
+        showStatus("Could not export the settings.", true);
+    }
+}
+
+/**
+ * Reads the chosen file and sends it to the background script, which validates and applies it.
+ */
+async function handleImport() {
+    const file = importFileInput.files[0];
+    if (!file) return;
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    importWarningsUl.innerHTML = '';
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showStatus("The file is not valid JSON.", true);
+        return;
+    }
+    if (mode === 'replace' && !window.confirm("Replace all your rules and options with the file's settings?")) return;
+    importButton.disabled = true;
+    try {
+        const response = await sendAction('importSettings', { data, mode });
+        const warnings = response.data?.warnings || []; // Sent with failures too
+        renderImportWarnings(warnings);
+        if (response.ok) {
+            showStatus(warnings.length ? `Settings imported, ${warnings.length} entries skipped.` : "Settings imported.");
+            importFileInput.value = '';
+        } else {
+            showStatus(response.error.message || "Import failed.", true, 0);
+        }
+    } catch (error) {
+        logger.error("Error importing settings:", error);
+        showStatus("Error communicating with background.", true);
+    }
+    importButton.disabled = !importFileInput.files.length;
+}
+
+function renderImportWarnings(warnings) {
+    importWarningsUl.innerHTML = '';
+    warnings.forEach(warning => {
+        const li = document.createElement('li');
+        li.textContent = warning;
+        importWarningsUl.appendChild(li);
+    });
+}
+
+/**
+ * Shows whether sync is on and how the last sync went.
+ * @param {object} status - { syncEnabled, lastSyncAt, error }
+ */
+function renderSyncStatus(status) {
+    syncToggle.checked = status.syncEnabled;
+    syncStatusText.classList.toggle('error', !!status.error);
+    if (!status.syncEnabled) syncStatusText.textContent = "Settings are stored on this device only.";
+    else if (status.error) syncStatusText.textContent = `Last sync failed: ${status.error}`;
+    else if (status.lastSyncAt) syncStatusText.textContent = `Last synced ${new Date(status.lastSyncAt).toLocaleString()}. The newest change of each setting wins.`;
+    else syncStatusText.textContent = "Waiting for the first sync.";
+}
+
+async function handleSyncToggleChange() {
+    syncToggle.disabled = true;
+    try {
+        const status = await requestData('setSyncEnabled', syncToggle.checked);
+        renderSyncStatus(status);
+        showStatus(status.syncEnabled ? "Sync turned on." : "Sync turned off.");
+    } catch (error) {
+        logger.error("Error changing sync:", error);
+        syncToggle.checked = !syncToggle.checked; // Revert
+        showStatus("Could not change the sync setting.", true);
+    }
+    syncToggle.disabled = false;
+}
+
+// --- Logs ---
+
+const LOG_LEVEL_LABELS = { off: 'Nothing', error: 'Errors', warn: 'Errors and warnings', info: 'Activity', debug: 'Everything (debug)' };
+
+/**
+ * Shows the background script's recent log events, newest last.
+ */
+async function renderLogs() {
+    const response = await sendAction('getLogs');
+    if (!response.ok) { logView.textContent = `Could not load the log: ${response.error.message}`; return; }
+    logView.textContent = response.data.entries.length ? formatLogEntries(response.data.entries) : "No events yet.";
+    logView.scrollTop = logView.scrollHeight;
+}
+
+async function handleLogLevelChange() {
+    const response = await sendAction('setLogLevel', logLevelSelect.value);
+    if (!response.ok) {
+        logLevelSelect.value = logLevel; // Revert
+        showStatus(response.error.message || "Could not change the log level.", true);
+        return;
+    }
+    setLogLevel(response.data.logLevel);
+    showStatus(`Log level: ${LOG_LEVEL_LABELS[response.data.logLevel].toLowerCase()}.`);
+    renderLogs();
+}
+
+async function handleExportLogs() {
+    try {
+        const { entries } = await requestData('getLogs');
+        const blob = new Blob([`${formatLogEntries(entries)}\n`], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rtl-content-fixer-log-${new Date().toISOString().slice(0, 10)}.txt`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showStatus(`Log exported (${entries.length} events).`);
+    } catch (error) {
+        logger.error("Error exporting the log:", error);
+        showStatus("Could not export the log.", true);
+    }
+}
+
+async function handleClearLogs() {
+    const response = await sendAction('clearLogs');
+    if (!response.ok) showStatus(response.error.message || "Could not clear the log.", true);
+    renderLogs();
+}
+
+// --- Initialization ---
+
+async function initializeOptions() {
+    try {
+        const [settings, status] = await Promise.all([requestData('getSettings'), requestData('getSyncStatus')]);
+        siteRules = settings.siteRules;
+        siteFonts = settings.siteFonts;
+        mirrorSites = settings.mirrorSites || [];
+        DEFAULT_MIRROR_KEEP.forEach(group => {
+            const th = document.createElement('th');
+            th.textContent = `Keep ${MIRROR_KEEP_GROUPS[group].name.toLowerCase()}`;
+            mirrorTableHeadRow.insertBefore(th, mirrorTableHeadRow.children[1 + DEFAULT_MIRROR_KEEP.indexOf(group)]);
+        });
+        DIGIT_STYLES.forEach(style => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = DIGIT_STYLE_LABELS[style];
+            normalizeDigitsSelect.appendChild(option);
+        });
+        FONT_FAMILY_SUGGESTIONS.forEach(family => {
+            const option = document.createElement('option');
+            option.value = family;
+            fontSuggestionsList.appendChild(option);
+        });
+        renderScriptList();
+        renderRulesTable();
+        renderSiteFonts();
+        renderMirrorSites();
+        renderSettingsForm(settings);
+        renderSyncStatus(status);
+        LOG_LEVELS.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = LOG_LEVEL_LABELS[level];
+            logLevelSelect.appendChild(option);
+        });
+        setLogLevel(settings.logLevel);
+        logLevelSelect.value = logLevel;
+        renderLogs();
+    } catch (error) {
+        logger.error("Error loading settings:", error);
+        showStatus("Error loading extension data.", true, 0);
+        return;
+    }
+    rulesSearchInput.addEventListener('input', renderRulesTable);
+    sortableHeaders.forEach(header => header.addEventListener('click', handleSortClick));
+    selectAllRulesCheckbox.addEventListener('change', handleSelectAllRules);
+    deleteRulesButton.addEventListener('click', handleDeleteSelectedRules);
+
+    detectionModeSelect.addEventListener('change', () => saveSettings({ detectionMode: detectionModeSelect.value }));
+    rtlThresholdInput.addEventListener('input', renderPreview);
+    rtlThresholdInput.addEventListener('change', () => saveSettings({ rtlThreshold: Number(rtlThresholdInput.value) }));
+    previewTextArea.addEventListener('input', renderPreview);
+    respectLangToggle.addEventListener('change', () => saveSettings({ respectLangAttribute: respectLangToggle.checked }));
+    styleStrategySelect.addEventListener('change', () => saveSettings({ styleStrategy: styleStrategySelect.value }));
+    isolateToggle.addEventListener('change', () => saveSettings({ isolateLtrRuns: isolateToggle.checked }));
+    editableToggle.addEventListener('change', () => saveSettings({ fixEditableFields: editableToggle.checked }));
+    [normalizeDigitsSelect, normalizePunctuationToggle, normalizeLettersToggle].forEach(input => {
+        input.addEventListener('change', () => saveSettings({ textNormalization: getNormalizationForm() }));
+    });
+    normalizePreviewText.addEventListener('input', renderNormalizationPreview);
+    fontEnabledToggle.addEventListener('change', saveFontSettings);
+    [fontFamilyInput, fontSizeScaleInput, fontLineHeightInput].forEach(input => {
+        input.addEventListener('input', renderFontPreview);
+        input.addEventListener('change', saveFontSettings);
+    });
+    addSiteFontForm.addEventListener('submit', handleAddSiteFont);
+    addMirrorSiteForm.addEventListener('submit', handleAddMirrorSite);
+    scanBudgetInput.addEventListener('change', () => saveSettings({ scanBudgetMs: Number(scanBudgetInput.value) }));
+    maxClassifyCharsInput.addEventListener('change', () => saveSettings({ maxClassifyChars: Number(maxClassifyCharsInput.value) }));
+
+    // Keep the page current when settings change elsewhere (popup, import, sync)
+    browser.storage.onChanged.addListener(async (changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.siteRules) { siteRules = changes.siteRules.newValue || []; renderRulesTable(); }
+        if (changes.siteFonts) { siteFonts = changes.siteFonts.newValue || []; renderSiteFonts(); }
+        if (changes.mirrorSites) { mirrorSites = changes.mirrorSites.newValue || []; renderMirrorSites(); }
+        if (['rtlFont', 'textNormalization', 'detectionMode', 'rtlThreshold', 'rtlScripts', 'respectLangAttribute', 'styleStrategy', 'isolateLtrRuns', 'fixEditableFields', 'scanBudgetMs', 'maxClassifyChars'].some(key => changes[key])) {
+            renderSettingsForm(await requestData('getSettings'));
+        }
+        if (changes.syncStatus || changes.syncEnabled) renderSyncStatus(await requestData('getSyncStatus'));
+        if (changes.logLevel) { setLogLevel(changes.logLevel.newValue); logLevelSelect.value = logLevel; }
+    });
+
+    exportButton.addEventListener('click', handleExport);
+    importFileInput.addEventListener('change', () => { importButton.disabled = !importFileInput.files.length; });
+    importButton.addEventListener('click', handleImport);
+    syncToggle.addEventListener('change', handleSyncToggleChange);
+    logLevelSelect.addEventListener('change', handleLogLevelChange);
+    logsRefreshButton.addEventListener('click', renderLogs);
+    logsExportButton.addEventListener('click', handleExportLogs);
+    logsClearButton.addEventListener('click', handleClearLogs);
+}
+
+document.addEventListener('DOMContentLoaded', initializeOptions);
@@ -9,22 +9,92 @@
 //
 // This file contains the JavaScript code for the popup UI of the Firefox extension.
 
+const logger = createLogger('Popup');
 
 // --- DOM Elements ---
 const enabledToggle = document.getElementById('enabled-toggle');
+const editableToggle = document.getElementById('editable-toggle');
 const excludeButton = document.getElementById('exclude-button');
 const unexcludeButton = document.getElementById('unexclude-button');
 const currentSiteSpan = document.getElementById('current-site');
 const statusMessage = document.getElementById('status-message');
-const excludedListSection = document.getElementById('excluded-sites-section');
-const excludedListUl = document.getElementById('excluded-sites-list');
+const siteRulesUl = document.getElementById('site-rules-list');
+const siteRulesEmptyHint = document.getElementById('site-rules-empty');
+const addRuleForm = document.getElementById('add-rule-form');
+const rulePatternInput = document.getElementById('rule-pattern');
+const ruleModeSelect = document.getElementById('rule-mode');
+const ruleThresholdInput = document.getElementById('rule-threshold');
+const styleStrategySelect = document.getElementById('style-strategy');
+const isolateToggle = document.getElementById('isolate-toggle');
+const siteFontSelect = document.getElementById('site-font-select');
+const pickElementButton = document.getElementById('pick-element-button');
+const mirrorButton = document.getElementById('mirror-button');
+const elementRulesSection = document.getElementById('element-rules-section');
+const elementRulesUl = document.getElementById('element-rules-list');
+const presetsUl = document.getElementById('selector-presets-list');
+const presetEditor = document.getElementById('preset-editor');
+const presetEditorName = document.getElementById('preset-editor-name');
+const presetIncludeInput = document.getElementById('preset-include');
+const presetExcludeInput = document.getElementById('preset-exclude');
+const presetSaveButton = document.getElementById('preset-save-button');
+const presetResetButton = document.getElementById('preset-reset-button');
+const presetCancelButton = document.getElementById('preset-cancel-button');
+const selectorsSiteSpan = document.getElementById('selectors-site');
+const siteIncludeInput = document.getElementById('site-include');
+const siteExcludeInput = document.getElementById('site-exclude');
+const siteSelectorsSaveButton = document.getElementById('site-selectors-save-button');
+const thresholdRange = document.getElementById('threshold-range');
+const thresholdValue = document.getElementById('threshold-value');
+const detectionModeSelect = document.getElementById('detection-mode');
+const statsModeSpan = document.getElementById('stats-mode');
+const statsStyledSpan = document.getElementById('stats-styled');
+const statsCheckedSpan = document.getElementById('stats-checked');
+const statsLastScanSpan = document.getElementById('stats-last-scan');
+const rescanButton = document.getElementById('rescan-button');
+const debugOverlayToggle = document.getElementById('debug-overlay-toggle');
+const copyReportButton = document.getElementById('copy-report-button');
+const pauseTabButton = document.getElementById('pause-tab-button');
+const resumeOnNavigateToggle = document.getElementById('resume-on-navigate');
+const snoozeDurationSelect = document.getElementById('snooze-duration');
+const snoozeSiteButton = document.getElementById('snooze-site-button');
+const snoozeGlobalButton = document.getElementById('snooze-global-button');
+const snoozeListUl = document.getElementById('snooze-list');
+const shortcutsUl = document.getElementById('shortcuts-list');
+const openOptionsButton = document.getElementById('open-options-button');
 
 // --- State ---
 // Store the current tab's hostname retrieved during initialization.
 let currentTabHostname = null;
+let currentTabUrl = null;
+let currentTabId = null;
+// Last rule list confirmed by the background script, in priority order.
+let siteRules = [];
+// Selector state as confirmed by the background script.
+let selectorPresets = {};
+let siteSelectors = [];
+let editingPresetId = null;
+let elementRules = [];
+let rtlFont = null;
+let siteFonts = [];
+let mirrorSites = [];
+// Temporary off switches (never saved in the settings).
+let tabPaused = false;
+let snoozes = { global: 0, sites: {} };
 
 // --- Utility Functions ---
 
+/**
+ * Text for a failed request: the receiver's reason, or a hint when the page has no (current) content script.
+ * @param {object} response - A failed protocol response.
+ * @param {string} fallback - Shown when the page could not be reached.
+ * @returns {string}
+ */
+function describeError(response, fallback) {
+    if (response.error.code === PROTOCOL_ERRORS.protocolMismatch) return "This page was opened before the extension was updated. Reload it.";
+    if (response.error.code === PROTOCOL_ERRORS.unreachable) return fallback;
+    return response.error.message || fallback;
+}
+
 /**
  * Displays a status message to the user.
  * @param {string} message - The message to display.
@@ -49,45 +119,71 @@ function showStatus(message, isError = false, duration = 3000) {
 }
 
 /**
- * Renders the list of excluded sites in the UI.
- * Attaches event listeners to the remove buttons.
- * @param {string[]} excludedSites - Array of excluded hostnames.
+ * Renders the site rules in priority order.
+ * Each row gets move up/down and remove buttons; the rule matching the current tab is highlighted.
+ * @param {object[]} rules - Site rules in priority order.
  */
-function renderExcludedList(excludedSites) {
-    excludedListUl.innerHTML = ''; // Clear previous list
-    if (excludedSites && excludedSites.length > 0) {
-        // Sort alphabetically for consistent order
-        excludedSites.sort().forEach(site => {
-            const li = document.createElement('li');
-            li.className = 'excluded-site-item';
+function renderSiteRules(rules) {
+    siteRules = rules || [];
+    siteRulesUl.innerHTML = ''; // Clear previous list
+    const currentRule = currentTabUrl ? findMatchingRule(siteRules, currentTabUrl) : null;
 
-            const span = document.createElement('span');
-            span.textContent = site;
-            span.className = 'excluded-site-name';
+    siteRules.forEach((rule, index) => {
+        const li = document.createElement('li');
+        li.className = 'site-rule-item';
 
-            const button = document.createElement('button');
-            button.textContent = '×'; // Use a standard 'remove' symbol
-            button.title = `Remove ${site} from exclusion list`;
-            button.className = 'remove-exclusion-button';
-            button.dataset.site = site; // Store site name for the handler
-            // *** Attach listener directly here ***
-            button.addEventListener('click', handleRemoveSpecificExclusion);
+        const patternSpan = document.createElement('span');
+        patternSpan.textContent = rule.type === 'regex' ? `/${rule.pattern}/` : rule.pattern;
+        patternSpan.className = rule === currentRule ? 'rule-pattern current-match' : 'rule-pattern';
+        patternSpan.title = rule === currentRule ? 'This rule applies to the current tab' : `${rule.type} rule`;
 
-            li.appendChild(span);
-            li.appendChild(button);
-            excludedListUl.appendChild(li);
-        });
-        excludedListSection.style.display = 'block'; // Show the section
-    } else {
-        // Hide the section if the list is empty
-        excludedListSection.style.display = 'none';
-    }
+        const modeSpan = document.createElement('span');
+        modeSpan.textContent = describeRuleMode(rule);
+        modeSpan.className = `rule-mode mode-${rule.mode}`;
+
+        li.appendChild(patternSpan);
+        li.appendChild(modeSpan);
+        li.appendChild(createRuleButton('↑', 'Move up (higher priority)', index === 0, () => moveRule(index, -1)));
+        li.appendChild(createRuleButton('↓', 'Move down (lower priority)', index === siteRules.length - 1, () => moveRule(index, 1)));
+        const removeButton = createRuleButton('×', `Remove rule ${rule.pattern}`, false, () => removeRule(index));
+        removeButton.classList.add('remove-rule-button');
+        li.appendChild(removeButton);
+        siteRulesUl.appendChild(li);
+    });
+    siteRulesEmptyHint.style.display = siteRules.length > 0 ? 'none' : 'block';
+}
+
+/**
+ * Creates one of the small buttons shown next to a rule.
+ * @param {string} label - Button text.
+ * @param {string} title - Tooltip.
+ * @param {boolean} disabled - Whether the button starts disabled.
+ * @param {Function} onClick - Click handler.
+ * @returns {HTMLButtonElement}
+ */
+function createRuleButton(label, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Whether the current tab is switched off by the rule that applies to it.
+ * @returns {boolean}
+ */
+function isCurrentSiteExcluded() {
+    if (!currentTabUrl) return false;
+    return findMatchingRule(siteRules, currentTabUrl)?.mode === 'off';
 }
 
 /**
  * Updates the main "Exclude Site" / "Re-include Site" buttons
  * based on the current tab's hostname and whether it's in the list.
- * @param {boolean} isCurrentlyExcluded - Is the currentTabHostname in the excluded list?
+ * @param {boolean} isCurrentlyExcluded - Is the current tab switched off by its matching rule?
  */
 function updateExcludeControlButtons(isCurrentlyExcluded) {
     // Always reset state first
@@ -113,6 +209,94 @@ function updateExcludeControlButtons(isCurrentlyExcluded) {
     }
 }
 
+/**
+ * Renders the preset list: enable checkbox, name (bold if it applies to this tab) and an edit button.
+ */
+function renderSelectorPresets() {
+    presetsUl.innerHTML = '';
+    getEffectiveSelectorSets(selectorPresets, []).forEach(preset => {
+        const li = document.createElement('li');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = preset.enabled;
+        checkbox.title = `Enable the ${preset.name} preset`;
+        checkbox.addEventListener('change', () => saveSelectorPreset({ id: preset.id, enabled: checkbox.checked }, `Preset "${preset.name}" ${checkbox.checked ? 'enabled' : 'disabled'}.`));
+
+        const nameSpan = document.createElement('span');
+        const matchesSite = !!currentTabHostname && preset.hosts.some(host => matchesHostPattern(host, currentTabHostname));
+        nameSpan.className = matchesSite ? 'preset-name matches-site' : 'preset-name';
+        nameSpan.textContent = preset.name;
+        nameSpan.title = preset.hosts.join(', ');
+
+        li.appendChild(checkbox);
+        li.appendChild(nameSpan);
+        if (preset.modified) {
+            const modifiedSpan = document.createElement('span');
+            modifiedSpan.className = 'preset-modified';
+            modifiedSpan.textContent = 'edited';
+            li.appendChild(modifiedSpan);
+        }
+        li.appendChild(createRuleButton('Edit', `Edit the ${preset.name} selectors`, false, () => openPresetEditor(preset)));
+        presetsUl.appendChild(li);
+    });
+}
+
+/**
+ * Opens the inline editor for a preset, filled with its current (possibly edited) selectors.
+ * @param {object} preset - Effective preset from getEffectiveSelectorSets.
+ */
+function openPresetEditor(preset) {
+    editingPresetId = preset.id;
+    presetEditorName.textContent = preset.name;
+    presetIncludeInput.value = preset.include.join('\n');
+    presetExcludeInput.value = preset.exclude.join('\n');
+    presetResetButton.disabled = !preset.modified;
+    presetEditor.style.display = 'flex';
+}
+
+function closePresetEditor() {
+    editingPresetId = null;
+    presetEditor.style.display = 'none';
+}
+
+/**
+ * Fills the "this site" selector editor with the user set for the current hostname.
+ */
+function renderSiteSelectors() {
+    selectorsSiteSpan.textContent = currentTabHostname || '(No valid site)';
+    const set = siteSelectors.find(entry => entry.hosts.length === 1 && entry.hosts[0] === currentTabHostname);
+    siteIncludeInput.value = set ? set.include.join('\n') : '';
+    siteExcludeInput.value = set ? set.exclude.join('\n') : '';
+    siteSelectorsSaveButton.disabled = !currentTabHostname;
+}
+
+/**
+ * Lists the element rules (pinned blocks) that apply to the current tab's hostname.
+ */
+function renderElementRules() {
+    elementRulesUl.innerHTML = '';
+    const rules = getElementRulesForHost(elementRules, currentTabHostname);
+    const actionLabels = { rtl: 'RTL', ltr: 'LTR', ignore: 'Ignored' };
+    rules.forEach(rule => {
+        const li = document.createElement('li');
+
+        const selectorSpan = document.createElement('span');
+        selectorSpan.className = 'element-selector';
+        selectorSpan.textContent = rule.selector;
+
+        const actionSpan = document.createElement('span');
+        actionSpan.className = `rule-mode mode-${rule.action === 'rtl' ? 'force-rtl' : rule.action === 'ignore' ? 'off' : 'auto'}`;
+        actionSpan.textContent = actionLabels[rule.action];
+
+        li.appendChild(selectorSpan);
+        li.appendChild(actionSpan);
+        li.appendChild(createRuleButton('×', 'Remove this pinned block', false, () => removeElementRule(rule.id)));
+        elementRulesUl.appendChild(li);
+    });
+    elementRulesSection.style.display = rules.length > 0 ? 'block' : 'none';
+}
+
 // --- Event Handlers ---
 
 /**
@@ -124,32 +308,482 @@ async function handleToggleChange() {
     enabledToggle.disabled = true; // Prevent rapid clicks
     showStatus(newState ? "Enabling..." : "Disabling..."); // Immediate feedback
 
+    // sendAction() never throws: a failure (including no answer) comes back as an error response
+    const response = await sendAction('toggleEnabled', newState);
+    if (response.ok) {
+        logger.debug(`Toggle successful. New state from background: ${response.data.isEnabled}`);
+        showStatus(`Extension ${response.data.isEnabled ? 'Enabled' : 'Disabled'}`);
+        enabledToggle.checked = response.data.isEnabled; // Ensure toggle state matches response, just in case
+    } else {
+        logger.error("Background failed to toggle state:", response.error.message);
+        showStatus(describeError(response, "Error updating status."), true, 5000);
+        enabledToggle.checked = !newState; // Revert the toggle switch to its previous state
+    }
+    enabledToggle.disabled = false;
+}
+
+/**
+ * Reflects the detection settings in the threshold slider and mode selector.
+ * The threshold only matters in 'ratio' mode, so the slider is disabled otherwise.
+ * @param {{detectionMode: string, rtlThreshold: number}} settings - Detection settings.
+ */
+function renderDetectionSettings(settings) {
+    thresholdRange.value = settings.rtlThreshold;
+    thresholdValue.textContent = `${settings.rtlThreshold}%`;
+    detectionModeSelect.value = settings.detectionMode;
+    thresholdRange.disabled = settings.detectionMode !== 'ratio';
+}
+
+/**
+ * Sends changed detection settings (threshold and/or mode) to the background script.
+ * @param {object} updates - Partial detection settings, e.g. { rtlThreshold: 50 }.
+ */
+async function saveDetectionSettings(updates) {
+    thresholdRange.disabled = true;
+    detectionModeSelect.disabled = true;
+    try {
+        const response = await sendAction('updateDetectionSettings', updates);
+        if (response.ok) {
+            renderDetectionSettings(response.data);
+            showStatus("Detection settings saved.");
+        } else {
+            logger.error("Background failed to update detection settings.", response);
+            showStatus(describeError(response, "Error saving detection settings."), true, 5000);
+        }
+    } catch (error) {
+        logger.error("Error sending updateDetectionSettings message:", error);
+        showStatus("Communication error.", true, 5000);
+    } finally {
+        detectionModeSelect.disabled = false;
+        thresholdRange.disabled = detectionModeSelect.value !== 'ratio';
+    }
+}
+
+/**
+ * Sends a preset change (enable flag, edited selectors or reset) to the background script.
+ * @param {object} payload - { id, enabled?, include?, exclude?, reset? }
+ * @param {string} successMessage - Status text shown on success.
+ */
+async function saveSelectorPreset(payload, successMessage) {
+    try {
+        const response = await sendAction('updateSelectorPreset', payload);
+        if (response.ok) {
+            selectorPresets = response.data.selectorPresets;
+            closePresetEditor();
+            showStatus(successMessage);
+        } else {
+            logger.error("Background failed to update preset.", response);
+            showStatus(describeError(response, "Error saving preset."), true, 5000);
+        }
+    } catch (error) {
+        logger.error("Error sending updateSelectorPreset message:", error);
+        showStatus("Communication error.", true, 5000);
+    }
+    renderSelectorPresets();
+}
+
+const STATS_MODE_LABELS = {
+    'disabled': 'Disabled',
+    'excluded': 'Excluded',
+    'paused': 'Paused',
+    'snoozed': 'Snoozed',
+    'unsupported': 'Not supported',
+    'unknown': 'Unknown'
+};
+
+/**
+ * Shows the activity of the active tab (summed over its frames).
+ * @param {object|null} stats - { styled, checked, lastScanAt, lastScanDuration, mode, debugOverlay } or null if the page has not reported yet.
+ */
+function renderTabStats(stats) {
+    if (!stats) {
+        statsModeSpan.textContent = currentTabHostname ? 'Waiting for page...' : 'Not supported';
+        return;
+    }
+    statsModeSpan.textContent = STATS_MODE_LABELS[stats.mode] || RULE_MODE_LABELS[stats.mode] || stats.mode;
+    statsStyledSpan.textContent = stats.styled;
+    statsCheckedSpan.textContent = stats.checked;
+    statsLastScanSpan.textContent = stats.lastScanAt ? `${new Date(stats.lastScanAt).toLocaleTimeString()} (${stats.lastScanDuration}ms)` : 'never';
+    debugOverlayToggle.checked = !!stats.debugOverlay;
+}
+
+/**
+ * Loads the active tab's stats from the background script and asks the page
+ * for a fresh report (the background forgets stats when it is restarted).
+ */
+async function loadTabStats() {
+    if (currentTabId === null) { renderTabStats(null); return; }
+    const response = await sendAction('getTabStats', currentTabId);
+    renderTabStats(response.ok ? response.data.stats : null);
+    const report = await sendTabAction(currentTabId, 'sendStatsReport');
+    // No content script in this tab (e.g. opened before install, or a privileged page)
+    if (!report.ok) logger.debug("Could not request stats from the page:", report.error.message);
+}
+
+// Popup actions of lib/protocol.js; other messages are left to the background script.
+const POPUP_MESSAGE_HANDLERS = {
+    tabStatsUpdated: ({ tabId, stats }) => {
+        if (tabId === currentTabId) renderTabStats(stats);
+        return okResponse();
+    }
+};
+
+/**
+ * Rescans the active tab in every frame. Fresh counts arrive through `tabStatsUpdated`.
+ */
+async function handleRescan() {
+    if (currentTabId === null) return;
+    rescanButton.disabled = true;
+    // Reaches every frame; active frames answer, inactive ones leave the reason to the top frame
+    const response = await sendTabAction(currentTabId, 'rescan');
+    if (response.ok) showStatus("Rescanning page...");
+    else showStatus(describeError(response, "The page is not ready (try reloading it)."), true, 5000);
+    rescanButton.disabled = false;
+}
+
+/**
+ * Shows or hides the debug overlay (decision outlines and hover tooltips) in every frame of the active tab.
+ */
+async function handleDebugOverlayToggle() {
+    if (currentTabId === null) return;
+    const enabled = debugOverlayToggle.checked;
+    const response = await sendTabAction(currentTabId, 'setDebugOverlay', enabled);
+    if (response.ok) {
+        showStatus(enabled ? "Debug overlay on: hover a block to see why it was or wasn't flipped." : "Debug overlay off.");
+    } else {
+        debugOverlayToggle.checked = !enabled;
+        showStatus(describeError(response, "The page is not ready (try reloading it)."), true, 5000);
+    }
+}
+
+/**
+ * Copies the diagnostic report of the active tab's top frame to the clipboard.
+ */
+async function handleCopyReport() {
+    if (currentTabId === null) return;
+    const response = await sendTabAction(currentTabId, 'getDiagnostics', undefined, { frameId: 0 });
+    if (!response.ok) {
+        showStatus(describeError(response, "The page is not ready (try reloading it)."), true, 5000);
+        return;
+    }
+    try {
+        await navigator.clipboard.writeText(response.data.report);
+        showStatus("Diagnostic report copied. Paste it into your bug report.");
+    } catch (error) {
+        logger.error("Error copying the diagnostic report:", error);
+        showStatus("Could not copy the report.", true, 5000);
+    }
+}
+
+/**
+ * Shows the pause button state and the snoozes that affect the current tab.
+ */
+function renderPauseState() {
+    pauseTabButton.textContent = tabPaused ? 'Resume this tab' : 'Pause on this tab';
+    pauseTabButton.classList.toggle('paused', tabPaused);
+    pauseTabButton.disabled = currentTabId === null || !currentTabHostname;
+
+    snoozeListUl.innerHTML = '';
+    const entries = [];
+    if (snoozes.global) entries.push({ label: 'Snoozed everywhere', scope: 'global', until: snoozes.global });
+    if (currentTabHostname && snoozes.sites[currentTabHostname]) entries.push({ label: `${currentTabHostname} snoozed`, scope: 'site', hostname: currentTabHostname, until: snoozes.sites[currentTabHostname] });
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = `${entry.label} until ${new Date(entry.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        const button = createRuleButton('Resume', 'Cancel this snooze', false, () => cancelSnooze(entry.scope, entry.hostname));
+        li.append(text, button);
+        snoozeListUl.appendChild(li);
+    });
+}
+
+/**
+ * Pauses or resumes the fixer in the active tab only.
+ */
+async function handlePauseTab() {
+    if (currentTabId === null) return;
+    pauseTabButton.disabled = true;
+    const response = await sendAction('setTabPaused', { tabId: currentTabId, paused: !tabPaused });
+    if (response.ok) {
+        tabPaused = response.data.paused;
+        showStatus(tabPaused ? "Paused on this tab." : "Resumed on this tab.");
+    } else {
+        showStatus(describeError(response, "Could not pause this tab."), true);
+    }
+    renderPauseState();
+}
+
+async function handleResumeOnNavigateChange() {
+    const response = await sendAction('setResumeOnNavigate', resumeOnNavigateToggle.checked);
+    if (!response.ok) {
+        logger.error("Could not save resumeOnNavigate:", response.error.message);
+        resumeOnNavigateToggle.checked = !resumeOnNavigateToggle.checked; // Revert
+        showStatus(describeError(response, "Error saving setting."), true);
+    }
+}
+
+/**
+ * Snoozes the fixer for the chosen duration, on this site or everywhere.
+ * @param {'site'|'global'} scope - What to snooze.
+ */
+async function handleSnooze(scope) {
+    const minutes = Number(snoozeDurationSelect.value);
+    const response = await sendAction('snooze', { scope, hostname: currentTabHostname, minutes });
+    if (response.ok) {
+        snoozes = response.data.snoozes;
+        renderPauseState();
+        showStatus(`Snoozed ${scope === 'site' ? 'on this site' : 'everywhere'} for ${snoozeDurationSelect.selectedOptions[0].textContent}.`);
+    } else {
+        showStatus(describeError(response, "Could not snooze."), true);
+    }
+}
+
+async function cancelSnooze(scope, hostname) {
+    const response = await sendAction('cancelSnooze', { scope, hostname });
+    if (response.ok) {
+        snoozes = response.data.snoozes;
+        renderPauseState();
+        showStatus("Snooze cancelled.");
+    } else {
+        showStatus(describeError(response, "Could not cancel the snooze."), true);
+    }
+}
+
+/**
+ * Lists the extension's commands with an editable shortcut each.
+ */
+async function renderShortcuts() {
+    let commands = [];
+    try { commands = await browser.commands.getAll(); }
+    catch (error) { logger.error("Error loading commands:", error); }
+    shortcutsUl.innerHTML = '';
+    commands.forEach(command => {
+        const li = document.createElement('li');
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'shortcut-name';
+        nameSpan.textContent = command.description || command.name;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'shortcut-input';
+        input.value = command.shortcut || '';
+        input.placeholder = 'none';
+        input.addEventListener('keydown', event => { if (event.key === 'Enter') updateShortcut(command.name, input.value.trim()); });
+
+        const resetButton = createRuleButton('↺', 'Reset to the default shortcut', false, () => resetShortcut(command.name));
+        li.append(nameSpan, input, resetButton);
+        shortcutsUl.appendChild(li);
+    });
+}
+
+/**
+ * Rebinds a command. Firefox validates the shortcut and rejects invalid ones.
+ * @param {string} name - Command name from manifest.json.
+ * @param {string} shortcut - e.g. "Alt+Shift+Y", empty to remove.
+ */
+async function updateShortcut(name, shortcut) {
+    try {
+        await browser.commands.update({ name, shortcut });
+        showStatus(shortcut ? `Shortcut set to ${shortcut}.` : "Shortcut removed.");
+    } catch (error) {
+        logger.error("Error updating shortcut:", error);
+        showStatus(`Invalid shortcut: ${error.message}`, true, 5000);
+    }
+    renderShortcuts();
+}
+
+async function resetShortcut(name) {
+    try {
+        await browser.commands.reset(name);
+        showStatus("Shortcut reset to default.");
+    } catch (error) {
+        logger.error("Error resetting shortcut:", error);
+        showStatus("Could not reset the shortcut.", true);
+    }
+    renderShortcuts();
+}
+
+/**
+ * Starts the element picker in the active tab and closes the popup so the page can be clicked.
+ */
+async function handlePickElement() {
+    if (currentTabId === null) return;
+    pickElementButton.disabled = true;
+    try {
+        // Only the top frame runs the picker (frames have their own content script instances)
+        const response = await sendTabAction(currentTabId, 'startPicker', undefined, { frameId: 0 });
+        if (response.ok) {
+            window.close();
+            return;
+        }
+        showStatus(describeError(response, "Could not start the picker."), true, 5000);
+    } catch (error) {
+        logger.error("Error sending startPicker message:", error);
+        showStatus("The page is not ready (try reloading it).", true, 5000);
+    }
+    pickElementButton.disabled = false;
+}
+
+/**
+ * Removes a pinned block rule.
+ * @param {string} ruleId - Id of the element rule.
+ */
+async function removeElementRule(ruleId) {
+    try {
+        const response = await sendAction('removeElementRule', ruleId);
+        if (response.ok) {
+            elementRules = response.data.elementRules;
+            renderElementRules();
+            showStatus("Pinned block removed.");
+        } else {
+            logger.error("Background failed to remove element rule.", response);
+            showStatus(describeError(response, "Error removing pinned block."), true, 5000);
+        }
+    } catch (error) {
+        logger.error("Error sending removeElementRule message:", error);
+        showStatus("Communication error.", true, 5000);
+    }
+}
+
+/**
+ * Saves the include/exclude selectors typed for the current hostname.
+ */
+async function handleSaveSiteSelectors() {
+    if (!currentTabHostname) return;
+    siteSelectorsSaveButton.disabled = true;
     try {
-        const response = await browser.runtime.sendMessage({ action: 'toggleEnabled', payload: newState });
-
-        // IMPORTANT: Check the response from the background script
-        if (response && response.success) {
-            // Background confirmed. The UI state (enabledToggle.checked) is already correct due to the 'change' event.
-            console.log(`Popup: Toggle successful. New state from background: ${response.isEnabled}`);
-            showStatus(`Extension ${response.isEnabled ? 'Enabled' : 'Disabled'}`);
-            // Ensure toggle state matches response, just in case
-            enabledToggle.checked = response.isEnabled;
+        const response = await sendAction('setSiteSelectors', { host: currentTabHostname, include: siteIncludeInput.value, exclude: siteExcludeInput.value });
+        if (response.ok) {
+            siteSelectors = response.data.siteSelectors;
+            renderSiteSelectors();
+            showStatus(`Selectors for "${currentTabHostname}" saved.`);
         } else {
-            // Background reported failure
-            console.error("Popup: Background failed to toggle state.", response);
-            showStatus(response?.reason || "Error updating status.", true, 5000);
-            // Revert the toggle switch to its previous state ONLY IF background failed
-            enabledToggle.checked = !newState;
+            logger.error("Background failed to save site selectors.", response);
+            showStatus(describeError(response, "Error saving selectors."), true, 5000);
         }
     } catch (error) {
-        // Error communicating with the background script
-        console.error("Popup: Error sending toggleEnabled message:", error);
+        logger.error("Error sending setSiteSelectors message:", error);
         showStatus("Communication error.", true, 5000);
-        // Revert the toggle switch on communication error
-        enabledToggle.checked = !newState;
     } finally {
-        // Re-enable the toggle regardless of success or failure
-        enabledToggle.disabled = false;
+        siteSelectorsSaveButton.disabled = !currentTabHostname;
+    }
+}
+
+/**
+ * Sends changed styling settings (strategy and/or isolation) to the background script.
+ * @param {object} updates - Partial styling settings, e.g. { styleStrategy: 'class' }.
+ */
+async function saveStyleSettings(updates) {
+    styleStrategySelect.disabled = true;
+    isolateToggle.disabled = true;
+    try {
+        const response = await sendAction('updateStyleSettings', updates);
+        if (response.ok) {
+            styleStrategySelect.value = response.data.styleStrategy;
+            isolateToggle.checked = response.data.isolateLtrRuns;
+            showStatus("Styling settings saved.");
+        } else {
+            logger.error("Background failed to update styling settings.", response);
+            showStatus(describeError(response, "Error saving styling settings."), true, 5000);
+        }
+    } catch (error) {
+        logger.error("Error sending updateStyleSettings message:", error);
+        showStatus("Communication error.", true, 5000);
+    } finally {
+        styleStrategySelect.disabled = false;
+        isolateToggle.disabled = false;
+    }
+}
+
+/**
+ * Shows whether this site overrides the RTL font switch. "Default" names the global state.
+ */
+function renderSiteFont() {
+    const override = siteFonts.find(item => item.host === currentTabHostname);
+    siteFontSelect.value = override?.enabled === undefined ? 'default' : (override.enabled ? 'on' : 'off');
+    siteFontSelect.options[0].textContent = `Default (${rtlFont?.enabled ? 'on' : 'off'})`;
+    siteFontSelect.disabled = !currentTabHostname;
+}
+
+function renderMirrorButton() {
+    mirrorButton.textContent = findMirrorSite(mirrorSites, currentTabHostname) ? "Stop Mirroring" : "Mirror Page";
+    mirrorButton.disabled = !currentTabHostname;
+}
+
+/**
+ * Mirrors the current site (navigation, media and code stay LTR; change that on the settings page),
+ * or stops mirroring it by removing the entry that matches it.
+ */
+async function handleMirrorToggle() {
+    if (!currentTabHostname) return;
+    const existing = findMirrorSite(mirrorSites, currentTabHostname);
+    const updated = existing ? mirrorSites.filter(site => site !== existing) : [...mirrorSites, { host: currentTabHostname, keep: DEFAULT_MIRROR_KEEP, exclude: [] }];
+    mirrorButton.disabled = true;
+    try {
+        const response = await sendAction('updateSettings', { mirrorSites: updated });
+        if (response.ok) {
+            mirrorSites = response.data.settings.mirrorSites;
+            showStatus(existing ? `Stopped mirroring ${existing.host}.` : `${currentTabHostname} is now mirrored.`);
+        } else {
+            showStatus(describeError(response, "Error saving the mirror setting."), true, 5000);
+        }
+    } catch (error) {
+        logger.error("Error saving mirror setting:", error);
+        showStatus("Communication error.", true, 5000);
+    }
+    renderMirrorButton();
+}
+
+/**
+ * Turns font substitution on or off for the current site only. Other override fields
+ * (family, size...) set on the settings page are kept.
+ */
+async function handleSiteFontChange() {
+    if (!currentTabHostname) return;
+    const existing = siteFonts.find(item => item.host === currentTabHostname);
+    const override = { ...existing, host: currentTabHostname };
+    if (siteFontSelect.value === 'default') delete override.enabled; else override.enabled = siteFontSelect.value === 'on';
+    const others = siteFonts.filter(item => item !== existing);
+    // An override without any field left is dropped
+    const updated = Object.keys(override).length > 1 ? [...others, override] : others;
+    try {
+        const response = await sendAction('updateSettings', { siteFonts: updated });
+        if (response.ok) {
+            siteFonts = response.data.settings.siteFonts;
+            showStatus("Font setting for this site saved.");
+        } else {
+            showStatus(describeError(response, "Error saving the font setting."), true, 5000);
+        }
+    } catch (error) {
+        logger.error("Error saving site font:", error);
+        showStatus("Communication error.", true, 5000);
+    }
+    renderSiteFont();
+}
+
+/**
+ * Handles the "fix typing in text fields" switch, which works independently of page-text fixing.
+ */
+async function handleEditableToggleChange() {
+    const newState = editableToggle.checked;
+    editableToggle.disabled = true;
+    try {
+        const response = await sendAction('toggleEditableFields', newState);
+        if (response.ok) {
+            editableToggle.checked = response.data.fixEditableFields;
+            showStatus(`Text field fixing ${response.data.fixEditableFields ? 'enabled' : 'disabled'}.`);
+        } else {
+            logger.error("Background failed to toggle text field fixing.", response);
+            showStatus(describeError(response, "Error updating setting."), true, 5000);
+            editableToggle.checked = !newState;
+        }
+    } catch (error) {
+        logger.error("Error sending toggleEditableFields message:", error);
+        showStatus("Communication error.", true, 5000);
+        editableToggle.checked = !newState;
+    } finally {
+        editableToggle.disabled = false;
     }
 }
 
@@ -168,22 +802,22 @@ async function handleExcludeCurrentSite() {
     showStatus(`Excluding ${currentTabHostname}...`);
 
     try {
-        const response = await browser.runtime.sendMessage({ action: 'addExcludedSite', payload: currentTabHostname });
+        const response = await sendAction('addExcludedSite', currentTabHostname);
 
-        if (response && response.success) {
-            console.log("Popup: Exclusion successful. New list:", response.excludedSites);
+        if (response.ok) {
+            logger.debug("Exclusion successful. New rules:", response.data.siteRules);
             // Update UI based on the *new* list confirmed by the background
-            renderExcludedList(response.excludedSites);
-            updateExcludeControlButtons(true); // Update buttons (now excluded)
+            renderSiteRules(response.data.siteRules);
+            updateExcludeControlButtons(isCurrentSiteExcluded()); // Update buttons (now excluded)
             showStatus(`Site "${currentTabHostname}" excluded.`);
         } else {
-            console.error("Popup: Background failed to exclude site.", response);
-            showStatus(response?.reason || "Error excluding site.", true, 5000);
+            logger.error("Background failed to exclude site.", response);
+            showStatus(describeError(response, "Error excluding site."), true, 5000);
             // Re-enable the correct button if exclusion failed
             updateExcludeControlButtons(false); // It's still not excluded
         }
     } catch (error) {
-        console.error("Popup: Error sending addExcludedSite message:", error);
+        logger.error("Error sending addExcludedSite message:", error);
         showStatus("Communication error.", true, 5000);
         // Re-enable the correct button on communication error
         updateExcludeControlButtons(false); // It's still not excluded
@@ -193,69 +827,105 @@ async function handleExcludeCurrentSite() {
 
 /**
  * Handles clicking the "Re-include Site" button (for the current tab).
- * This simply calls the specific removal handler with the current hostname.
+ * Removes the 'off' rules for the current hostname.
  */
 async function handleReIncludeCurrentSite() {
     if (!currentTabHostname) {
         showStatus("No valid site to re-include.", true);
         return;
     }
-    // Directly call the function that handles removing any specific site
-    await removeSiteFromExclusion(currentTabHostname, unexcludeButton); // Pass the button for disabling
-}
 
-/**
- * Handles clicking the '×' button next to a specific site in the excluded list.
- * This is now called directly by the event listener set in renderExcludedList.
- * @param {Event} event - The click event object.
- */
-async function handleRemoveSpecificExclusion(event) {
-    const siteToRemove = event.target.dataset.site;
-    if (!siteToRemove) return;
+    unexcludeButton.disabled = true;
+    showStatus(`Removing ${currentTabHostname}...`);
 
-    // Call the reusable removal logic, passing the specific button clicked
-    await removeSiteFromExclusion(siteToRemove, event.target);
+    try {
+        const response = await sendAction('removeExcludedSite', currentTabHostname);
+
+        if (response.ok) {
+            logger.debug("Removal successful. New rules:", response.data.siteRules);
+            renderSiteRules(response.data.siteRules);
+            const stillExcluded = isCurrentSiteExcluded();
+            updateExcludeControlButtons(stillExcluded);
+            // A broader rule (e.g. *.example.com) may still switch the site off
+            showStatus(stillExcluded ? "Another rule still excludes this site." : `Site "${currentTabHostname}" re-included.`, stillExcluded);
+        } else {
+            logger.error("Background failed to remove exclusion.", response);
+            showStatus(response.error.message === 'Hostname not found' ? "Excluded by a broader rule; edit the rules below." : describeError(response, "Error removing exclusion."), true, 5000);
+            unexcludeButton.disabled = false;
+        }
+    } catch (error) {
+        logger.error("Error sending removeExcludedSite message:", error);
+        showStatus("Communication error.", true, 5000);
+        unexcludeButton.disabled = false;
+    }
 }
 
 /**
- * Reusable logic to remove a site from the exclusion list.
- * @param {string} siteToRemove - The hostname to remove.
- * @param {HTMLButtonElement} buttonElement - The button that was clicked (to disable it).
+ * Sends the complete, reordered or edited rule list to the background script.
+ * @param {object[]} rules - The new rules in priority order.
+ * @param {string} successMessage - Status text shown on success.
+ * @returns {Promise<boolean>} True if the background accepted the rules.
  */
-async function removeSiteFromExclusion(siteToRemove, buttonElement) {
-    if (!siteToRemove) return;
-
-    // Disable the button that triggered the action
-    if (buttonElement) buttonElement.disabled = true;
-    showStatus(`Removing ${siteToRemove}...`);
-
+async function saveSiteRules(rules, successMessage) {
+    siteRulesUl.querySelectorAll('button').forEach(button => { button.disabled = true; });
     try {
-        const response = await browser.runtime.sendMessage({ action: 'removeExcludedSite', payload: siteToRemove });
-
-        if (response && response.success) {
-            console.log("Popup: Removal successful. New list:", response.excludedSites);
-            // Re-render the list with updated data confirmed by the background
-            renderExcludedList(response.excludedSites);
-            // Check if the *current* site was the one removed & update main buttons
-            if (siteToRemove === currentTabHostname) {
-                updateExcludeControlButtons(false); // Update main buttons (now not excluded)
-            }
-            showStatus(`Site "${siteToRemove}" re-included.`);
-            // Button will be removed/re-rendered by renderExcludedList, no need to re-enable here
-        } else {
-            console.error("Popup: Background failed to remove exclusion.", response);
-            showStatus(response?.reason || "Error removing exclusion.", true, 5000);
-            // Re-enable the button ONLY if the operation failed
-            if (buttonElement) buttonElement.disabled = false;
+        const response = await sendAction('setSiteRules', rules);
+        if (response.ok) {
+            renderSiteRules(response.data.siteRules);
+            updateExcludeControlButtons(isCurrentSiteExcluded());
+            showStatus(successMessage);
+            return true;
         }
+        logger.error("Background rejected site rules.", response);
+        showStatus(describeError(response, "Error saving rules."), true, 5000);
     } catch (error) {
-        console.error("Popup: Error sending removeExcludedSite message:", error);
+        logger.error("Error sending setSiteRules message:", error);
         showStatus("Communication error.", true, 5000);
-        // Re-enable the button on communication error
-        if (buttonElement) buttonElement.disabled = false;
     }
+    renderSiteRules(siteRules); // Restore buttons from the last confirmed list
+    return false;
+}
+
+/**
+ * Moves a rule up (-1) or down (+1) in the priority order.
+ * @param {number} index - Position of the rule.
+ * @param {number} offset - -1 or +1.
+ */
+async function moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= siteRules.length) return;
+    const rules = [...siteRules];
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    await saveSiteRules(rules, "Rule order saved.");
 }
 
+/**
+ * Removes the rule at the given position.
+ * @param {number} index - Position of the rule.
+ */
+async function removeRule(index) {
+    const removed = siteRules[index];
+    const rules = siteRules.filter((_, i) => i !== index);
+    await saveSiteRules(rules, `Rule "${removed.pattern}" removed.`);
+}
+
+/**
+ * Handles the "add rule" form. The rule type is guessed from the pattern.
+ * @param {Event} event - The submit event.
+ */
+async function handleAddRule(event) {
+    event.preventDefault();
+    const { type, pattern } = guessRuleType(rulePatternInput.value);
+    const { rule, error } = validateRule({ type, pattern, mode: ruleModeSelect.value, threshold: ruleThresholdInput.value });
+    if (error) {
+        showStatus(error, true, 5000);
+        return;
+    }
+    // New rules go to the end; use the arrows to raise their priority
+    if (await saveSiteRules([...siteRules, rule], `Rule "${rule.pattern}" added.`)) {
+        rulePatternInput.value = '';
+    }
+}
 
 // --- Initialization ---
 
@@ -263,7 +933,7 @@ async function removeSiteFromExclusion(siteToRemove, buttonElement) {
  * Initializes the popup UI by fetching current settings and tab information.
  */
 async function initializePopup() {
-    console.log("Popup: Initializing...");
+    logger.debug("Initializing...");
     // Disable controls initially until state is loaded
     enabledToggle.disabled = true;
     excludeButton.disabled = true;
@@ -276,27 +946,31 @@ async function initializePopup() {
     // --- Step 1: Fetch Settings and Current Tab Info (concurrently) ---
     try {
         // Promise.all allows fetching settings and tab info in parallel
-        const [fetchedSettings, tabs] = await Promise.all([
-            browser.runtime.sendMessage({ action: 'getSettings' }),
+        const [settingsResponse, tabs] = await Promise.all([
+            sendAction('getSettings'),
             browser.tabs.query({ active: true, currentWindow: true })
         ]);
 
         // Process Settings
-        if (!fetchedSettings) throw new Error("Popup: No settings received from background.");
-        settings = fetchedSettings;
-        console.log("Popup: Settings received:", settings);
+        if (!settingsResponse.ok) throw new Error(`Popup: No settings received from background (${settingsResponse.error.message}).`);
+        settings = settingsResponse.data;
+        setLogLevel(settings.logLevel);
+        logger.debug("Settings received:", settings);
         enabledToggle.checked = settings.isEnabled; // Set toggle state
+        editableToggle.checked = settings.fixEditableFields;
 
         // Process Tab Info
         currentTabHostname = null; // Reset before processing
         if (tabs.length > 0 && tabs[0]?.url) {
             const currentUrl = tabs[0].url;
-            console.log("Popup: Current Tab URL:", currentUrl);
+            currentTabId = tabs[0].id;
+            logger.debug("Current Tab URL:", currentUrl);
             if (currentUrl.startsWith('http:') || currentUrl.startsWith('https:')) {
                 try {
                     currentTabHostname = new URL(currentUrl).hostname;
+                    currentTabUrl = currentUrl;
                 } catch (urlError) {
-                    console.error("Popup: Error parsing URL:", currentUrl, urlError);
+                    logger.error("Error parsing URL:", currentUrl, urlError);
                     hostnameFetchError = "Invalid URL";
                 }
             } else {
@@ -305,10 +979,10 @@ async function initializePopup() {
         } else {
             hostnameFetchError = "No active tab URL";
         }
-        console.log("Popup: Determined hostname:", currentTabHostname || `(${hostnameFetchError || 'None'})`);
+        logger.debug("Determined hostname:", currentTabHostname || `(${hostnameFetchError || 'None'})`);
 
     } catch (error) {
-        console.error("Popup: Error during initialization fetch:", error);
+        logger.error("Error during initialization fetch:", error);
         showStatus("Error loading extension data.", true, 0); // Persistent error
         // Keep controls disabled if initial fetch fails
         return; // Stop initialization
@@ -316,16 +990,48 @@ async function initializePopup() {
 
     // --- Step 2: Update UI based on fetched data ---
     enabledToggle.disabled = false; // Enable toggle now that state is known
-    renderExcludedList(settings.excludedSites); // Render the list
+    renderSiteRules(settings.siteRules); // Render the rules
+    renderDetectionSettings(settings);
+    styleStrategySelect.value = settings.styleStrategy;
+    isolateToggle.checked = settings.isolateLtrRuns;
+    rtlFont = settings.rtlFont;
+    siteFonts = settings.siteFonts || [];
+    renderSiteFont();
+    mirrorSites = settings.mirrorSites || [];
+    renderMirrorButton();
+    if (currentTabHostname) rulePatternInput.placeholder = currentTabHostname;
+    selectorPresets = settings.selectorPresets || {};
+    siteSelectors = settings.siteSelectors || [];
+    renderSelectorPresets();
+    renderSiteSelectors();
+    elementRules = settings.elementRules || [];
+    renderElementRules();
+    pickElementButton.disabled = !currentTabHostname;
+    rescanButton.disabled = !currentTabHostname;
+    debugOverlayToggle.disabled = copyReportButton.disabled = !currentTabHostname;
+    loadTabStats();
+    resumeOnNavigateToggle.checked = settings.resumeOnNavigate;
+    snoozes = settings.snoozes || snoozes;
+    snoozeSiteButton.disabled = !currentTabHostname;
+    if (currentTabId !== null) {
+        try {
+            const pauseState = await sendAction('getTabPauseState', currentTabId);
+            tabPaused = pauseState.ok && pauseState.data.paused;
+        } catch (error) {
+            logger.error("Error getting pause state:", error);
+        }
+    }
+    renderPauseState();
+    renderShortcuts();
 
     // Determine if current site is excluded and update main buttons
-    const isExcluded = currentTabHostname ? settings.excludedSites.includes(currentTabHostname) : false;
-    updateExcludeControlButtons(isExcluded);
+    updateExcludeControlButtons(isCurrentSiteExcluded());
 
     // --- Step 3: Add Event Listeners (only once) ---
     // Remove potentially existing listeners before adding new ones (safety measure)
     enabledToggle.removeEventListener('change', handleToggleChange);
     enabledToggle.addEventListener('change', handleToggleChange);
+    editableToggle.addEventListener('change', handleEditableToggleChange);
 
     excludeButton.removeEventListener('click', handleExcludeCurrentSite);
     excludeButton.addEventListener('click', handleExcludeCurrentSite);
@@ -333,9 +1039,40 @@ async function initializePopup() {
     unexcludeButton.removeEventListener('click', handleReIncludeCurrentSite);
     unexcludeButton.addEventListener('click', handleReIncludeCurrentSite);
 
-    // Note: Listeners for individual '×' buttons are added in renderExcludedList
+    // Live label update while dragging, save once the slider is released
+    thresholdRange.addEventListener('input', () => { thresholdValue.textContent = `${thresholdRange.value}%`; });
+    thresholdRange.addEventListener('change', () => saveDetectionSettings({ rtlThreshold: Number(thresholdRange.value) }));
+    detectionModeSelect.addEventListener('change', () => saveDetectionSettings({ detectionMode: detectionModeSelect.value }));
+
+    addRuleForm.addEventListener('submit', handleAddRule);
+    ruleModeSelect.addEventListener('change', () => { ruleThresholdInput.disabled = ruleModeSelect.value !== 'auto-threshold'; });
+
+    presetSaveButton.addEventListener('click', () => {
+        if (editingPresetId) saveSelectorPreset({ id: editingPresetId, include: presetIncludeInput.value, exclude: presetExcludeInput.value }, "Preset saved.");
+    });
+    presetResetButton.addEventListener('click', () => {
+        if (editingPresetId) saveSelectorPreset({ id: editingPresetId, reset: true }, "Preset reset to default.");
+    });
+    presetCancelButton.addEventListener('click', closePresetEditor);
+    siteSelectorsSaveButton.addEventListener('click', handleSaveSiteSelectors);
+    pickElementButton.addEventListener('click', handlePickElement);
+    mirrorButton.addEventListener('click', handleMirrorToggle);
+    styleStrategySelect.addEventListener('change', () => saveStyleSettings({ styleStrategy: styleStrategySelect.value }));
+    isolateToggle.addEventListener('change', () => saveStyleSettings({ isolateLtrRuns: isolateToggle.checked }));
+    siteFontSelect.addEventListener('change', handleSiteFontChange);
+    rescanButton.addEventListener('click', handleRescan);
+    debugOverlayToggle.addEventListener('change', handleDebugOverlayToggle);
+    copyReportButton.addEventListener('click', handleCopyReport);
+    pauseTabButton.addEventListener('click', handlePauseTab);
+    openOptionsButton.addEventListener('click', () => { browser.runtime.openOptionsPage(); window.close(); });
+    resumeOnNavigateToggle.addEventListener('change', handleResumeOnNavigateChange);
+    snoozeSiteButton.addEventListener('click', () => handleSnooze('site'));
+    snoozeGlobalButton.addEventListener('click', () => handleSnooze('global'));
+    browser.runtime.onMessage.addListener(createMessageListener('popup', POPUP_MESSAGE_HANDLERS));
+
+    // Note: Listeners for the per-rule and per-preset buttons are added in renderSiteRules/renderSelectorPresets
 
-    console.log("Popup: Initialization complete.");
+    logger.debug("Initialization complete.");
 }
 
 // --- Start Initialization ---
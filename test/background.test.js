@@ -0,0 +1,259 @@
+// ~/test/background.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for the background message handlers, run against a mocked `browser` API.
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKGROUND_SCRIPTS, loadScripts, globalValue } = require('./helpers/load-scripts');
+const { createBrowserMock, sendRuntimeMessage } = require('./helpers/browser-mock');
+
+const tabs = [{ id: 7, url: 'https://example.com/' }];
+const frames = {};
+const browser = createBrowserMock({ tabs, frames });
+globalThis.browser = browser;
+mock.method(console, 'log', () => {});
+loadScripts(BACKGROUND_SCRIPTS);
+
+const createMessage = globalValue('createMessage');
+const send = (action, payload, sender = {}) => sendRuntimeMessage(browser, createMessage(action, payload), sender);
+
+async function install() {
+    await Promise.all(browser.runtime.onInstalled.dispatch({ reason: 'install' }));
+}
+
+beforeEach(async () => {
+    browser.storage.local.data.clear();
+    browser.storage.sync.data.clear();
+    browser.sentToTabs.length = 0;
+    await install();
+});
+
+describe('installation', () => {
+    it('stores every default setting with the schema version', async () => {
+        const stored = Object.fromEntries(browser.storage.local.data);
+        assert.equal(stored.schemaVersion, globalValue('SETTINGS_SCHEMA_VERSION'));
+        assert.deepEqual(Object.keys(globalValue('DEFAULT_SETTINGS')).filter(key => !(key in stored)), []);
+    });
+
+    it('migrates settings of old versions', async () => {
+        browser.storage.local.data.clear();
+        browser.storage.local.data.set('isEnabled', false);
+        browser.storage.local.data.set('excludedSites', ['old.com']);
+        browser.sentToTabs.length = 0;
+        await install();
+        assert.equal(browser.storage.local.data.get('isEnabled'), false);
+        assert.equal(browser.storage.local.data.has('excludedSites'), false);
+        assert.deepEqual(browser.storage.local.data.get('siteRules').map(rule => rule.pattern), ['old.com']);
+        const update = browser.sentToTabs.find(({ message }) => message.action === 'updateState' && message.payload.siteRules);
+        assert.deepEqual(update.message.payload.siteRules.map(rule => rule.pattern), ['old.com']); // For copies that started before
+    });
+
+    it('leaves up-to-date settings alone at every start', async () => {
+        browser.sentToTabs.length = 0;
+        assert.equal(await applyInstalledSettings(), false);
+        assert.equal(browser.sentToTabs.length, 0);
+    });
+});
+
+describe('content script injection', () => {
+    const CONTENT_SCRIPT_FILES = require('../manifest.json').content_scripts[0].js;
+
+    beforeEach((t) => {
+        t.mock.method(console, 'warn', () => {});
+        browser.injectedScripts.length = 0;
+        browser.storage.session.data.delete('uninjectableTabs');
+        tabs.push(
+            { id: 8, url: 'https://news.example/', status: 'complete' },
+            { id: 9, url: 'https://slow.example/', status: 'loading' },
+            { id: 10, url: 'https://blocked.example/', status: 'complete' } // No frames: executeScript fails
+        );
+        frames[8] = [{ frameId: 0, hasScript: true }, { frameId: 4, hasScript: false }];
+        frames[9] = [{ frameId: 0, hasScript: false }];
+    });
+
+    afterEach(() => {
+        tabs.splice(1);
+        for (const tabId of Object.keys(frames)) delete frames[tabId];
+    });
+
+    it('injects into the frames of open tabs that have no current copy, once', async () => {
+        assert.deepEqual(await injectIntoOpenTabs(), { tabs: 1, frames: 1, failed: 1 });
+        assert.deepEqual(browser.injectedScripts, [{ tabId: 8, frameIds: [4], files: CONTENT_SCRIPT_FILES }]);
+        assert.deepEqual(await injectIntoOpenTabs(), { tabs: 0, frames: 0, failed: 1 });
+    });
+
+    it('claims each frame for one injection only', async () => {
+        const counts = await Promise.all([injectIntoOpenTabs(), injectIntoOpenTabs()]); // Overlapping, e.g. startup and a settings change
+        assert.equal(counts[0].frames + counts[1].frames, 1);
+        assert.equal(browser.injectedScripts.length, 1);
+    });
+
+    it('lets a later injection retry a frame it could not inject into', async (t) => {
+        const executeScript = browser.scripting.executeScript;
+        t.mock.method(browser.scripting, 'executeScript', async options => {
+            if (options.files) throw new Error('The tab was closed');
+            return executeScript(options);
+        });
+        assert.equal((await injectIntoOpenTabs()).failed, 2);
+        browser.scripting.executeScript.mock.restore();
+        assert.deepEqual(await injectIntoOpenTabs(), { tabs: 1, frames: 1, failed: 1 });
+    });
+
+    it('injects once per browser session, not on every wake-up of the event page', async () => {
+        assert.equal(browser.storage.session.data.get('contentScriptsInjected'), true); // By the start of the script
+        assert.equal(await injectOncePerSession(), null);
+        browser.storage.session.data.clear(); // A new session: installed, updated, enabled or the browser restarted
+        assert.deepEqual(await injectOncePerSession(), { tabs: 1, frames: 1, failed: 1 });
+        assert.equal(await injectOncePerSession(), null);
+        assert.equal(browser.injectedScripts.length, 1);
+    });
+
+    it('injects into tabs that do not answer a settings change', async () => {
+        frames[8][0].hasScript = false;
+        await send('toggleEnabled', false);
+        assert.deepEqual(browser.injectedScripts.map(injection => [injection.tabId, injection.frameIds]), [[8, [0, 4]]]);
+    });
+
+    it('does not retry tabs that cannot be scripted on every settings change', async (t) => {
+        const executeScript = t.mock.method(browser.scripting, 'executeScript');
+        const attemptsOnBlockedTab = () => executeScript.mock.calls.filter(call => call.arguments[0].target.tabId === 10).length;
+        await send('toggleEnabled', false);
+        assert.equal(attemptsOnBlockedTab(), 1);
+        await send('toggleEnabled', true);
+        assert.equal(attemptsOnBlockedTab(), 1);
+        assert.deepEqual(browser.storage.session.data.get('uninjectableTabs'), [10]);
+        browser.tabs.onRemoved.dispatch(10);
+        await globalValue('uninjectableTabsUpdate');
+        assert.deepEqual(browser.storage.session.data.get('uninjectableTabs'), []);
+    });
+});
+
+describe('keyboard commands', () => {
+    it('toggles the extension like the popup does', async () => {
+        await runCommand('toggle-enabled', { id: 7, url: 'https://example.com/' });
+        assert.equal(browser.storage.local.data.get('isEnabled'), false);
+        assert.ok(browser.sentToTabs.some(({ message }) => message.action === 'updateState' && message.payload.isEnabled === false));
+    });
+
+    it('reports a refused toggle instead of a state', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(globalThis, 'applySettingsUpdate', async () => ({ settings: null, error: 'Storage is read-only' }));
+        await runCommand('toggle-enabled', { id: 7, url: 'https://example.com/' });
+        assert.equal(browser.sentToTabs.at(-1).message.payload, 'Storage is read-only'); // The toast
+    });
+});
+
+describe('message handlers', () => {
+    it('answers getSettings with the stored settings and the tab state', async () => {
+        await send('setTabPaused', { tabId: 3, paused: true });
+        const { data: settings } = await send('getSettings', undefined, { tab: { id: 3 } });
+        assert.equal(settings.isEnabled, true);
+        assert.equal(settings.tabPaused, true);
+        assert.deepEqual(settings.snoozes, { global: 0, sites: {} });
+    });
+
+    it('keeps every tab pause when pauses and closing tabs overlap', async () => {
+        await Promise.all([
+            send('setTabPaused', { tabId: 3, paused: true }),
+            send('setTabPaused', { tabId: 4, paused: true }),
+            ...browser.tabs.onRemoved.dispatch(5)
+        ]);
+        assert.deepEqual(Object.keys(browser.storage.local.data.get('pausedTabs')), ['3', '4']);
+        await Promise.all([send('setTabPaused', { tabId: 3, paused: false }), ...browser.tabs.onRemoved.dispatch(4)]);
+        await globalValue('pausedTabsUpdate'); // The tabs.onRemoved listener does not wait for its change
+        assert.deepEqual(browser.storage.local.data.get('pausedTabs'), {});
+    });
+
+    it('only cancels global or site snoozes', async () => {
+        assert.equal((await send('cancelSnooze', { scope: 'tab' })).error.message, 'Unknown snooze scope');
+        assert.equal((await send('cancelSnooze', { scope: 'site' })).error.message, 'Missing hostname');
+        assert.equal((await send('cancelSnooze', { scope: 'global' })).ok, true);
+    });
+
+    it('saves a toggle and tells the tabs', async () => {
+        assert.deepEqual(await send('toggleEnabled', false), { ok: true, data: { isEnabled: false }, error: null });
+        assert.equal(browser.storage.local.data.get('isEnabled'), false);
+        assert.deepEqual(browser.sentToTabs.at(-1), { tabId: 7, message: { protocol: 1, action: 'updateState', payload: { isEnabled: false } } });
+    });
+
+    it('refuses invalid values without saving anything', async () => {
+        const response = await send('updateSettings', { isEnabled: false, rtlThreshold: 500 });
+        assert.equal(response.error.code, 'rejected');
+        assert.match(response.error.message, /rtlThreshold/);
+        assert.equal(browser.storage.local.data.get('isEnabled'), true);
+    });
+
+    it('points at the broken rule', async () => {
+        const response = await send('setSiteRules', [{ type: 'domain', pattern: 'a.com', mode: 'auto' }, { type: 'domain', pattern: 'b.com', mode: 'sideways' }]);
+        assert.deepEqual(response, { ok: false, data: null, error: { code: 'rejected', message: 'Rule 2: Unknown rule mode "sideways"' } });
+    });
+
+    it('excludes a site once', async () => {
+        const first = await send('addExcludedSite', 'example.com');
+        assert.equal(first.ok, true);
+        assert.deepEqual(first.data.siteRules.map(rule => [rule.pattern, rule.mode]), [['example.com', 'off']]);
+        assert.equal((await send('addExcludedSite', 'example.com')).error.message, 'Already excluded');
+        assert.equal((await send('removeExcludedSite', 'example.com')).ok, true);
+    });
+
+    it('imports an exported file', async () => {
+        await send('toggleEnabled', false);
+        const { data } = (await send('exportSettings')).data;
+        await send('toggleEnabled', true);
+        const response = await send('importSettings', { data, mode: 'replace' });
+        assert.deepEqual(response, { ok: true, data: { warnings: [] }, error: null });
+        assert.equal(browser.storage.local.data.get('isEnabled'), false);
+    });
+
+    it('only keeps activity reported from tabs', async () => {
+        assert.equal((await send('reportStats', { styled: 3 })).error.message, 'Not a tab');
+        const response = await send('reportStats', { styled: 3, checked: 10, mode: 'auto' }, { tab: { id: 7 }, frameId: 0 });
+        assert.equal(response.data.stats.styled, 3);
+        assert.equal((await send('getTabStats', 7)).data.stats.checked, 10);
+        await send('reportStats', { styled: 0, debugOverlay: true }, { tab: { id: 7 }, frameId: 3 });
+        assert.equal((await send('getTabStats', 7)).data.stats.debugOverlay, false); // Follows the top frame
+    });
+
+    it('reports internal errors instead of throwing', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(browser.storage.local, 'set', async () => { throw new Error('Quota exceeded'); });
+        assert.deepEqual(await send('updateSelectorPreset', { id: 'gmail', enabled: false }), { ok: false, data: null, error: { code: 'internal', message: 'Internal error: Quota exceeded' } });
+    });
+
+    it('changes the log level on this device and keeps recent events', async (t) => {
+        t.mock.method(console, 'info', () => {});
+        assert.equal((await send('setLogLevel', 'loud')).error.message, 'Unknown log level "loud"');
+        assert.equal((await send('setLogLevel', 'info')).ok, true);
+        assert.equal(browser.storage.local.data.get('logLevel'), 'info');
+        assert.deepEqual(browser.sentToTabs.at(-1).message.payload, { logLevel: 'info' });
+        await send('setTabPaused', { tabId: 3, paused: true });
+        const { entries } = (await send('getLogs')).data;
+        assert.equal(entries.at(-1).message, 'Tab 3 paused.');
+        assert.equal(console.info.mock.callCount() > 0, true);
+        await send('clearLogs');
+        assert.deepEqual((await send('getLogs')).data.entries, []);
+        await send('setLogLevel', 'warn');
+    });
+
+    it('answers unknown actions and bad payloads with an error code', async () => {
+        assert.equal((await send('makeCoffee')).error.code, 'unknown-action');
+        assert.equal((await send('toString')).error.code, 'unknown-action');
+        assert.equal((await send('rescan')).error.code, 'unknown-action'); // Meant for content scripts
+        assert.equal((await send('toggleEnabled', 'yes')).error.code, 'invalid-payload');
+    });
+
+    it('answers messages of another protocol version with a mismatch', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const response = await sendRuntimeMessage(browser, { action: 'getSettings' }, { tab: { id: 7 } });
+        assert.equal(response.error.code, 'protocol-mismatch');
+    });
+});
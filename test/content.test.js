@@ -0,0 +1,267 @@
+// ~/test/content.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Runs the content script on fixture pages of mixed Persian/English content in jsdom.
+
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { CONTENT_SCRIPTS, LIB_SCRIPTS, loadScripts, globalValue, readScript, readFixture } = require('./helpers/load-scripts');
+const { createBrowserMock, sendRuntimeMessage } = require('./helpers/browser-mock');
+
+loadScripts(LIB_SCRIPTS);
+const DEFAULT_SETTINGS = globalValue('DEFAULT_SETTINGS');
+
+let openPages = [];
+
+/**
+ * Loads a fixture with the content script running in it.
+ * @param {string} fixture - File name in test/fixtures.
+ * @param {object} [settings] - Settings on top of the defaults, as sent by the background script.
+ */
+function openPage(fixture, settings = {}) {
+    const dom = new JSDOM(readFixture(fixture), { url: 'https://example.com/post', runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+    const browser = createBrowserMock();
+    const sent = [];
+    browser.runtime.sendMessage = async message => {
+        sent.push(message);
+        if (message.action === 'getSettings') return { ok: true, data: structuredClone({ ...DEFAULT_SETTINGS, ...settings, snoozes: { global: 0, sites: {} }, tabPaused: false }), error: null };
+        return { ok: true, data: null, error: null };
+    };
+    dom.window.browser = browser;
+    const context = dom.getInternalVMContext();
+    for (const file of CONTENT_SCRIPTS) new vm.Script(readScript(file), { filename: file }).runInContext(context);
+    const page = {
+        window: dom.window,
+        browser,
+        document: dom.window.document,
+        sent,
+        evaluate: code => new vm.Script(code).runInContext(context),
+        byId: id => dom.window.document.getElementById(id),
+        isStyledRtl: id => page.byId(id).getAttribute('data-rtl-fixer-styled') === 'true',
+        direction: id => dom.window.getComputedStyle(page.byId(id)).direction, // Styled directly or through a container
+        processedReason: id => page.byId(id).getAttribute('data-rtl-fixer-processed')
+    };
+    openPages.push(page);
+    return page;
+}
+
+// Waits until the page finished `count` scans and nothing is queued.
+async function waitForScans(page, count = 1, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (page.evaluate('scanStats.scans') >= count && page.evaluate('queuedElements.size') === 0) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Scan ${count} did not finish in ${timeout}ms`);
+}
+
+afterEach(() => {
+    openPages.forEach(page => page.window.close()); // Stops the page's timers and observers
+    openPages = [];
+});
+
+describe('content script on a blog post', () => {
+    it('styles the Persian blocks and leaves the English ones alone', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        for (const id of ['title', 'intro', 'item-fa']) assert.equal(page.isStyledRtl(id), true, `#${id} should be RTL`);
+        for (const id of ['english', 'item-en', 'numbers']) assert.equal(page.isStyledRtl(id), false, `#${id} should stay LTR`);
+        assert.equal(page.byId('intro').style.direction, 'rtl');
+        assert.equal(page.processedReason('english'), 'no-rtl');
+        assert.equal(page.processedReason('mostly-english'), 'below-threshold');
+    });
+
+    it('follows the lang attribute of a block', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        assert.equal(page.processedReason('lang-en'), 'lang-ltr');
+        assert.equal(page.isStyledRtl('lang-fa'), true);
+    });
+
+    it('ignores the lang attribute when told to', async () => {
+        const page = openPage('blog-post.html', { respectLangAttribute: false });
+        await waitForScans(page);
+        assert.equal(page.isStyledRtl('lang-en'), true);
+        assert.equal(page.isStyledRtl('lang-fa'), false);
+    });
+
+    it('styles every block with text on a force-rtl site', async () => {
+        const page = openPage('blog-post.html', { siteRules: [{ id: 'r', type: 'domain', pattern: 'example.com', mode: 'force-rtl' }] });
+        await waitForScans(page);
+        // English blocks are forced too, directly or through their styled container
+        assert.equal(page.direction('english'), 'rtl');
+        assert.equal(page.direction('item-en'), 'rtl');
+        assert.equal(page.processedReason('numbers'), 'no-text');
+    });
+
+    it('does nothing on an excluded site', async () => {
+        const page = openPage('blog-post.html', { siteRules: [{ id: 'r', type: 'domain', pattern: 'example.com', mode: 'off' }] });
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.equal(page.document.querySelectorAll('[data-rtl-fixer-styled]').length, 0);
+        assert.equal(page.sent.find(message => message.action === 'reportStats').payload.mode, 'excluded');
+        const response = await sendRuntimeMessage(page.browser, page.evaluate("createMessage('rescan')"));
+        assert.equal(response.error.message, 'RTL Fixer is not active on this page'); // Said by the top frame only
+    });
+
+    it('applies element rules before detection', async () => {
+        const page = openPage('blog-post.html', { elementRules: [{ id: 'e', host: 'example.com', selector: '#intro', action: 'ltr' }] });
+        await waitForScans(page);
+        assert.equal(page.byId('intro').getAttribute('data-rtl-fixer-pinned'), 'ltr');
+        assert.equal(page.byId('intro').style.direction, 'ltr');
+    });
+
+    it('puts the original styles back when switched off', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        page.evaluate('revertAllStyles()');
+        assert.equal(page.document.querySelectorAll('[data-rtl-fixer-styled]').length, 0);
+        assert.equal(page.byId('intro').getAttribute('style') || '', '');
+    });
+});
+
+describe('content script on a chat page', () => {
+    it('styles messages that arrive after the first scan', async () => {
+        const page = openPage('chat.html');
+        await waitForScans(page);
+        assert.equal(page.isStyledRtl('msg-1'), true);
+        assert.equal(page.isStyledRtl('msg-2'), false);
+        const reply = page.document.createElement('p');
+        reply.id = 'msg-3';
+        reply.textContent = 'ممنون، حالا فهمیدم مشکل از کجاست.';
+        const message = page.document.createElement('div');
+        message.className = 'message';
+        message.appendChild(reply);
+        page.byId('thread').appendChild(message);
+        const deadline = Date.now() + 3000;
+        while (page.direction('msg-3') !== 'rtl' && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(page.direction('msg-3'), 'rtl');
+        assert.equal(page.direction('msg-2'), 'ltr');
+    });
+
+    it('sees page changes made in the same event before its own listener ran', async () => {
+        const page = openPage('chat.html', { fixEditableFields: true });
+        await waitForScans(page);
+        // A page listener that runs first and posts the message typed into the field
+        page.evaluate(`window.addEventListener('input', () => {
+            const message = document.createElement('div');
+            message.className = 'message';
+            message.innerHTML = '<p id="msg-3">ممنون، حالا فهمیدم مشکل از کجاست.</p>';
+            document.getElementById('thread').appendChild(message);
+        }, true);
+        const field = document.createElement('textarea');
+        document.body.appendChild(field);
+        field.dispatchEvent(new Event('input', { bubbles: true }));`);
+        const deadline = Date.now() + 3000;
+        while (page.direction('msg-3') !== 'rtl' && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(page.direction('msg-3'), 'rtl');
+    });
+
+    it('re-checks a block whose text changed', async () => {
+        const page = openPage('chat.html');
+        await waitForScans(page);
+        page.byId('msg-1').textContent = 'Never mind, I found the answer in the docs.';
+        const deadline = Date.now() + 3000;
+        while (page.isStyledRtl('msg-1') && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(page.isStyledRtl('msg-1'), false);
+        assert.equal(page.byId('msg-1').style.direction, '');
+    });
+});
+
+describe('mirrored page', () => {
+    it('swaps spacing, floats and left/right alignments and puts them back', async () => {
+        const page = openPage('mirrored-page.html', { mirrorSites: [{ host: 'example.com', keep: ['navigation'], exclude: [] }] });
+        const deadline = Date.now() + 3000;
+        while (page.document.documentElement.getAttribute('dir') !== 'rtl' && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 20));
+        const menu = page.byId('menu').style;
+        assert.deepEqual([menu.textAlign, menu.paddingRight, menu.paddingLeft], ['right', '24px', '0px']);
+        assert.deepEqual([page.byId('sidebar').style.cssFloat, page.byId('sidebar').style.textAlign], ['left', 'left']);
+        assert.equal(page.byId('menu-item').style.textAlign, ''); // Follows its list
+        assert.equal(page.byId('centered').style.textAlign, '');
+        assert.equal(page.byId('nav-list').style.textAlign, 'left'); // Kept left-to-right
+        page.evaluate('revertPageMirror()');
+        assert.equal(page.document.documentElement.hasAttribute('dir'), false);
+        for (const id of ['menu', 'sidebar']) assert.equal(page.byId(id).hasAttribute('style'), false);
+    });
+});
+
+describe('content script after an extension update', () => {
+    it('answers its own protocol and retires on another one without touching the page', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        const createMessage = page.evaluate('createMessage');
+        assert.equal((await sendRuntimeMessage(page.browser, createMessage('getScanStats'))).ok, true);
+        const response = await sendRuntimeMessage(page.browser, { protocol: 0, action: 'updateState', payload: { isEnabled: false } });
+        assert.equal(response.error.code, 'protocol-mismatch');
+        assert.equal(page.evaluate('scriptRetired'), true);
+        assert.equal(page.isStyledRtl('intro'), true); // Left for the new version to take over
+        assert.equal(await sendRuntimeMessage(page.browser, createMessage('getScanStats')), undefined);
+    });
+
+    it('hands the page over to a newer copy', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        page.browser.runtime.sendMessage = async () => ({ success: true }); // The updated background speaks another protocol
+        page.evaluate("document.dispatchEvent(new CustomEvent(TAKEOVER_EVENT, { detail: '1.2.1-next' }))");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(page.evaluate('scriptRetired'), true);
+        assert.equal(page.evaluate('observer'), null);
+        assert.equal(page.document.querySelectorAll('[data-rtl-fixer-styled], [data-rtl-fixer-processed]').length, 0);
+        assert.equal(page.byId('intro').getAttribute('style') || '', '');
+    });
+
+    it('ignores takeover events of page scripts while it is current', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        page.evaluate("document.dispatchEvent(new CustomEvent('rtl-fixer-takeover', { detail: 'forged' }))");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(page.evaluate('scriptRetired'), false);
+        assert.equal(page.isStyledRtl('intro'), true);
+    });
+
+    it('marks its frame so the background script does not inject a second copy', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        assert.equal(page.window.rtlFixerInstance, page.evaluate('INSTANCE_ID'));
+    });
+});
+
+describe('debug overlay', () => {
+    it('outlines the decisions and explains them on hover', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        const createMessage = page.evaluate('createMessage');
+        const response = await sendRuntimeMessage(page.browser, createMessage('setDebugOverlay', true));
+        assert.equal(response.data.debugOverlay, true);
+        assert.ok(page.document.getElementById('rtl-fixer-debug-stylesheet'));
+        page.byId('intro').dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true }));
+        assert.equal(page.document.querySelectorAll('div[data-rtl-fixer-ui="debug"]').length, 1); // The tooltip
+        const info = page.evaluate("describeDecision(document.getElementById('mostly-english'))");
+        assert.equal(info.decision.id, 'below-threshold');
+        assert.ok(info.ltr > info.rtl && info.rtl > 0);
+        assert.equal(info.siteRule, 'none (automatic detection)');
+        await sendRuntimeMessage(page.browser, createMessage('setDebugOverlay', false));
+        assert.equal(page.document.querySelectorAll('[data-rtl-fixer-ui="debug"]').length, 0);
+    });
+
+    it('builds a diagnostic report without the page text', async () => {
+        const page = openPage('blog-post.html');
+        await waitForScans(page);
+        const response = await sendRuntimeMessage(page.browser, page.evaluate("createMessage('getDiagnostics')"));
+        const { report } = response.data;
+        assert.match(report, /^Page: https:\/\/example\.com\/post$/m);
+        assert.match(report, /^ {2}rtl: \d+$/m);
+        assert.match(report, /^Not enough RTL text:$/m);
+        assert.match(report, /^ {2}p#mostly-english: RTL letters 3, LTR letters \d+ \(5% RTL, threshold 40%\)$/m);
+        assert.doesNotMatch(report, /installer/);
+    });
+});
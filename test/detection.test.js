@@ -0,0 +1,110 @@
+// ~/test/detection.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/detection.js: classification, lang attributes and the block decision.
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LIB_SCRIPTS, loadScripts } = require('./helpers/load-scripts');
+
+loadScripts(LIB_SCRIPTS);
+
+const RATIO = { mode: 'ratio', threshold: 40 };
+
+describe('classifyDirection', () => {
+    it('classifies Persian text as RTL and English text as LTR', () => {
+        assert.equal(classifyDirection('سلام دنیا، این یک متن فارسی است', RATIO).isRtl, true);
+        assert.equal(classifyDirection('Hello world, this is English', RATIO).isRtl, false);
+    });
+
+    it('uses the share of strong characters against the threshold', () => {
+        const text = 'سلام hello'; // 4 RTL, 5 LTR letters
+        const result = classifyDirection(text, RATIO);
+        assert.equal(result.rtl, 4);
+        assert.equal(result.ltr, 5);
+        assert.equal(result.isRtl, true); // 44% >= 40%
+        assert.equal(classifyDirection(text, { mode: 'ratio', threshold: 50 }).isRtl, false);
+    });
+
+    it('ignores URLs, e-mail addresses and digits', () => {
+        const result = classifyDirection('سلام https://example.com/some/long/path info@example.com 12345', RATIO);
+        assert.equal(result.ltr, 0);
+        assert.equal(result.isRtl, true);
+    });
+
+    it('decides by the first strong character in first-strong mode', () => {
+        assert.equal(classifyDirection('123 سلام and a lot of English words', { mode: 'first-strong', threshold: 40 }).isRtl, true);
+        assert.equal(classifyDirection('Git یک ابزار کنترل نسخه است', { mode: 'first-strong', threshold: 40 }).isRtl, false);
+    });
+
+    it('counts the letters of every other script as LTR', () => {
+        const chinese = classifyDirection('这是一段中文文字，其中引用了一个波斯语单词 سلام 作为例子', RATIO);
+        assert.equal(chinese.rtl, 4);
+        assert.equal(chinese.ltr > 20, true);
+        assert.equal(chinese.isRtl, false);
+        assert.equal(classifyDirection('यह हिंदी का एक अनुच्छेद है जिसमें سلام शब्द है', RATIO).isRtl, false);
+        assert.equal(classifyDirection('こんにちは سلام', { mode: 'first-strong', threshold: 40 }).isRtl, false);
+        assert.deepEqual(evaluateBlockText('这是一段中文文字，其中引用了一个波斯语单词 سلام', RATIO), { isRtl: false, reason: 'below-threshold' });
+    });
+
+    it('only counts the selected scripts', () => {
+        assert.equal(classifyDirection('שלום עולם', { ...RATIO, scripts: ['arabic'] }).isRtl, false);
+        assert.equal(classifyDirection('שלום עולם', { ...RATIO, scripts: ['hebrew'] }).isRtl, true);
+        assert.equal(classifyDirection('שלום עולם', { ...RATIO, scripts: ['arabic'] }).ltr, 8); // Letters of unselected RTL scripts count as LTR
+    });
+});
+
+describe('getLanguageDirection', () => {
+    it('maps language tags to a direction', () => {
+        assert.equal(getLanguageDirection('fa'), 'rtl');
+        assert.equal(getLanguageDirection('he-IL'), 'rtl');
+        assert.equal(getLanguageDirection('en-US'), 'ltr');
+        assert.equal(getLanguageDirection('ku-Arab'), 'rtl');
+        assert.equal(getLanguageDirection('az-Latn'), 'ltr');
+    });
+
+    it('says nothing for undetermined tags or unselected scripts', () => {
+        assert.equal(getLanguageDirection(''), null);
+        assert.equal(getLanguageDirection('und'), null);
+        assert.equal(getLanguageDirection('x-klingon'), null);
+        assert.equal(getLanguageDirection('he', ['arabic']), null);
+    });
+});
+
+describe('validateRtlScripts', () => {
+    it('keeps known scripts in their canonical order', () => {
+        assert.deepEqual(validateRtlScripts(['hebrew', 'arabic']), { scripts: ['arabic', 'hebrew'], error: null });
+    });
+
+    it('rejects unknown and empty selections', () => {
+        assert.match(validateRtlScripts(['latin']).error, /Unknown script/);
+        assert.match(validateRtlScripts([]).error, /at least one/);
+    });
+});
+
+describe('evaluateBlockText', () => {
+    it('accepts RTL text and explains every refusal', () => {
+        assert.deepEqual(evaluateBlockText('این یک پاراگراف فارسی است', RATIO), { isRtl: true, reason: null });
+        assert.deepEqual(evaluateBlockText('Plain English paragraph', RATIO), { isRtl: false, reason: 'no-rtl' });
+        assert.deepEqual(evaluateBlockText('', RATIO), { isRtl: false, reason: 'no-rtl' });
+        assert.deepEqual(evaluateBlockText('A long English sentence with one word سلام', RATIO), { isRtl: false, reason: 'below-threshold' });
+    });
+
+    it('lets the lang attribute decide', () => {
+        assert.deepEqual(evaluateBlockText('این یک پاراگراف فارسی است', { ...RATIO, langDirection: 'ltr' }), { isRtl: false, reason: 'lang-ltr' });
+        assert.deepEqual(evaluateBlockText('Mostly English text', { ...RATIO, langDirection: 'rtl' }), { isRtl: true, reason: null });
+    });
+
+    it('forces RTL for any text with a strong character', () => {
+        assert.deepEqual(evaluateBlockText('English only', { ...RATIO, forceRtl: true }), { isRtl: true, reason: null });
+        assert.deepEqual(evaluateBlockText('123 - 456', { ...RATIO, forceRtl: true }), { isRtl: false, reason: 'no-text' });
+    });
+});
@@ -0,0 +1,142 @@
+// ~/test/helpers/browser-mock.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// An in-memory stand-in for the parts of the WebExtension `browser` API the scripts use.
+// Storage behaves like the real thing (copies, defaults, onChanged); everything else records calls.
+
+'use strict';
+
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: listener => { listeners.push(listener); },
+        removeListener: listener => { const index = listeners.indexOf(listener); if (index !== -1) listeners.splice(index, 1); },
+        hasListener: listener => listeners.includes(listener),
+        dispatch: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+function createStorageArea(areaName, onChanged) {
+    const data = new Map();
+    const changesOf = (entries) => {
+        const changes = {};
+        for (const [key, newValue] of entries) {
+            changes[key] = { oldValue: data.has(key) ? structuredClone(data.get(key)) : undefined, newValue: newValue === undefined ? undefined : structuredClone(newValue) };
+        }
+        return changes;
+    };
+    return {
+        data,
+        async get(keys) {
+            const result = {};
+            if (keys === null || keys === undefined) {
+                data.forEach((value, key) => { result[key] = structuredClone(value); });
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                [].concat(keys).forEach(key => { if (data.has(key)) result[key] = structuredClone(data.get(key)); });
+            } else {
+                // An object gives defaults for missing keys
+                for (const [key, fallback] of Object.entries(keys)) result[key] = structuredClone(data.has(key) ? data.get(key) : fallback);
+            }
+            return result;
+        },
+        async set(items) {
+            const changes = changesOf(Object.entries(items));
+            Object.entries(items).forEach(([key, value]) => data.set(key, structuredClone(value)));
+            onChanged.dispatch(changes, areaName);
+        },
+        async remove(keys) {
+            const present = [].concat(keys).filter(key => data.has(key));
+            const changes = changesOf(present.map(key => [key, undefined]));
+            present.forEach(key => data.delete(key));
+            if (present.length) onChanged.dispatch(changes, areaName);
+        },
+        async clear() {
+            await this.remove([...data.keys()]);
+        }
+    };
+}
+
+/**
+ * Builds a fresh mock. `tabs` are returned by tabs.query; messages sent to tabs are kept in `sentToTabs`.
+ * `frames` lists the frames of each tab for scripting.executeScript: { [tabId]: [{ frameId, hasScript }] }.
+ * Function injections run against a stand-in `window` per frame (a frame with `hasScript` runs a copy);
+ * file injections are kept in `injectedScripts` and start a copy in the frames.
+ * @param {{tabs?: object[], frames?: object}} [options]
+ */
+function createBrowserMock({ tabs = [], frames = {} } = {}) {
+    const onChanged = createEvent();
+    const sentToTabs = [];
+    const injectedScripts = [];
+    const framesOf = target => (frames[target.tabId] || []).filter(frame => target.allFrames || (target.frameIds || [0]).includes(frame.frameId));
+    const frameWindows = new WeakMap();
+    const windowOf = frame => {
+        if (!frameWindows.has(frame)) frameWindows.set(frame, frame.hasScript ? { rtlFixerInstance: 'running' } : {});
+        return frameWindows.get(frame);
+    };
+    const browser = {
+        sentToTabs,
+        injectedScripts,
+        storage: {
+            onChanged,
+            local: createStorageArea('local', onChanged),
+            sync: createStorageArea('sync', onChanged),
+            session: createStorageArea('session', onChanged)
+        },
+        runtime: {
+            onInstalled: createEvent(),
+            onStartup: createEvent(),
+            onMessage: createEvent(),
+            sendMessage: async () => undefined,
+            getManifest: () => require('../../manifest.json'),
+            openOptionsPage: async () => {}
+        },
+        tabs: {
+            onRemoved: createEvent(),
+            onUpdated: createEvent(),
+            query: async () => tabs,
+            sendMessage: async (tabId, message) => { sentToTabs.push({ tabId, message }); }
+        },
+        scripting: {
+            executeScript: async ({ target, func, files }) => {
+                if (!frames[target.tabId]) throw new Error('Missing host permission for the tab');
+                if (func) return framesOf(target).map(frame => ({ frameId: frame.frameId, result: new Function('window', `return (${func})();`)(windowOf(frame)) }));
+                injectedScripts.push({ tabId: target.tabId, frameIds: target.frameIds, files });
+                return framesOf(target).map(frame => {
+                    frame.hasScript = true;
+                    windowOf(frame).rtlFixerInstance = 'running';
+                    return { frameId: frame.frameId, result: undefined };
+                });
+            }
+        },
+        alarms: { onAlarm: createEvent(), create: () => {}, clear: async () => true },
+        commands: { onCommand: createEvent(), getAll: async () => [] },
+        contextMenus: { onClicked: createEvent(), create: () => {}, removeAll: async () => {} },
+        action: { setBadgeText: async () => {}, setBadgeBackgroundColor: async () => {} }
+    };
+    return browser;
+}
+
+/**
+ * Delivers a runtime message to the registered onMessage listeners, the way Firefox does:
+ * the first listener returning a promise (or true with sendResponse) provides the response.
+ * @returns {Promise<*>} The response, or undefined when no listener answered.
+ */
+async function sendRuntimeMessage(browser, message, sender = {}) {
+    for (const listener of browser.runtime.onMessage.listeners) {
+        let sendResponse;
+        const response = new Promise(resolve => { sendResponse = resolve; });
+        const result = listener(message, sender, sendResponse);
+        if (result && typeof result.then === 'function') return result;
+        if (result === true) return response;
+    }
+    return undefined;
+}
+
+module.exports = { createBrowserMock, sendRuntimeMessage };
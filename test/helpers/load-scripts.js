@@ -0,0 +1,51 @@
+// ~/test/helpers/load-scripts.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Loads the extension's plain scripts the way the browser does: in manifest order, sharing one global scope.
+// Scripts run in the test's own realm, so their objects compare with assert.deepStrictEqual.
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+// Script lists from the manifest
+const BACKGROUND_SCRIPTS = manifest.background.scripts;
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js;
+const LIB_SCRIPTS = [...new Set([...BACKGROUND_SCRIPTS, ...CONTENT_SCRIPTS])].filter(file => file.startsWith('lib/'));
+
+function readScript(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Runs scripts in the global scope of this process (each file once per test process).
+ * @param {string[]} files - Paths relative to the extension root.
+ */
+function loadScripts(files) {
+    for (const file of files) vm.runInThisContext(readScript(file), { filename: path.join(ROOT, file) });
+}
+
+/**
+ * Value of a top-level binding of the loaded scripts (`const` and `let` are not properties of globalThis).
+ * @param {string} name - Binding name.
+ */
+function globalValue(name) {
+    return vm.runInThisContext(name);
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(ROOT, 'test', 'fixtures', name), 'utf8');
+}
+
+module.exports = { ROOT, BACKGROUND_SCRIPTS, CONTENT_SCRIPTS, LIB_SCRIPTS, readScript, loadScripts, globalValue, readFixture };
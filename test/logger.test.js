@@ -0,0 +1,85 @@
+// ~/test/logger.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/logger.js.
+
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, globalValue } = require('./helpers/load-scripts');
+
+loadScripts(['lib/logger.js']);
+
+const logger = createLogger('Test');
+
+beforeEach(() => {
+    setLogLevel('warn');
+    clearLogEntries();
+});
+
+describe('createLogger', () => {
+    it('prints warnings and errors only by default', (t) => {
+        for (const method of ['error', 'warn', 'info', 'debug']) t.mock.method(console, method, () => {});
+        logger.error('Broken'); logger.warn('Careful'); logger.info('Scanned'); logger.debug('Details');
+        assert.deepEqual(console.error.mock.calls[0].arguments, ['Test:', 'Broken']);
+        assert.equal(console.warn.mock.callCount(), 1);
+        assert.equal(console.info.mock.callCount(), 0);
+        assert.equal(console.debug.mock.callCount(), 0);
+    });
+
+    it('follows the level and ignores unknown ones', (t) => {
+        t.mock.method(console, 'debug', () => {});
+        setLogLevel('debug');
+        setLogLevel('verbose');
+        logger.debug('Details');
+        assert.equal(console.debug.mock.callCount(), 1);
+        setLogLevel('off');
+        logger.debug('Hidden');
+        assert.equal(console.debug.mock.callCount(), 1);
+    });
+});
+
+describe('log buffer', () => {
+    it('keeps the events the level lets through and formats nothing below it', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'info', () => {});
+        const stats = { toJSON: t.mock.fn(() => ({ styled: 3 })) };
+        logger.info('Scan done in', 12, 'ms', stats);
+        logger.warn(new Error('Quota exceeded'));
+        assert.equal(stats.toJSON.mock.callCount(), 0);
+        assert.deepEqual(getLogEntries().map(entry => [entry.level, entry.message]), [['warn', 'Error: Quota exceeded']]);
+        setLogLevel('info');
+        logger.info('Scan done in', 12, 'ms', stats);
+        logger.debug('Details');
+        assert.deepEqual(getLogEntries().map(entry => [entry.level, entry.message]), [
+            ['warn', 'Error: Quota exceeded'],
+            ['info', 'Scan done in 12 ms {"styled":3}']
+        ]);
+        assert.deepEqual(getLogEntries(1).map(entry => entry.level), ['info']);
+    });
+
+    it('drops the oldest events when full', (t) => {
+        t.mock.method(console, 'info', () => {});
+        setLogLevel('info');
+        const size = globalValue('LOG_BUFFER_SIZE');
+        for (let i = 0; i < size + 5; i++) logger.info(`Event ${i}`);
+        const entries = getLogEntries();
+        assert.equal(entries.length, size);
+        assert.equal(entries[0].message, 'Event 5');
+    });
+
+    it('formats events as lines of text', (t) => {
+        t.mock.method(console, 'info', () => {});
+        setLogLevel('info');
+        logger.info('x'.repeat(600), { long: 'y'.repeat(600) });
+        const [line] = formatLogEntries(getLogEntries()).split('\n');
+        assert.match(line, /^\d{4}-\d{2}-\d{2}T[\d:.]+Z INFO {2}Test: x{600} \{"long":"y+…$/);
+    });
+});
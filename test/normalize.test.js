@@ -0,0 +1,62 @@
+// ~/test/normalize.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/normalize.js, lib/fonts.js and lib/mirror.js.
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LIB_SCRIPTS, loadScripts } = require('./helpers/load-scripts');
+
+loadScripts(LIB_SCRIPTS);
+
+describe('normalizeText', () => {
+    it('converts digits but leaves LTR runs, URLs and e-mails alone', () => {
+        const settings = { digits: 'persian', punctuation: false, letters: false };
+        assert.equal(normalizeText('قیمت 120 تومان', settings), 'قیمت ۱۲۰ تومان');
+        assert.equal(normalizeText('نسخه Windows 11 و https://a.com/2', settings), 'نسخه Windows 11 و https://a.com/2');
+    });
+
+    it('replaces punctuation only after an Arabic-script letter', () => {
+        const settings = { digits: 'off', punctuation: true, letters: false };
+        assert.equal(normalizeText('سلام, خوبی?', settings), 'سلام، خوبی؟');
+        assert.equal(normalizeText('۱,۰۰۰', settings), '۱,۰۰۰');
+    });
+
+    it('uses the Persian forms of yeh and kaf', () => {
+        assert.equal(normalizeText('كتاب علي', { digits: 'off', punctuation: false, letters: true }), 'کتاب علی');
+    });
+
+    it('returns the same text when nothing is switched on', () => {
+        assert.equal(normalizeText('سلام, 12', { digits: 'off', punctuation: false, letters: false }), 'سلام, 12');
+    });
+});
+
+describe('resolveRtlFont', () => {
+    it('applies the first matching site override', () => {
+        const font = resolveRtlFont({ enabled: true, family: 'Vazirmatn', sizeScale: 100, lineHeight: 0 }, [{ host: '*.example.com', sizeScale: 120 }], 'www.example.com');
+        assert.deepEqual(font, { family: 'Vazirmatn', sizeScale: 120, lineHeight: 0 });
+    });
+
+    it('is null when substitution is off for the site', () => {
+        assert.equal(resolveRtlFont({ enabled: true }, [{ host: 'example.com', enabled: false }], 'example.com'), null);
+    });
+});
+
+describe('validateMirrorSite', () => {
+    it('fills in the default kept areas', () => {
+        const { site } = validateMirrorSite({ host: 'Example.com' });
+        assert.deepEqual(site, { host: 'example.com', keep: ['navigation', 'media', 'code'], exclude: [] });
+    });
+
+    it('rejects unknown areas', () => {
+        assert.equal(validateMirrorSite({ host: 'example.com', keep: ['footer'] }).error, 'Unknown area to keep');
+    });
+});
@@ -0,0 +1,95 @@
+// ~/test/protocol.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/protocol.js.
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createBrowserMock } = require('./helpers/browser-mock');
+
+loadScripts(['lib/protocol.js']);
+
+const listen = (handlers, options) => createMessageListener('background', handlers, options);
+
+describe('validateMessage', () => {
+    it('accepts a registered action with the right payload', () => {
+        assert.equal(validateMessage(createMessage('toggleEnabled', false), 'background'), null);
+        assert.equal(validateMessage(createMessage('getSettings'), 'background'), null);
+    });
+
+    it('names what is wrong', () => {
+        assert.equal(validateMessage({ action: 'getSettings' }, 'background').error.code, 'protocol-mismatch');
+        assert.equal(validateMessage(createMessage('rescan'), 'background').error.code, 'unknown-action');
+        assert.equal(validateMessage(createMessage('constructor'), 'background').error.code, 'unknown-action');
+        assert.deepEqual(validateMessage(createMessage('setSiteRules', {}), 'background').error,
+            { code: 'invalid-payload', message: '"setSiteRules" expects a payload of type array' });
+        assert.equal(validateMessage(createMessage('getTabStats', NaN), 'background').error.code, 'invalid-payload');
+    });
+});
+
+describe('createMessageListener', () => {
+    it('wraps plain results and keeps protocol responses', async () => {
+        const listener = listen({ getSettings: () => ({ isEnabled: true }), toggleEnabled: () => rejectedResponse('No') });
+        assert.deepEqual(await listener(createMessage('getSettings'), {}), { ok: true, data: { isEnabled: true }, error: null });
+        assert.deepEqual(await listener(createMessage('toggleEnabled', true), {}), { ok: false, data: null, error: { code: 'rejected', message: 'No' } });
+    });
+
+    it('turns handler failures into internal errors', async () => {
+        const failures = [];
+        const listener = listen({
+            getSettings: () => { throw new Error('Broken'); },
+            getSyncStatus: async () => { throw new Error('Offline'); }
+        }, { onError: action => failures.push(action) });
+        assert.equal((await listener(createMessage('getSettings'), {})).error.message, 'Internal error: Broken');
+        assert.equal((await listener(createMessage('getSyncStatus'), {})).error.code, 'internal');
+        assert.deepEqual(failures, ['getSettings', 'getSyncStatus']);
+    });
+
+    it('leaves messages it does not answer to other listeners', async () => {
+        const listener = listen({ getSettings: () => null });
+        assert.equal(listener(createMessage('getSettings'), {}), false);
+        assert.equal(listener(createMessage('exportSettings'), {}), false);
+        assert.equal(listener({ action: 'getSettings' }, {}), false);
+        assert.equal((await listener(createMessage('toggleEnabled', 'yes'), {})).error.code, 'invalid-payload');
+    });
+
+    it('answers everything when it is the main receiver', async () => {
+        const mismatches = [];
+        const listener = listen({}, { answerInvalid: true, onMismatch: message => mismatches.push(message.protocol) });
+        assert.equal((await listener(createMessage('exportSettings'), {})).error.code, 'unknown-action');
+        assert.equal((await listener({ protocol: 0, action: 'getSettings' }, {})).error.code, 'protocol-mismatch');
+        assert.deepEqual(mismatches, [0]);
+    });
+});
+
+describe('sendAction', () => {
+    it('never rejects', async () => {
+        globalThis.browser = createBrowserMock();
+        assert.equal((await sendAction('getSettings')).error.code, 'unreachable');
+        browser.runtime.sendMessage = async () => { throw new Error('Could not establish connection'); };
+        assert.deepEqual((await sendAction('getSettings')).error, { code: 'unreachable', message: 'Could not establish connection' });
+        browser.runtime.sendMessage = async () => ({ success: true }); // A script from before the protocol
+        assert.equal((await sendAction('getSettings')).error.code, 'protocol-mismatch');
+        browser.tabs.sendMessage = () => { throw new Error('Invalid tab'); };
+        assert.equal((await sendTabAction(1, 'rescan')).error.code, 'unreachable');
+    });
+});
+
+describe('isSameValue', () => {
+    it('compares plain data structurally', () => {
+        assert.equal(isSameValue({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), true);
+        assert.equal(isSameValue({ a: 1, b: 2 }, { b: 2, a: 1 }), true);
+        assert.equal(isSameValue({ a: 1 }, { a: 1, b: undefined }), false);
+        assert.equal(isSameValue([1], { 0: 1 }), false);
+        assert.equal(isSameValue(null, {}), false);
+    });
+});
@@ -0,0 +1,93 @@
+// ~/test/rules.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/rules.js and lib/selectors.js: site rule matching and per-site selectors.
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LIB_SCRIPTS, loadScripts } = require('./helpers/load-scripts');
+
+loadScripts(LIB_SCRIPTS);
+
+describe('matchesHostPattern', () => {
+    it('matches exact hosts and wildcard subdomains', () => {
+        assert.equal(matchesHostPattern('example.com', 'Example.com'), true);
+        assert.equal(matchesHostPattern('example.com', 'www.example.com'), false);
+        assert.equal(matchesHostPattern('*.example.com', 'www.example.com'), true);
+        assert.equal(matchesHostPattern('*.example.com', 'example.com'), true);
+        assert.equal(matchesHostPattern('*.example.com', 'notexample.com'), false);
+    });
+});
+
+describe('findMatchingRule', () => {
+    const rules = [
+        { id: 'a', type: 'path', pattern: 'example.com/fa/', mode: 'force-rtl' },
+        { id: 'b', type: 'regex', pattern: '^https://docs\\.', mode: 'off' },
+        { id: 'c', type: 'domain', pattern: '*.example.com', mode: 'auto' }
+    ];
+
+    it('returns the first matching rule', () => {
+        assert.equal(findMatchingRule(rules, 'https://example.com/fa/page').id, 'a');
+        assert.equal(findMatchingRule(rules, 'https://example.com/en/page').id, 'c');
+        assert.equal(findMatchingRule(rules, 'https://docs.example.com/').id, 'b');
+    });
+
+    it('matches path rules at whole path segments', () => {
+        const pathRule = pattern => [{ id: 'p', type: 'path', pattern, mode: 'off' }];
+        assert.equal(findMatchingRule(pathRule('example.com/fa'), 'https://example.com/fa')?.id, 'p');
+        assert.equal(findMatchingRule(pathRule('example.com/fa'), 'https://example.com/fa/page')?.id, 'p');
+        assert.equal(findMatchingRule(pathRule('example.com/fa'), 'https://example.com/fashion'), null);
+        assert.equal(findMatchingRule(pathRule('example.com/fa/'), 'https://example.com/faq'), null);
+        assert.equal(findMatchingRule(pathRule('example.com/fa*'), 'https://example.com/faq')?.id, 'p');
+        assert.equal(findMatchingRule(pathRule('example.com/fa/*'), 'https://example.com/fa')?.id, 'p');
+        assert.equal(findMatchingRule(pathRule('example.com/fa/*'), 'https://example.com/fa/x')?.id, 'p');
+        assert.equal(findMatchingRule(pathRule('example.com/fa/*'), 'https://example.com/faq'), null);
+    });
+
+    it('returns null when nothing matches or the URL is invalid', () => {
+        assert.equal(findMatchingRule(rules, 'https://other.org/'), null);
+        assert.equal(findMatchingRule(rules, 'not a url'), null);
+    });
+});
+
+describe('guessRuleType and validateRule', () => {
+    it('guesses the type from the pattern', () => {
+        assert.deepEqual(guessRuleType('/^https:\\/\\/x/'), { type: 'regex', pattern: '^https:\\/\\/x' });
+        assert.deepEqual(guessRuleType('https://example.com/docs/'), { type: 'path', pattern: 'example.com/docs/' });
+        assert.deepEqual(guessRuleType('example.com'), { type: 'domain', pattern: 'example.com' });
+    });
+
+    it('rejects broken rules', () => {
+        assert.match(validateRule({ type: 'regex', pattern: '(', mode: 'auto' }).error, /Invalid regular expression/);
+        assert.match(validateRule({ type: 'domain', pattern: 'a b', mode: 'auto' }).error, /spaces/);
+        assert.match(validateRule({ type: 'domain', pattern: 'a.com', mode: 'auto-threshold', threshold: 150 }).error, /Threshold/);
+    });
+
+    it('keeps the threshold only for auto-threshold rules', () => {
+        const { rule } = validateRule({ id: 'r', type: 'domain', pattern: 'a.com', mode: 'auto-threshold', threshold: 55.4 });
+        assert.deepEqual(rule, { id: 'r', type: 'domain', pattern: 'a.com', mode: 'auto-threshold', threshold: 55 });
+    });
+});
+
+describe('resolveSiteSelectors', () => {
+    it('combines enabled presets and user sets for the host', () => {
+        const custom = [{ id: 'site-github.com', name: 'github.com', hosts: ['github.com'], include: ['.comment-body'], exclude: [] }];
+        const { include, exclude } = resolveSiteSelectors({}, custom, 'github.com');
+        assert.ok(include.includes('.js-issue-title'));
+        assert.ok(include.includes('.comment-body'));
+        assert.ok(exclude.includes('.blob-code'));
+    });
+
+    it('leaves out disabled presets', () => {
+        const { include } = resolveSiteSelectors({ 'github-issues': { enabled: false } }, [], 'github.com');
+        assert.deepEqual(include, []);
+    });
+});
@@ -0,0 +1,107 @@
+// ~/test/settings.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/settings.js: schema migrations, validation and import/merge.
+
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { LIB_SCRIPTS, loadScripts, globalValue } = require('./helpers/load-scripts');
+
+loadScripts(LIB_SCRIPTS);
+
+describe('migrateSettings', () => {
+    it('turns the old excluded sites into "off" domain rules', () => {
+        const { settings, removedKeys } = migrateSettings({ isEnabled: true, excludedSites: ['a.com', 'b.org'] }, 1);
+        assert.equal(settings.schemaVersion, globalValue('SETTINGS_SCHEMA_VERSION'));
+        assert.deepEqual(settings.siteRules.map(rule => [rule.type, rule.pattern, rule.mode]), [['domain', 'a.com', 'off'], ['domain', 'b.org', 'off']]);
+        assert.deepEqual(removedKeys, ['excludedSites']);
+    });
+
+    it('does not add a rule twice', () => {
+        const existing = [{ id: 'x', type: 'domain', pattern: 'a.com', mode: 'off' }];
+        const { settings } = migrateSettings({ excludedSites: ['a.com'], siteRules: existing }, 1);
+        assert.deepEqual(settings.siteRules, existing);
+    });
+
+    it('leaves current settings alone', () => {
+        const data = { isEnabled: false, schemaVersion: globalValue('SETTINGS_SCHEMA_VERSION') };
+        assert.deepEqual(migrateSettings(data, data.schemaVersion), { settings: data, removedKeys: [] });
+    });
+});
+
+describe('validateSettings', () => {
+    it('accepts valid values and rounds numbers', () => {
+        const { settings, warnings } = validateSettings({ isEnabled: false, rtlThreshold: 55.6, detectionMode: 'first-strong' });
+        assert.deepEqual(settings, { isEnabled: false, rtlThreshold: 56, detectionMode: 'first-strong' });
+        assert.deepEqual(warnings, []);
+    });
+
+    it('drops invalid list entries and reports them', () => {
+        const { settings, warnings } = validateSettings({
+            siteRules: [{ type: 'domain', pattern: 'ok.com', mode: 'auto', id: 'r1' }, { type: 'nope', pattern: 'x', mode: 'auto' }]
+        });
+        assert.deepEqual(settings.siteRules, [{ id: 'r1', type: 'domain', pattern: 'ok.com', mode: 'auto' }]);
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /^siteRules\[1\]/);
+    });
+
+    it('skips unknown keys and wrong types', () => {
+        const { settings, warnings } = validateSettings({ secret: 1, isEnabled: 'yes', styleStrategy: 'magic', syncEnabled: true });
+        assert.deepEqual(settings, {});
+        assert.equal(warnings.length, 4);
+    });
+
+    it('checks nested settings with their own validators', () => {
+        const { settings, warnings } = validateSettings({ textNormalization: { digits: 'persian' }, rtlScripts: ['hebrew'], rtlFont: { family: 'x;y' } });
+        assert.deepEqual(settings.textNormalization, { digits: 'persian', punctuation: false, letters: false });
+        assert.deepEqual(settings.rtlScripts, ['hebrew']);
+        assert.equal(settings.rtlFont, undefined);
+        assert.deepEqual(warnings, ['rtlFont: Invalid font family']);
+    });
+});
+
+describe('prepareImport', () => {
+    let current;
+    before(() => {
+        current = { ...globalValue('DEFAULT_SETTINGS'), siteRules: [{ id: 'r1', type: 'domain', pattern: 'a.com', mode: 'off' }], isEnabled: true };
+    });
+    const file = settings => ({ format: globalValue('EXPORT_FORMAT'), schemaVersion: globalValue('SETTINGS_SCHEMA_VERSION'), settings });
+
+    it('rejects files that are not settings exports or are too new', () => {
+        assert.equal(prepareImport({ hello: 1 }, current, 'merge').error, 'Not an RTL Content Fixer settings file');
+        const newer = { ...file({}), schemaVersion: globalValue('SETTINGS_SCHEMA_VERSION') + 1 };
+        assert.match(prepareImport(newer, current, 'merge').error, /newer version/);
+    });
+
+    it('merges lists and keeps existing entries', () => {
+        const imported = file({ isEnabled: false, siteRules: [{ id: 'r1', type: 'domain', pattern: 'b.com', mode: 'auto' }, { id: 'r2', type: 'domain', pattern: 'a.com', mode: 'off' }] });
+        const { updates, error } = prepareImport(imported, current, 'merge');
+        assert.equal(error, null);
+        assert.deepEqual(updates.siteRules.map(rule => rule.pattern), ['a.com', 'b.com']);
+        assert.notEqual(updates.siteRules[1].id, 'r1'); // Clashing ids get a new one
+        assert.equal('isEnabled' in updates, false); // Options of this device stay
+    });
+
+    it('replaces every portable setting, using defaults for missing ones', () => {
+        const { updates } = prepareImport(file({ isEnabled: false }), current, 'replace');
+        assert.equal(updates.isEnabled, false);
+        assert.deepEqual(updates.siteRules, []);
+        assert.equal('syncEnabled' in updates, false);
+        assert.equal('logLevel' in updates, false); // Device settings are never imported
+        assert.deepEqual(Object.keys(updates), globalValue('PORTABLE_SETTINGS'));
+    });
+
+    it('migrates old files before validating them', () => {
+        const { updates, warnings } = prepareImport({ format: globalValue('EXPORT_FORMAT'), settings: { excludedSites: ['old.com'] } }, current, 'merge');
+        assert.deepEqual(warnings, []);
+        assert.deepEqual(updates.siteRules.map(rule => rule.pattern), ['a.com', 'old.com']);
+    });
+});
@@ -0,0 +1,65 @@
+// ~/test/timing.test.js
+//
+//  * Copyright (C) Mohammad (Sina) Jalalvandi 2024-2025 <jalalvandi.sina@gmail.com>
+//  * Package : RTL-Content-Fixer
+//  * License : Apache-2.0
+//  * Version : 1.2.0
+//  * URL     : https://github.com/jalalvandi/rtl-content-fixer
+//  * Sign: RTL-Content-Fixer-20250411-2b41e5b80cb9-6043bf2b1d990d53dea54625ac23513f
+//
+// Tests for lib/timing.js.
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts(['lib/timing.js']);
+
+describe('debounce', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'] }));
+    afterEach(() => mock.timers.reset());
+
+    it('runs once with the last arguments after a quiet period', () => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 100);
+        debounced(1);
+        mock.timers.tick(50);
+        debounced(2);
+        mock.timers.tick(99);
+        assert.deepEqual(calls, []);
+        mock.timers.tick(1);
+        assert.deepEqual(calls, [2]);
+    });
+
+    it('runs at least every maxWait under constant activity', () => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 100, 250);
+        for (let i = 1; i <= 6; i++) {
+            debounced(i);
+            mock.timers.tick(50);
+        }
+        assert.deepEqual(calls, [5]);
+    });
+});
+
+describe('retryWithBackoff', () => {
+    it('retries failures and rejected values until one is accepted', async () => {
+        let attempts = 0;
+        const value = await retryWithBackoff(async () => {
+            attempts++;
+            if (attempts === 1) throw new Error('Not ready');
+            return attempts === 2 ? null : 'ready';
+        }, { initialDelay: 1, accept: result => result !== null });
+        assert.equal(value, 'ready');
+        assert.equal(attempts, 3);
+    });
+
+    it('gives null after the last attempt', async () => {
+        let attempts = 0;
+        const value = await retryWithBackoff(async () => { attempts++; throw new Error('Down'); }, { attempts: 3, initialDelay: 1 });
+        assert.equal(value, null);
+        assert.equal(attempts, 3);
+    });
+});